@@ -10,59 +10,139 @@ import * as scheduler from "aws-cdk-lib/aws-scheduler";
 import * as logs from "aws-cdk-lib/aws-logs";
 import * as iam from "aws-cdk-lib/aws-iam";
 import * as ssm from "aws-cdk-lib/aws-ssm";
+import * as secretsmanager from "aws-cdk-lib/aws-secretsmanager";
+import * as kms from "aws-cdk-lib/aws-kms";
+import * as sns from "aws-cdk-lib/aws-sns";
+import * as subscriptions from "aws-cdk-lib/aws-sns-subscriptions";
+import * as cloudwatchActions from "aws-cdk-lib/aws-cloudwatch-actions";
 import { Construct } from "constructs";
 
+/**
+ * ダイジェストのプロファイル定義
+ * 設定値は Parameter Store の /dropcast/profiles/<name> 配下に登録する
+ */
+export interface DigestProfile {
+  /** プロファイル名（英数字と . _ - のみ） */
+  name: string;
+  /** EventBridge Scheduler のスケジュール式（デフォルト: 毎週木曜日00:00） */
+  schedule?: string;
+  /** ダイジェスト期間（daily, weekly, monthly） */
+  period?: string;
+}
+
+/** デフォルトのスケジュール（毎週木曜日00:00） */
+const DEFAULT_SCHEDULE = "cron(0 0 ? * THU *)";
+
+/**
+ * プロファイル定義を解析
+ * CDKコンテキスト（-c profiles='[...]' または cdk.json）、環境変数 DROPCAST_PROFILES の順に参照する
+ * @param value - プロファイル定義（配列またはJSON文字列）
+ * @returns プロファイル定義の配列
+ */
+function parseProfiles(value: unknown): DigestProfile[] {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+
+  const profiles = typeof value === "string" ? JSON.parse(value) : value;
+  if (!Array.isArray(profiles)) {
+    throw new Error("profiles はプロファイル定義の配列である必要があります");
+  }
+
+  for (const profile of profiles) {
+    if (!profile || !/^[A-Za-z0-9_.-]+$/.test(profile.name)) {
+      throw new Error(`プロファイル名が無効です: ${profile?.name}`);
+    }
+  }
+
+  return profiles;
+}
+
 export class DropcastBookmarkMailerStack extends cdk.Stack {
   constructor(scope: Construct, id: string, props?: cdk.StackProps) {
     super(scope, id, props);
 
     // 環境変数の取得（.envファイルから）
-    const raindropApiToken = process.env.RAINDROP_API_TOKEN;
+    // APIトークンなどの秘密情報はテンプレート・cdk.out に含めないため、ここでは読み込まない
     const emailFrom = process.env.EMAIL_FROM;
     const emailTo = process.env.EMAIL_TO;
-    const awsRegion = process.env.AWS_REGION || "us-east-1";
+    // SESはサンドボックス解除済みのリージョンが異なる場合があるため SES_REGION で個別に指定できる
+    const sesRegion = process.env.SES_REGION || this.region;
+    // Parameter Store（設定・ウォーターマーク）のリージョン。既存のパラメータが別リージョンにある場合は SSM_REGION で指定する
+    const ssmRegion = process.env.SSM_REGION || this.region;
+    const ssmArn = (name: string) =>
+      `arn:aws:ssm:${ssmRegion}:${this.account}:parameter${name}`;
+    const alertEmail = process.env.ALERT_EMAIL_TO;
+    const alertWebhookUrl = process.env.ALERT_WEBHOOK_URL;
+    const configSecretId = process.env.CONFIG_SECRET_ID;
+    // 既存のシークレットをカスタマーマネージドキーで暗号化している場合のキーのARN
+    const configSecretKmsKeyArn = process.env.CONFIG_SECRET_KMS_KEY_ARN;
+    const profiles = parseProfiles(
+      this.node.tryGetContext("profiles") ?? process.env.DROPCAST_PROFILES
+    );
 
     // 環境変数の検証
-    if (!raindropApiToken || !emailFrom || !emailTo) {
+    if (!emailFrom || !emailTo) {
       throw new Error(
         "必要な環境変数が設定されていません。\n" +
           ".envファイルを作成し、以下の変数を設定してください:\n" +
-          "  RAINDROP_API_TOKEN=your_token\n" +
           "  EMAIL_FROM=sender@example.com\n" +
           "  EMAIL_TO=recipient@example.com\n" +
           "\n.env.exampleファイルを参考にしてください。"
       );
     }
 
-    // Parameter Store パラメータの作成（階層構造）
-    // シンプルなStringParameterを使用（CDK v2対応）
-    const raindropApiTokenParameter = new ssm.StringParameter(
-      this,
-      "RaindropApiTokenParameter",
-      {
-        parameterName: "/dropcast/config/raindrop-api-token",
-        stringValue: raindropApiToken,
-        description: "Raindrop.io API Token for DropCast",
-        // 注意: 実際の本番環境では、手動でSecureStringに変更することを推奨
-      }
-    );
+    // Raindrop.io APIトークンは専用のKMSキーで暗号化したSecrets Managerのシークレットに保存する
+    // （CloudFormationではSecureStringのパラメータを作成できないため）。
+    // シークレットは値を持たない状態で作成し、トークンはデプロイ後に put-secret-value で登録する。
+    // CONFIG_SECRET_ID を指定した場合は既存のシークレットを使用する
+    const configSecret = configSecretId
+      ? secretsmanager.Secret.fromSecretNameV2(
+          this,
+          "DropcastConfigSecret",
+          configSecretId
+        )
+      : new secretsmanager.Secret(this, "DropcastConfigSecret", {
+          secretName: "dropcast/config",
+          description: "Raindrop.io API Token for DropCast",
+          encryptionKey: new kms.Key(this, "DropcastConfigKey", {
+            description: "Encryption key for DropCast configuration secret",
+            enableKeyRotation: true,
+          }),
+          // 初期値はJSONの形だけを用意し、トークンは含めない（設定の読み込み時に未対応のキーは無視される）
+          generateSecretString: {
+            secretStringTemplate: JSON.stringify({}),
+            generateStringKey: "placeholder",
+          },
+        });
 
-    const emailFromParameter = new ssm.StringParameter(
-      this,
-      "EmailFromParameter",
-      {
+    // Parameter Store パラメータの作成（階層構造）
+    // スタックのリソースはスタックのリージョンにしか作成できないため、
+    // SSM_REGION が異なる場合はそのリージョンに登録済みのパラメータを使用する
+    if (ssmRegion === this.region) {
+      new ssm.StringParameter(this, "EmailFromParameter", {
         parameterName: "/dropcast/config/email-from",
         stringValue: emailFrom,
         description: "Sender email address for DropCast",
-      }
-    );
+      });
+
+      new ssm.StringParameter(this, "EmailToParameter", {
+        parameterName: "/dropcast/config/email-to",
+        stringValue: emailTo,
+        description: "Recipient email address for DropCast",
+      });
+    }
 
-    const emailToParameter = new ssm.StringParameter(this, "EmailToParameter", {
-      parameterName: "/dropcast/config/email-to",
-      stringValue: emailTo,
-      description: "Recipient email address for DropCast",
+    // 失敗通知用のSNSトピック（Lambdaからの通知とCloudWatchアラームで共用）
+    const alertTopic = new sns.Topic(this, "DropcastAlertTopic", {
+      topicName: "dropcast-alerts",
+      displayName: "DropCast Alerts",
     });
 
+    if (alertEmail) {
+      alertTopic.addSubscription(new subscriptions.EmailSubscription(alertEmail));
+    }
+
     // CloudWatch Logs グループ（シンプルな設定）
     const logGroup = new logs.LogGroup(this, "DropcastLogGroup", {
       retention: logs.RetentionDays.ONE_MONTH, // 30日間保持（要件通り）
@@ -82,12 +162,28 @@ export class DropcastBookmarkMailerStack extends cdk.Stack {
         logGroup: logGroup,
         environment: {
           PARAMETER_STORE_PATH: "/dropcast/config",
+          SES_REGION: sesRegion,
+          SSM_REGION: ssmRegion,
+          // 差分配信用ウォーターマーク（最後に配信したブックマークの作成日時）
+          WATERMARK_STORE: "ssm",
+          WATERMARK_PARAMETER_NAME: "/dropcast/state/last-delivered",
+          // 失敗通知（管理者メールはSNSトピックのメール購読で届ける）
+          ALERT_SNS_TOPIC_ARN: alertTopic.topicArn,
+          ...(alertWebhookUrl ? { ALERT_WEBHOOK_URL: alertWebhookUrl } : {}),
+          // APIトークンなどの秘密情報を保存するシークレット（Parameter Storeより優先）
+          CONFIG_SECRET_ID: configSecretId ?? configSecret.secretArn,
         },
         description:
           "Raindrop.ioから週次ブックマークを取得してダイジェストメールを送信",
         bundling: {
           externalModules: [],
-          nodeModules: ["@aws-sdk/client-ses", "@aws-sdk/client-ssm", "axios"],
+          nodeModules: [
+            "@aws-sdk/client-ses",
+            "@aws-sdk/client-ssm",
+            "@aws-sdk/client-sns",
+            "@aws-sdk/client-secrets-manager",
+            "axios",
+          ],
         },
       }
     );
@@ -96,10 +192,13 @@ export class DropcastBookmarkMailerStack extends cdk.Stack {
     bookmarkMailerFunction.addToRolePolicy(
       new iam.PolicyStatement({
         actions: ["ses:SendEmail", "ses:SendRawEmail"],
-        resources: [`arn:aws:ses:${awsRegion}:${this.account}:identity/*`],
+        resources: [`arn:aws:ses:${sesRegion}:${this.account}:identity/*`],
       })
     );
 
+    // 失敗通知の送信権限を追加
+    alertTopic.grantPublish(bookmarkMailerFunction);
+
     // Parameter Store階層読み取り権限を追加（一括取得用）
     bookmarkMailerFunction.addToRolePolicy(
       new iam.PolicyStatement({
@@ -109,8 +208,55 @@ export class DropcastBookmarkMailerStack extends cdk.Stack {
           "ssm:GetParameter",
         ],
         resources: [
-          `arn:aws:ssm:${awsRegion}:${this.account}:parameter/dropcast/config`,
-          `arn:aws:ssm:${awsRegion}:${this.account}:parameter/dropcast/config/*`,
+          ssmArn("/dropcast/config"),
+          ssmArn("/dropcast/config/*"),
+          ssmArn("/dropcast/profiles/*"),
+        ],
+      })
+    );
+
+    // 設定シークレットの読み取り権限を追加
+    // 暗号化キーの復号権限（kms:Decrypt、Secrets Manager経由の呼び出しに限定）もあわせて付与される
+    configSecret.grantRead(bookmarkMailerFunction);
+    // OAuth2で更新したアクセストークン・リフレッシュトークンの書き込み権限を追加
+    configSecret.grantWrite(bookmarkMailerFunction);
+
+    // 既存のシークレットは暗号化キーがわからないため、CONFIG_SECRET_KMS_KEY_ARN で指定されたキーの権限を追加
+    // （aws/secretsmanager で暗号化している場合は不要）
+    if (configSecretId && configSecretKmsKeyArn) {
+      bookmarkMailerFunction.addToRolePolicy(
+        new iam.PolicyStatement({
+          actions: ["kms:Decrypt", "kms:Encrypt", "kms:GenerateDataKey*"],
+          resources: [configSecretKmsKeyArn],
+          conditions: {
+            StringEquals: {
+              "kms:ViaService": `secretsmanager.${this.region}.amazonaws.com`,
+            },
+          },
+        })
+      );
+    }
+
+    // OAuth2のトークンをParameter Storeで管理する場合の更新権限を追加
+    // （トークンは読み込んだ階層に書き戻すため、プロファイルの階層も対象とする）
+    bookmarkMailerFunction.addToRolePolicy(
+      new iam.PolicyStatement({
+        actions: ["ssm:PutParameter"],
+        resources: [
+          ssmArn("/dropcast/config/raindrop-api-token"),
+          ssmArn("/dropcast/config/raindrop-refresh-token"),
+          ssmArn("/dropcast/profiles/*/raindrop-api-token"),
+          ssmArn("/dropcast/profiles/*/raindrop-refresh-token"),
+        ],
+      })
+    );
+
+    // ウォーターマークの読み書き権限を追加（差分配信用）
+    bookmarkMailerFunction.addToRolePolicy(
+      new iam.PolicyStatement({
+        actions: ["ssm:GetParameter", "ssm:PutParameter"],
+        resources: [
+          ssmArn("/dropcast/state/*"),
         ],
       })
     );
@@ -130,20 +276,43 @@ export class DropcastBookmarkMailerStack extends cdk.Stack {
       },
     });
 
-    // EventBridge Scheduler（毎週木曜日 00:00 JST）
-    const schedule = new scheduler.CfnSchedule(this, "DropcastWeeklySchedule", {
-      name: "dropcast-weekly-schedule",
-      description: "毎週木曜日00:00(JST)にDropCastブックマークメーラーを実行",
-      scheduleExpression: "cron(0 0 ? * THU *)", // 毎週木曜日00:00
-      scheduleExpressionTimezone: "Asia/Tokyo", // JSTタイムゾーン
-      flexibleTimeWindow: {
-        mode: "OFF", // 柔軟な時間ウィンドウを無効化
-      },
-      target: {
-        arn: bookmarkMailerFunction.functionArn,
-        roleArn: schedulerRole.roleArn,
-      },
-    });
+    if (profiles.length === 0) {
+      // EventBridge Scheduler（毎週木曜日 00:00 JST）
+      new scheduler.CfnSchedule(this, "DropcastWeeklySchedule", {
+        name: "dropcast-weekly-schedule",
+        description: "毎週木曜日00:00(JST)にDropCastブックマークメーラーを実行",
+        scheduleExpression: DEFAULT_SCHEDULE, // 毎週木曜日00:00
+        scheduleExpressionTimezone: "Asia/Tokyo", // JSTタイムゾーン
+        flexibleTimeWindow: {
+          mode: "OFF", // 柔軟な時間ウィンドウを無効化
+        },
+        target: {
+          arn: bookmarkMailerFunction.functionArn,
+          roleArn: schedulerRole.roleArn,
+        },
+      });
+    }
+
+    // プロファイルごとのスケジュール（イベントの profile で設定を切り替え）
+    for (const profile of profiles) {
+      new scheduler.CfnSchedule(this, `DropcastSchedule-${profile.name}`, {
+        name: `dropcast-${profile.name}-schedule`,
+        description: `DropCastブックマークメーラーをプロファイル ${profile.name} で実行`,
+        scheduleExpression: profile.schedule ?? DEFAULT_SCHEDULE,
+        scheduleExpressionTimezone: "Asia/Tokyo",
+        flexibleTimeWindow: {
+          mode: "OFF",
+        },
+        target: {
+          arn: bookmarkMailerFunction.functionArn,
+          roleArn: schedulerRole.roleArn,
+          input: JSON.stringify({
+            profile: profile.name,
+            ...(profile.period ? { period: profile.period } : {}),
+          }),
+        },
+      });
+    }
 
     // Lambda関数のエラーアラーム（シンプルな設定）
     const errorAlarm = bookmarkMailerFunction
@@ -162,5 +331,11 @@ export class DropcastBookmarkMailerStack extends cdk.Stack {
         evaluationPeriods: 1,
         alarmDescription: "DropCast ブックマークメーラーの実行時間が長すぎます",
       });
+
+    // アラームの発生と復旧を失敗通知と同じSNSトピックに通知
+    for (const alarm of [errorAlarm, durationAlarm]) {
+      alarm.addAlarmAction(new cloudwatchActions.SnsAction(alertTopic));
+      alarm.addOkAction(new cloudwatchActions.SnsAction(alertTopic));
+    }
   }
 }
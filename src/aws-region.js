@@ -0,0 +1,61 @@
+/**
+ * AWSリージョンの解決
+ * SES・Parameter Storeなどサービスごとのリージョンを、環境変数から同じ規則で決定する
+ */
+
+import { ConfigError } from './error-handler.js';
+
+/**
+ * リージョンが指定されていない場合のデフォルト
+ */
+export const DEFAULT_REGION = 'us-east-1';
+
+/**
+ * リージョンを個別に指定できるサービス
+ */
+export const RegionService = {
+  SES: 'ses',
+  SSM: 'ssm'
+};
+
+/**
+ * サービスごとのリージョンを指定する環境変数
+ */
+const SERVICE_REGION_ENV = {
+  [RegionService.SES]: 'SES_REGION',
+  [RegionService.SSM]: 'SSM_REGION'
+};
+
+/**
+ * リージョン名の形式（例: us-east-1, ap-northeast-1, us-gov-west-1）
+ */
+const REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d+$/;
+
+/**
+ * サービスのリージョンを解決
+ * サービス個別の環境変数（SES_REGION・SSM_REGION）、AWS_REGION、AWS_DEFAULT_REGION、デフォルト値の順に参照する
+ * @param {string|null} service - サービス（RegionServiceの値、未指定の場合は共通のリージョン）
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {string} リージョン
+ * @throws {ConfigError} リージョン名の形式が無効な場合
+ */
+export function resolveRegion(service = null, env = process.env) {
+  const name = service ? SERVICE_REGION_ENV[service] : null;
+  if (service && !name) {
+    throw new ConfigError(`未対応のサービスです: ${service}（利用可能: ${Object.values(RegionService).join(', ')}）`);
+  }
+
+  const source = [name, 'AWS_REGION', 'AWS_DEFAULT_REGION'].find(key => key && env[key]);
+  if (!source) {
+    return DEFAULT_REGION;
+  }
+
+  const region = env[source];
+  if (!REGION_PATTERN.test(region)) {
+    throw new ConfigError(`${source} のリージョン名が無効です: ${region}`);
+  }
+
+  return region;
+}
+
+export default resolveRegion;
@@ -0,0 +1,214 @@
+/**
+ * ブックマークフィルタ
+ * 取得したブックマークをコレクション・タグ・ドメイン・お気に入りの条件で絞り込む
+ */
+
+import { ConfigError } from './error-handler.js';
+
+/**
+ * フィルタ設定の型定義（Parameter Storeの値をそのまま保持）
+ * 複数指定はカンマ区切り
+ * @typedef {Object} FilterConfig
+ * @property {string} [includeCollections] - 含めるコレクション（IDまたは "親 / 子" 形式のパス）
+ * @property {string} [excludeCollections] - 除外するコレクション（IDまたはパス）
+ * @property {string} [includeTags] - 含めるタグ（いずれかを持つブックマークのみ）
+ * @property {string} [excludeTags] - 除外するタグ（いずれかを持つブックマークを除外）
+ * @property {string} [includeDomains] - 含めるドメインのグロブパターン（例: *.example.com）
+ * @property {string} [excludeDomains] - 除外するドメインのグロブパターン
+ * @property {string} [favoritesOnly] - "true" の場合はお気に入りのみ
+ */
+
+/**
+ * フィルタルールの型定義
+ * @typedef {Object} FilterRule
+ * @property {string} name - ルール名（Parameter Storeのキー名）
+ * @property {Array<string>} values - 設定値
+ * @property {function(BookmarkModel): boolean} keep - 残す場合にtrueを返す判定関数
+ */
+
+/**
+ * フィルタ設定エラーを生成
+ * @param {string} detail - エラー詳細
+ * @returns {ConfigError} 設定エラー
+ */
+function invalidFilterError(detail) {
+  return new ConfigError(`フィルタ設定が無効です: ${detail}`);
+}
+
+/**
+ * カンマ区切りの設定値を配列に分割
+ * @param {string|undefined} value - 設定値
+ * @returns {Array<string>} 空要素を除いた配列
+ */
+function splitList(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * コレクション指定がコレクションIDか判定
+ * @param {string} entry - コレクション指定
+ * @returns {boolean} 数値の場合にtrue
+ */
+function isCollectionId(entry) {
+  return /^-?\d+$/.test(entry);
+}
+
+/**
+ * コレクション指定の判定関数を作成
+ * 数値はコレクションID、それ以外はパスとして扱い、パス指定は配下のコレクションにも一致する。
+ * コレクション階層を取得できずパスが未解決のブックマークはパス指定に一致しない
+ * @param {string} entry - コレクション指定
+ * @returns {function(BookmarkModel): boolean} 一致判定関数
+ */
+function collectionMatcher(entry) {
+  if (isCollectionId(entry)) {
+    const id = Number(entry);
+    return bookmark => bookmark.collectionId === id;
+  }
+
+  const path = entry.split('/').map(name => name.trim());
+  return bookmark => {
+    if (bookmark.collectionPathResolved === false) {
+      return false;
+    }
+
+    const collectionPath = bookmark.collectionPath || [];
+    return path.length <= collectionPath.length &&
+      path.every((name, index) => collectionPath[index] === name);
+  };
+}
+
+/**
+ * ドメインのグロブパターンを正規表現に変換（* は任意の文字列、? は任意の1文字）
+ * @param {string} pattern - グロブパターン
+ * @returns {RegExp} 正規表現
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * 指定のいずれかに一致するか判定する関数を作成
+ * @param {Array<function(BookmarkModel): boolean>} matchers - 一致判定関数の配列
+ * @returns {function(BookmarkModel): boolean} いずれかに一致する場合にtrue
+ */
+function anyOf(matchers) {
+  return bookmark => matchers.some(matches => matches(bookmark));
+}
+
+/**
+ * 判定関数の結果を反転
+ * @param {function(BookmarkModel): boolean} matches - 一致判定関数
+ * @returns {function(BookmarkModel): boolean} 一致しない場合にtrue
+ */
+function not(matches) {
+  return bookmark => !matches(bookmark);
+}
+
+/**
+ * タグ指定の判定関数を作成（大文字小文字を区別しない）
+ * @param {Array<string>} tags - タグ
+ * @returns {function(BookmarkModel): boolean} いずれかのタグを持つ場合にtrue
+ */
+function hasAnyTag(tags) {
+  const wanted = new Set(tags.map(tag => tag.toLowerCase()));
+  return bookmark => (bookmark.tags || []).some(tag => wanted.has(tag.toLowerCase()));
+}
+
+/**
+ * ドメイン指定の判定関数を作成
+ * @param {Array<string>} patterns - グロブパターン
+ * @returns {function(BookmarkModel): boolean} いずれかに一致する場合にtrue
+ */
+function matchesAnyDomain(patterns) {
+  const regExps = patterns.map(globToRegExp);
+  return bookmark => regExps.some(regExp => regExp.test(bookmark.domain || ''));
+}
+
+/**
+ * フィルタ設定からルールを作成
+ * 未設定の項目のルールは作成しない
+ * @param {FilterConfig} config - フィルタ設定
+ * @returns {Array<FilterRule>} フィルタルール（適用順）
+ * @throws {ConfigError} 設定値が無効な場合
+ */
+export function createFilterRules(config = {}) {
+  const rules = [];
+
+  const addRule = (name, values, keep) => {
+    if (values.length > 0) {
+      rules.push({ name, values, keep });
+    }
+  };
+
+  const includeCollections = splitList(config.includeCollections);
+  const excludeCollections = splitList(config.excludeCollections);
+  const includeTags = splitList(config.includeTags);
+  const excludeTags = splitList(config.excludeTags);
+  const includeDomains = splitList(config.includeDomains);
+  const excludeDomains = splitList(config.excludeDomains);
+
+  addRule('include-collections', includeCollections, anyOf(includeCollections.map(collectionMatcher)));
+  // パスで除外する場合、パスが未解決のブックマークは除外対象か判定できないため配信しない
+  const excludesByPath = excludeCollections.some(entry => !isCollectionId(entry));
+  const excluded = anyOf(excludeCollections.map(collectionMatcher));
+  addRule('exclude-collections', excludeCollections, bookmark =>
+    !excluded(bookmark) && !(excludesByPath && bookmark.collectionPathResolved === false));
+  addRule('include-tags', includeTags, hasAnyTag(includeTags));
+  addRule('exclude-tags', excludeTags, not(hasAnyTag(excludeTags)));
+  addRule('include-domains', includeDomains, matchesAnyDomain(includeDomains));
+  addRule('exclude-domains', excludeDomains, not(matchesAnyDomain(excludeDomains)));
+
+  const favoritesOnly = (config.favoritesOnly || '').trim().toLowerCase();
+  if (favoritesOnly !== '' && favoritesOnly !== 'true' && favoritesOnly !== 'false') {
+    throw invalidFilterError(`favorites-only は true または false である必要があります (${config.favoritesOnly})`);
+  }
+  if (favoritesOnly === 'true') {
+    rules.push({ name: 'favorites-only', values: ['true'], keep: bookmark => bookmark.isFavorite === true });
+  }
+
+  return rules;
+}
+
+/**
+ * コレクションのパスによる判定を含むか判定
+ * パスの判定にはコレクション階層の取得が必要なため、取得できなかった場合の扱いを決めるのに使用する
+ * @param {Array<FilterRule>} rules - フィルタルール
+ * @returns {boolean} include-collections・exclude-collections にパスの指定がある場合にtrue
+ */
+export function usesCollectionPaths(rules = []) {
+  return rules.some(rule =>
+    ['include-collections', 'exclude-collections'].includes(rule.name) &&
+    rule.values.some(entry => !isCollectionId(entry)));
+}
+
+/**
+ * ブックマークにフィルタルールを順に適用
+ * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+ * @param {Array<FilterRule>} rules - フィルタルール
+ * @returns {{bookmarks: Array<BookmarkModel>, dropped: Array<{rule: string, count: number}>}}
+ *   絞り込み後のブックマークと、ルールごとに除外した件数
+ */
+export function applyFilters(bookmarks, rules = []) {
+  let remaining = bookmarks;
+  const dropped = [];
+
+  for (const rule of rules) {
+    const kept = remaining.filter(rule.keep);
+    dropped.push({ rule: rule.name, count: remaining.length - kept.length });
+    remaining = kept;
+  }
+
+  return { bookmarks: remaining, dropped };
+}
+
+export default applyFilters;
@@ -3,16 +3,82 @@
  * Raindrop.io APIレスポンスからの変換とデータ検証を提供
  */
 
+import { ValidationError } from './error-handler.js';
+import { getLogger } from './logger.js';
+
 /**
  * ブックマークオブジェクトの型定義
  * @typedef {Object} Bookmark
  * @property {string} id - ブックマークID
  * @property {string} title - タイトル
  * @property {string} url - URL
- * @property {string} folder - フォルダ名
+ * @property {string} folder - フォルダ名（コレクションのフルパス。例: "Dev / Frontend"）
  * @property {boolean} isFavorite - お気に入りフラグ
  * @property {Date} createdAt - 作成日時
+ * @property {string} excerpt - 抜粋（説明文）
+ * @property {Array<string>} tags - タグ一覧
+ * @property {string} note - メモ
+ * @property {string} cover - カバー画像URL（無い場合は空文字）
+ * @property {string} domain - ドメイン名
+ * @property {string} type - 種別（BookmarkTypeの値）
+ * @property {Date|null} lastUpdate - 最終更新日時
+ * @property {number|null} collectionId - Raindrop.ioのコレクションID
+ * @property {Array<string>} collectionPath - ルートからのコレクション名の配列
+ * @property {boolean} collectionPathResolved - collectionPath がコレクション階層から解決済みか
+ *   （APIレスポンスから変換した直後はシステムコレクションのみ解決済み）
+ */
+
+/**
+ * フォルダパスの区切り文字
+ */
+export const FOLDER_PATH_SEPARATOR = ' / ';
+
+/**
+ * Raindrop.ioのシステムコレクション名
+ */
+export const SYSTEM_COLLECTIONS = {
+  [-1]: '未分類',
+  [-99]: 'ゴミ箱'
+};
+
+/**
+ * ブックマーク種別（Raindrop.ioの type）
  */
+export const BookmarkType = {
+  LINK: 'link',
+  ARTICLE: 'article',
+  IMAGE: 'image',
+  VIDEO: 'video',
+  DOCUMENT: 'document',
+  AUDIO: 'audio'
+};
+
+/**
+ * 有効なURLか判定
+ * @param {string} value - 判定対象
+ * @returns {boolean} 有効な場合true
+ */
+function isValidUrl(value) {
+  try {
+    new URL(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * URLからドメイン名を取得
+ * @param {string} url - URL
+ * @returns {string} ドメイン名（取得できない場合は空文字）
+ */
+function extractDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
 
 /**
  * ブックマークデータモデルクラス
@@ -29,6 +95,16 @@ export class BookmarkModel {
     this.folder = data.folder;
     this.isFavorite = data.isFavorite;
     this.createdAt = data.createdAt;
+    this.excerpt = data.excerpt ?? '';
+    this.tags = data.tags ?? [];
+    this.note = data.note ?? '';
+    this.cover = data.cover ?? '';
+    this.domain = data.domain ?? extractDomain(data.url);
+    this.type = data.type ?? BookmarkType.LINK;
+    this.lastUpdate = data.lastUpdate ?? null;
+    this.collectionId = data.collectionId ?? null;
+    this.collectionPath = data.collectionPath ?? (this.folder ? [this.folder] : []);
+    this.collectionPathResolved = data.collectionPathResolved ?? true;
 
     // データ検証を実行
     this.validate();
@@ -36,7 +112,7 @@ export class BookmarkModel {
 
   /**
    * データ検証を実行
-   * @throws {Error} 検証エラーの場合
+   * @throws {ValidationError} 検証エラーの場合
    */
   validate() {
     const errors = [];
@@ -66,6 +142,45 @@ export class BookmarkModel {
       errors.push('createdAt は有効な日付である必要があります');
     }
 
+    if (typeof this.excerpt !== 'string') {
+      errors.push('excerpt は文字列である必要があります');
+    }
+
+    if (!Array.isArray(this.tags) || !this.tags.every(tag => typeof tag === 'string')) {
+      errors.push('tags は文字列の配列である必要があります');
+    }
+
+    if (typeof this.note !== 'string') {
+      errors.push('note は文字列である必要があります');
+    }
+
+    if (typeof this.cover !== 'string') {
+      errors.push('cover は文字列である必要があります');
+    } else if (this.cover && !isValidUrl(this.cover)) {
+      errors.push('cover は有効なURL形式である必要があります');
+    }
+
+    if (typeof this.domain !== 'string') {
+      errors.push('domain は文字列である必要があります');
+    }
+
+    if (!Object.values(BookmarkType).includes(this.type)) {
+      errors.push(`type は ${Object.values(BookmarkType).join(', ')} のいずれかである必要があります`);
+    }
+
+    if (this.lastUpdate !== null &&
+        (!(this.lastUpdate instanceof Date) || isNaN(this.lastUpdate.getTime()))) {
+      errors.push('lastUpdate は有効な日付である必要があります');
+    }
+
+    if (this.collectionId !== null && !Number.isInteger(this.collectionId)) {
+      errors.push('collectionId は整数である必要があります');
+    }
+
+    if (!Array.isArray(this.collectionPath) || !this.collectionPath.every(name => typeof name === 'string')) {
+      errors.push('collectionPath は文字列の配列である必要があります');
+    }
+
     // URL形式の検証
     if (this.url) {
       try {
@@ -76,10 +191,24 @@ export class BookmarkModel {
     }
 
     if (errors.length > 0) {
-      throw new Error(`ブックマークデータ検証エラー: ${errors.join(', ')}`);
+      throw new ValidationError(`ブックマークデータ検証エラー: ${errors.join(', ')}`, { errors });
     }
   }
 
+  /**
+   * コレクションのフルパスを設定し、フォルダ名を更新
+   * @param {Array<string>} path - ルートからのコレクション名の配列
+   */
+  setCollectionPath(path) {
+    if (!Array.isArray(path) || path.length === 0) {
+      return;
+    }
+
+    this.collectionPath = [...path];
+    this.collectionPathResolved = true;
+    this.folder = path.join(FOLDER_PATH_SEPARATOR);
+  }
+
   /**
    * Raindrop.io APIレスポンスからブックマークオブジェクトに変換
    * @param {Object} apiItem - Raindrop.io APIからのアイテム
@@ -87,26 +216,47 @@ export class BookmarkModel {
    */
   static fromRaindropApiResponse(apiItem) {
     if (!apiItem || typeof apiItem !== 'object') {
-      throw new Error('APIレスポンスアイテムが無効です');
+      throw new ValidationError('APIレスポンスアイテムが無効です');
     }
 
     // 必須フィールドの存在確認
     if (!apiItem._id) {
-      throw new Error('APIレスポンスにIDが含まれていません');
+      throw new ValidationError('APIレスポンスにIDが含まれていません');
     }
 
     if (!apiItem.link) {
-      throw new Error('APIレスポンスにリンクが含まれていません');
+      throw new ValidationError('APIレスポンスにリンクが含まれていません');
     }
 
+    // 付加情報は不正値でブックマーク自体が除外されないよう、ここで正規化する
+    const tags = Array.isArray(apiItem.tags) ? apiItem.tags.filter(tag => typeof tag === 'string') : [];
+    const type = Object.values(BookmarkType).includes(apiItem.type) ? apiItem.type : BookmarkType.LINK;
+    const cover = typeof apiItem.cover === 'string' && isValidUrl(apiItem.cover) ? apiItem.cover : '';
+    const lastUpdate = apiItem.lastUpdate ? new Date(apiItem.lastUpdate) : null;
+    const collectionId = Number.isInteger(apiItem.collection?.$id) ? apiItem.collection.$id : null;
+
+    // フォルダはコレクションから決定（フルパスはRaindropClientが後から設定する）
+    const collectionPath = SYSTEM_COLLECTIONS[collectionId] ? [SYSTEM_COLLECTIONS[collectionId]] :
+      apiItem.collection?.title ? [apiItem.collection.title] : ['未分類'];
+
     // データ変換
     const bookmarkData = {
       id: apiItem._id,
       title: apiItem.title || 'タイトルなし',
       url: apiItem.link,
-      folder: apiItem.tags.at(0) ?? '未分類',
+      folder: collectionPath.join(FOLDER_PATH_SEPARATOR),
       isFavorite: Boolean(apiItem.important),
-      createdAt: apiItem.created ? new Date(apiItem.created) : new Date()
+      createdAt: apiItem.created ? new Date(apiItem.created) : new Date(),
+      excerpt: typeof apiItem.excerpt === 'string' ? apiItem.excerpt : '',
+      tags: tags,
+      note: typeof apiItem.note === 'string' ? apiItem.note : '',
+      cover: cover,
+      domain: typeof apiItem.domain === 'string' && apiItem.domain ? apiItem.domain : extractDomain(apiItem.link),
+      type: type,
+      lastUpdate: lastUpdate && !isNaN(lastUpdate.getTime()) ? lastUpdate : null,
+      collectionId: collectionId,
+      collectionPath: collectionPath,
+      collectionPathResolved: collectionId in SYSTEM_COLLECTIONS
     };
 
     return new BookmarkModel(bookmarkData);
@@ -119,7 +269,7 @@ export class BookmarkModel {
    */
   static fromRaindropApiResponseArray(apiItems) {
     if (!Array.isArray(apiItems)) {
-      throw new Error('APIレスポンスアイテムは配列である必要があります');
+      throw new ValidationError('APIレスポンスアイテムは配列である必要があります');
     }
 
     const bookmarks = [];
@@ -136,7 +286,7 @@ export class BookmarkModel {
 
     // エラーがある場合は警告として記録（全体の処理は継続）
     if (errors.length > 0) {
-      console.warn(`ブックマーク変換中にエラーが発生しました: ${errors.join(', ')}`);
+      getLogger().warn('ブックマーク変換中にエラーが発生しました', { errors });
     }
 
     return bookmarks;
@@ -153,7 +303,16 @@ export class BookmarkModel {
       url: this.url,
       folder: this.folder,
       isFavorite: this.isFavorite,
-      createdAt: this.createdAt
+      createdAt: this.createdAt,
+      excerpt: this.excerpt,
+      tags: this.tags,
+      note: this.note,
+      cover: this.cover,
+      domain: this.domain,
+      type: this.type,
+      lastUpdate: this.lastUpdate,
+      collectionId: this.collectionId,
+      collectionPath: this.collectionPath
     };
   }
 
@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+/**
+ * DropCast CLI
+ * ローカル環境からダイジェストのプレビュー・送信と接続テストを実行する
+ *
+ * 設定は環境変数と .env から読み込む。--profile を指定した場合は Parameter Store のプロファイルを使用する。
+ */
+
+import { parseArgs } from 'node:util';
+import { realpathSync } from 'node:fs';
+import { readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import dotenv from 'dotenv';
+import { handler, loadConfiguration, createRaindropClient, ConfigSource } from './index.js';
+import SESClient from './ses-client.js';
+import { getOutputFormat } from './output-formats.js';
+import { getLogger } from './logger.js';
+import { PARAMETER_KEYS, toEnvName } from './parameter-store.js';
+import { createConfigProviderChain, ProviderName } from './config-providers.js';
+import { buildAuthorizeUrl, exchangeAuthorizationCode, createOAuthTokenStore, createOAuthState, verifyOAuthState } from './raindrop-oauth.js';
+
+/**
+ * ダイジェストの期間・設定を指定するオプション
+ */
+const DIGEST_OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  period: { type: 'string' },
+  'lookback-days': { type: 'string' },
+  profile: { type: 'string' },
+  format: { type: 'string' },
+  config: { type: 'string' }
+};
+
+/**
+ * サブコマンド定義
+ */
+const COMMANDS = {
+  preview: {
+    usage: 'preview [--from <日時>] [--to <日時>] [--period daily|weekly|monthly] [--lookback-days <日数>] [--format <形式>] [--profile <名前>] [--output <ディレクトリ>]',
+    description: 'ダイジェストを生成して表示する（メールは送信しない）',
+    options: { ...DIGEST_OPTIONS, output: { type: 'string' } },
+    run: runPreview
+  },
+  send: {
+    usage: 'send [--from <日時>] [--to <日時>] [--period daily|weekly|monthly] [--lookback-days <日数>] [--format <形式>] [--profile <名前>]',
+    description: 'ダイジェストメールを送信する',
+    options: DIGEST_OPTIONS,
+    run: runSend
+  },
+  'test-connection': {
+    usage: 'test-connection [--profile <名前>]',
+    description: 'Raindrop.io と SES への接続を確認する',
+    options: { profile: { type: 'string' }, config: { type: 'string' } },
+    run: runTestConnection
+  },
+  'test-email': {
+    usage: 'test-email [--to <宛先>] [--profile <名前>]',
+    description: 'テストメールを送信する',
+    options: { to: { type: 'string' }, profile: { type: 'string' }, config: { type: 'string' } },
+    run: runTestEmail
+  },
+  authorize: {
+    usage: 'authorize --redirect-uri <URI> [--code <認可コード> --state <state>] [--store ssm|secrets-manager]',
+    description: 'Raindrop.io のOAuth2認可を行い、アクセストークンとリフレッシュトークンを保存する',
+    options: {
+      'redirect-uri': { type: 'string' },
+      code: { type: 'string' },
+      state: { type: 'string' },
+      store: { type: 'string' },
+      config: { type: 'string' }
+    },
+    run: runAuthorize
+  }
+};
+
+/**
+ * 使い方を作成
+ * @returns {string} 使い方
+ */
+export function usage() {
+  const lines = ['使い方: dropcast <コマンド> [オプション]', '', 'コマンド:'];
+
+  for (const command of Object.values(COMMANDS)) {
+    lines.push(`  ${command.usage}`, `      ${command.description}`);
+  }
+
+  lines.push('', '共通オプション:', '  --config env|ssm  設定の取得元（デフォルト: --profile 指定時は ssm、それ以外は env）');
+  return lines.join('\n');
+}
+
+/**
+ * コマンドライン引数を解析
+ * @param {Array<string>} argv - コマンドライン引数（コマンド名以降）
+ * @returns {{command: string, options: Object}} コマンド名とオプション
+ * @throws {Error} コマンドまたはオプションが無効な場合
+ */
+export function parseCommand(argv) {
+  const [command, ...rest] = argv;
+
+  if (!command || !COMMANDS[command]) {
+    throw new Error(command ? `不明なコマンドです: ${command}` : 'コマンドを指定してください');
+  }
+
+  const { values } = parseArgs({
+    args: rest,
+    options: COMMANDS[command].options,
+    allowPositionals: false,
+    strict: true
+  });
+
+  if (values.config && !Object.values(ConfigSource).includes(values.config)) {
+    throw new Error(`--config は ${Object.values(ConfigSource).join(' または ')} を指定してください: ${values.config}`);
+  }
+
+  if (values['lookback-days'] !== undefined && !/^\d+$/.test(values['lookback-days'])) {
+    throw new Error(`--lookback-days は正の整数を指定してください: ${values['lookback-days']}`);
+  }
+
+  return { command, options: values };
+}
+
+/**
+ * オプションからLambdaイベントを作成
+ * @param {Object} options - コマンドのオプション
+ * @returns {Object} Lambdaイベント
+ */
+export function toEvent(options) {
+  const event = {
+    from: options.from,
+    to: options.to,
+    period: options.period,
+    lookbackDays: options['lookback-days'] !== undefined ? Number(options['lookback-days']) : undefined,
+    profile: options.profile,
+    format: options.format
+  };
+
+  return Object.fromEntries(Object.entries(event).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * CLI実行用のLambdaコンテキスト
+ */
+const CLI_CONTEXT = {
+  requestId: 'cli',
+  functionName: 'dropcast-cli'
+};
+
+/**
+ * ハンドラーのレスポンスを解析し、失敗時はエラーを投げる
+ * @param {Object} response - ハンドラーのレスポンス
+ * @returns {Object} レスポンス本文
+ */
+function parseResponse(response) {
+  const body = JSON.parse(response.body);
+
+  if (response.statusCode !== 200) {
+    throw new Error(`${body.message}（${body.error?.code ?? response.statusCode}）。詳細はログを確認してください`);
+  }
+
+  return body;
+}
+
+/**
+ * ダイジェストを生成して表示
+ * @param {Object} options - コマンドのオプション
+ * @param {Object} io - 出力先
+ */
+async function runPreview(options, io) {
+  const body = parseResponse(await handler({
+    ...toEvent(options),
+    dryRun: true,
+    dryRunOutputDir: options.output
+  }, CLI_CONTEXT));
+
+  const { stats, preview } = body;
+  const recipients = stats.recipients.map(recipient => `${recipient.address} (${recipient.type})`).join(', ');
+
+  io.out(`件名: ${preview.subject}`);
+  io.out(`宛先: ${recipients}`);
+  io.out(`ブックマーク: ${stats.bookmarkCount}件 (${stats.window.from} 〜 ${stats.window.to})`);
+
+  if (preview.files) {
+    io.out('', ...preview.files.map(file => `書き出しました: ${file}`));
+    return;
+  }
+
+  const isHtml = getOutputFormat(stats.wouldSend.format).contentType === 'text/html';
+  io.out('', isHtml ? preview.htmlBody : preview.body);
+}
+
+/**
+ * ダイジェストメールを送信
+ * @param {Object} options - コマンドのオプション
+ * @param {Object} io - 出力先
+ */
+async function runSend(options, io) {
+  const { stats } = parseResponse(await handler({ ...toEvent(options), dryRun: false }, CLI_CONTEXT));
+
+  io.out(`${stats.bookmarkCount}件のブックマークを送信しました（メッセージID: ${stats.messageId}）`);
+
+  if (stats.partial) {
+    const pages = stats.partial.failedPages.map(page => page + 1).join(', ');
+    io.err(`一部のブックマークを取得できませんでした（${pages}ページ目: ${stats.partial.message}）`);
+  }
+
+  if (stats.truncated) {
+    io.err(`最大ページ数（${stats.truncated.maxPages}）を超えたため、${stats.truncated.totalCount}件中の一部のみ送信しました`);
+  }
+
+  for (const recipient of stats.recipients.filter(recipient => !recipient.success)) {
+    io.err(`送信に失敗しました: ${recipient.address} (${recipient.error})`);
+  }
+}
+
+/**
+ * Raindrop.io と SES への接続を確認
+ * @param {Object} options - コマンドのオプション
+ * @param {Object} io - 出力先
+ */
+async function runTestConnection(options, io) {
+  const config = await loadConfiguration(getLogger(), options.profile ?? null);
+
+  io.out('設定の取得元:', ...Object.entries(config.CONFIG_SOURCES).map(([key, source]) => `  ${key}: ${source}`), '');
+
+  const checks = [
+    ['Raindrop.io', () => createRaindropClient(config, getLogger(), options.profile ?? null).testConnection()],
+    ['SES', () => createSesClient(config).testConnection()]
+  ];
+
+  let failed = false;
+  for (const [name, check] of checks) {
+    try {
+      await check();
+      io.out(`✓ ${name}: 接続に成功しました`);
+    } catch (error) {
+      failed = true;
+      io.err(`✗ ${name}: ${error.message}`);
+    }
+  }
+
+  if (failed) {
+    throw new Error('接続テストに失敗しました');
+  }
+}
+
+/**
+ * テストメールを送信
+ * @param {Object} options - コマンドのオプション
+ * @param {Object} io - 出力先
+ */
+async function runTestEmail(options, io) {
+  const config = await loadConfiguration(getLogger(), options.profile ?? null);
+  const result = await createSesClient(config).sendTestEmail({ toEmail: options.to });
+
+  io.out(`テストメールを送信しました: ${result.to}（メッセージID: ${result.messageId}）`);
+}
+
+/**
+ * 認可リクエストの state を保存するファイルの有効期間（ミリ秒）
+ */
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * 認可リクエストの state を保存するファイルのパス
+ * 認可URLの表示とトークンの交換は別々の実行となるため、その間だけ保存する
+ * @returns {string} ファイルのパス
+ */
+function oauthStateFilePath() {
+  return join(tmpdir(), 'dropcast-oauth-state.json');
+}
+
+/**
+ * 保存した state を読み込み、ファイルを削除する（同じ state は1回しか使えない）
+ * @param {string} redirectUri - 今回指定されたリダイレクトURI
+ * @returns {Promise<string>} 保存した state
+ * @throws {Error} 保存した state が無い、期限切れ、またはリダイレクトURIが異なる場合
+ */
+async function consumeOAuthState(redirectUri) {
+  const filePath = oauthStateFilePath();
+  let saved;
+  try {
+    saved = JSON.parse(await readFile(filePath, 'utf8'));
+  } catch {
+    throw new Error('認可リクエストの情報がありません。--code を指定せずに実行して認可URLを作成してください');
+  } finally {
+    await rm(filePath, { force: true });
+  }
+
+  if (Date.now() - Date.parse(saved.createdAt) > OAUTH_STATE_TTL_MS || saved.redirectUri !== redirectUri) {
+    throw new Error('認可リクエストの期限が切れているか、リダイレクトURIが異なります。認可URLの作成からやり直してください');
+  }
+
+  return saved.state;
+}
+
+/**
+ * Raindrop.io のOAuth2認可を行う
+ * --code を指定しない場合は state 付きの認可画面のURLを表示し、
+ * 指定した場合は --state が認可リクエストと一致することを確認してからトークンと交換して設定ストアに保存する
+ * @param {Object} options - コマンドのオプション
+ * @param {Object} io - 出力先
+ */
+async function runAuthorize(options, io) {
+  const redirectUri = options['redirect-uri'];
+  if (!redirectUri) {
+    throw new Error('--redirect-uri にアプリに登録したリダイレクトURIを指定してください');
+  }
+
+  // APIトークンが未取得でも実行できるよう、スキーマの検証を行わずにクライアントID・シークレットのみ参照する
+  const { config } = await createConfigProviderChain().resolve();
+  const missing = ['RAINDROP_CLIENT_ID', 'RAINDROP_CLIENT_SECRET'].filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(', ')} を設定してください`);
+  }
+
+  if (!options.code) {
+    const state = createOAuthState();
+    await writeFile(oauthStateFilePath(), JSON.stringify({ state, redirectUri, createdAt: new Date().toISOString() }), { mode: 0o600 });
+
+    io.out(
+      '以下のURLをブラウザで開き、アプリを許可してください:',
+      buildAuthorizeUrl({ clientId: config.RAINDROP_CLIENT_ID, redirectUri, state }),
+      '',
+      'リダイレクト先URLの code・state パラメータを指定して10分以内に再実行してください:',
+      `dropcast authorize --redirect-uri ${redirectUri} --code <認可コード> --state <state>`
+    );
+    return;
+  }
+
+  verifyOAuthState(await consumeOAuthState(redirectUri), options.state);
+
+  const store = createOAuthTokenStore(options.store ?? (process.env.CONFIG_SECRET_ID ? ProviderName.SECRETS_MANAGER : ProviderName.SSM));
+  const tokens = await exchangeAuthorizationCode({
+    clientId: config.RAINDROP_CLIENT_ID,
+    clientSecret: config.RAINDROP_CLIENT_SECRET,
+    redirectUri,
+    code: options.code
+  });
+  await store.save(tokens);
+
+  io.out(`アクセストークンとリフレッシュトークンを保存しました: ${store.description}`);
+}
+
+/**
+ * 設定からSESクライアントを作成
+ * @param {Object} config - 検証済み設定オブジェクト
+ * @returns {SESClient} SESクライアント
+ */
+function createSesClient(config) {
+  return new SESClient({
+    region: config.SES_REGION,
+    fromEmail: config.EMAIL_FROM,
+    toEmail: config.EMAIL_TO,
+    ccEmail: config.EMAIL_CC,
+    bccEmail: config.EMAIL_BCC,
+    replyTo: config.EMAIL_REPLY_TO,
+    deliveryMode: config.DELIVERY_MODE
+  });
+}
+
+/**
+ * 標準出力・標準エラー出力への出力先
+ */
+const CONSOLE_IO = {
+  out: (...lines) => console.log(lines.join('\n')),
+  err: (...lines) => console.error(lines.join('\n'))
+};
+
+/**
+ * CLIを実行
+ * @param {Array<string>} argv - コマンドライン引数（コマンド名以降）
+ * @param {Object} io - 出力先（out: 標準出力, err: 標準エラー出力）
+ * @returns {Promise<number>} 終了コード
+ */
+export async function runCli(argv, io = CONSOLE_IO) {
+  let parsed;
+  try {
+    parsed = parseCommand(argv);
+  } catch (error) {
+    io.err(error.message, '', usage());
+    return 2;
+  }
+
+  const { command, options } = parsed;
+  process.env.CONFIG_SOURCE = options.config || process.env.CONFIG_SOURCE ||
+    (options.profile ? ConfigSource.SSM : ConfigSource.ENV);
+
+  try {
+    await COMMANDS[command].run(options, io);
+    return 0;
+  } catch (error) {
+    io.err(`エラー: ${error.message}`);
+    return 1;
+  }
+}
+
+/**
+ * .env の値のうち、DropCast設定以外（AWS_REGION など）を環境変数に読み込む
+ * DropCast設定は取得元を記録するため、dotenv 設定プロバイダーが .env から直接読み込む
+ * @param {Object} env - 読み込み先の環境変数（デフォルト: process.env）
+ */
+export function loadDotenv(env = process.env) {
+  const parsed = {};
+  dotenv.config({ quiet: true, processEnv: parsed });
+
+  const configNames = new Set(PARAMETER_KEYS.map(toEnvName));
+  for (const [name, value] of Object.entries(parsed)) {
+    if (!configNames.has(name) && env[name] === undefined) {
+      env[name] = value;
+    }
+  }
+}
+
+/**
+ * このファイルがコマンドとして実行されたかを判定
+ * npm の bin（node_modules/.bin/dropcast）はシンボリックリンク経由で実行されるため、実体のパスで比較する
+ * @param {string|undefined} scriptPath - 実行されたスクリプトのパス（デフォルト: process.argv[1]）
+ * @returns {boolean} コマンドとして実行された場合はtrue
+ */
+export function isCliEntryPoint(scriptPath = process.argv[1]) {
+  if (!scriptPath) {
+    return false;
+  }
+
+  try {
+    return import.meta.url === pathToFileURL(realpathSync(scriptPath)).href;
+  } catch {
+    return false;
+  }
+}
+
+if (isCliEntryPoint()) {
+  loadDotenv();
+  process.exitCode = await runCli(process.argv.slice(2));
+}
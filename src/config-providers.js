@@ -0,0 +1,308 @@
+/**
+ * 設定プロバイダー
+ * 環境変数・.envファイル・Parameter Store・Secrets Managerから設定を読み込み、
+ * 明示した優先順位で1つの設定にまとめる。値ごとに取得元のプロバイダーを記録する
+ */
+
+import { readFile } from 'node:fs/promises';
+import dotenv from 'dotenv';
+import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import ParameterStore, { PARAMETER_KEYS, toDropCastConfig, toEnvName, toParameterKey } from './parameter-store.js';
+import { ConfigError, ErrorCode } from './error-handler.js';
+import { resolveRegion, RegionService } from './aws-region.js';
+
+/**
+ * 設定プロバイダーの種別
+ */
+export const ProviderName = {
+  ENV: 'env',
+  DOTENV: 'dotenv',
+  SSM: 'ssm',
+  SECRETS_MANAGER: 'secrets-manager',
+  MEMORY: 'memory'
+};
+
+/**
+ * 設定プロバイダーの基底クラス
+ * 実装クラスは load() を提供する
+ */
+export class ConfigProvider {
+  /**
+   * プロバイダー名（ProviderNameの値）
+   * @type {string|null}
+   */
+  name = null;
+
+  /**
+   * プロファイルごとの設定を読み込めるか
+   * @type {boolean}
+   */
+  supportsProfiles = false;
+
+  /**
+   * 設定を読み込む
+   * @param {string|null} _profile - プロファイル名
+   * @returns {Promise<Object>} パラメータのキー（例: email-to）と値のオブジェクト
+   */
+  async load(_profile) {
+    throw new Error(`${this.constructor.name}.load() が実装されていません`);
+  }
+}
+
+/**
+ * 環境変数名のオブジェクトからDropCast設定のパラメータのみを取り出す
+ * @param {Object} values - 環境変数名と値のオブジェクト
+ * @returns {Object} パラメータのキーと値のオブジェクト
+ */
+function pickParameters(values) {
+  return Object.fromEntries(
+    PARAMETER_KEYS
+      .filter(key => values[toEnvName(key)] !== undefined)
+      .map(key => [key, values[toEnvName(key)]])
+  );
+}
+
+/**
+ * 環境変数から読み込むプロバイダー
+ * パラメータのキーを大文字・アンダースコア区切りにした名前（例: email-to → EMAIL_TO）で参照する
+ */
+export class EnvConfigProvider extends ConfigProvider {
+  name = ProviderName.ENV;
+
+  /**
+   * @param {Object} env - 環境変数（デフォルト: process.env）
+   */
+  constructor(env = process.env) {
+    super();
+    this.env = env;
+  }
+
+  async load() {
+    return pickParameters(this.env);
+  }
+}
+
+/**
+ * .envファイルから読み込むプロバイダー
+ * ファイルが存在しない場合は何も返さない
+ */
+export class DotenvConfigProvider extends ConfigProvider {
+  name = ProviderName.DOTENV;
+
+  /**
+   * @param {string} filePath - .envファイルのパス
+   */
+  constructor(filePath = '.env') {
+    super();
+    this.filePath = filePath;
+  }
+
+  async load() {
+    let content;
+    try {
+      content = await readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+
+    return pickParameters(dotenv.parse(content));
+  }
+}
+
+/**
+ * Parameter Storeから読み込むプロバイダー
+ * プロファイルを指定した場合は共通設定にプロファイルの階層を上書きする
+ */
+export class SsmConfigProvider extends ConfigProvider {
+  name = ProviderName.SSM;
+  supportsProfiles = true;
+
+  /**
+   * @param {ParameterStore} parameterStore - Parameter Storeクライアント
+   */
+  constructor(parameterStore = new ParameterStore()) {
+    super();
+    this.parameterStore = parameterStore;
+  }
+
+  async load(profile = null) {
+    return await this.parameterStore.getDropCastParameters(profile);
+  }
+}
+
+/**
+ * Secrets Managerのシークレット（JSON形式）から読み込むプロバイダー
+ * キーは環境変数名（RAINDROP_API_TOKEN）とパラメータのキー（raindrop-api-token）のどちらでもよい
+ */
+export class SecretsManagerConfigProvider extends ConfigProvider {
+  name = ProviderName.SECRETS_MANAGER;
+
+  /**
+   * @param {Object} options - 設定オプション
+   * @param {string} options.secretId - シークレットの名前またはARN
+   * @param {string} options.region - AWSリージョン
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      secretId,
+      region = resolveRegion()
+    } = options;
+
+    this.secretId = secretId;
+    this.client = new SecretsManagerClient({ region });
+  }
+
+  async load() {
+    const response = await this.client.send(new GetSecretValueCommand({ SecretId: this.secretId }));
+
+    let secret;
+    try {
+      secret = JSON.parse(response.SecretString ?? '');
+    } catch (error) {
+      throw new ConfigError(`シークレットはJSON形式である必要があります: ${this.secretId}`, { originalError: error });
+    }
+
+    if (!secret || typeof secret !== 'object' || Array.isArray(secret)) {
+      throw new ConfigError(`シークレットはJSONオブジェクトである必要があります: ${this.secretId}`);
+    }
+
+    return pickParameters(Object.fromEntries(
+      Object.entries(secret).map(([key, value]) => [toEnvName(toParameterKey(key)), value])
+    ));
+  }
+}
+
+/**
+ * 指定した値を返すプロバイダー（テストや上書き用）
+ */
+export class MemoryConfigProvider extends ConfigProvider {
+  name = ProviderName.MEMORY;
+
+  /**
+   * @param {Object} values - 環境変数名（例: EMAIL_TO）と値のオブジェクト
+   */
+  constructor(values = {}) {
+    super();
+    this.values = values;
+  }
+
+  async load() {
+    return pickParameters(this.values);
+  }
+}
+
+/**
+ * 優先順位付きの設定プロバイダーのチェーン
+ * 先頭のプロバイダーほど優先し、値が空でない最初のプロバイダーの値を採用する
+ */
+export class ConfigProviderChain {
+  /**
+   * @param {Array<ConfigProvider>} providers - 優先順位の高い順のプロバイダー
+   */
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * プロバイダー名の一覧（優先順位の高い順）
+   * @returns {Array<string>}
+   */
+  get names() {
+    return this.providers.map(provider => provider.name);
+  }
+
+  /**
+   * すべてのプロバイダーから読み込み、DropCast設定にまとめる
+   * @param {string|null} profile - プロファイル名
+   * @returns {Promise<{config: Object, sources: Object<string, string>}>}
+   *   DropCast設定と、環境変数名（例: RAINDROP_API_TOKEN）ごとの取得元プロバイダー名
+   * @throws {ConfigError} プロファイルを読み込めるプロバイダーが無い場合
+   */
+  async resolve(profile = null) {
+    if (profile && !this.providers.some(provider => provider.supportsProfiles)) {
+      throw new ConfigError(
+        `プロファイルはParameter Storeの設定でのみ使用できます: ${profile}（設定プロバイダー: ${this.names.join(', ')}）`
+      );
+    }
+
+    const loaded = await Promise.all(this.providers.map(provider => provider.load(profile)));
+
+    const parameters = {};
+    const sources = {};
+    for (const key of PARAMETER_KEYS) {
+      const index = loaded.findIndex(values => values[key] !== undefined && values[key] !== null && values[key] !== '');
+      if (index !== -1) {
+        parameters[key] = loaded[index][key];
+        sources[toEnvName(key)] = this.providers[index].name;
+      }
+    }
+
+    // 対応する設定項目が無いパラメータ（Parameter Storeのキーの誤りなど）は検証で報告するため引き継ぐ
+    for (const values of loaded) {
+      for (const [key, value] of Object.entries(values)) {
+        if (!PARAMETER_KEYS.includes(key) && !(key in parameters)) {
+          parameters[key] = value;
+        }
+      }
+    }
+
+    return { config: toDropCastConfig(parameters), sources };
+  }
+}
+
+/**
+ * 設定プロバイダーの既定の優先順位
+ */
+const DEFAULT_PROVIDERS = {
+  // ローカル実行（CONFIG_SOURCE=env）
+  env: [ProviderName.ENV, ProviderName.DOTENV],
+  // Lambda実行（CONFIG_SECRET_ID が未設定の場合、Secrets Managerは使用しない）
+  ssm: [ProviderName.SECRETS_MANAGER, ProviderName.SSM]
+};
+
+/**
+ * 環境変数の設定から設定プロバイダーのチェーンを作成
+ * CONFIG_PROVIDERS（カンマ区切り、優先順位の高い順）が未設定の場合は CONFIG_SOURCE に応じた既定の順位とする
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {ConfigProviderChain} 設定プロバイダーのチェーン
+ * @throws {ConfigError} 未対応のプロバイダー名、またはシークレットIDが未設定の場合
+ */
+export function createConfigProviderChain(env = process.env) {
+  const region = resolveRegion(null, env);
+  const explicit = Boolean(env.CONFIG_PROVIDERS);
+  const names = explicit ?
+    env.CONFIG_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean) :
+    DEFAULT_PROVIDERS[env.CONFIG_SOURCE === 'env' ? 'env' : 'ssm'];
+
+  const factories = {
+    [ProviderName.ENV]: () => new EnvConfigProvider(env),
+    [ProviderName.DOTENV]: () => new DotenvConfigProvider(env.DOTENV_PATH || '.env'),
+    [ProviderName.SSM]: () => new SsmConfigProvider(new ParameterStore(resolveRegion(RegionService.SSM, env))),
+    [ProviderName.SECRETS_MANAGER]: () => {
+      if (!env.CONFIG_SECRET_ID) {
+        if (explicit) {
+          throw new ConfigError('CONFIG_PROVIDERS に secrets-manager を指定する場合は CONFIG_SECRET_ID を設定してください', {
+            code: ErrorCode.CONFIG_MISSING
+          });
+        }
+        return null;
+      }
+      return new SecretsManagerConfigProvider({ secretId: env.CONFIG_SECRET_ID, region });
+    }
+  };
+
+  const providers = names.map(name => {
+    if (!factories[name]) {
+      throw new ConfigError(`未対応の設定プロバイダーです: ${name}（利用可能: ${Object.keys(factories).join(', ')}）`);
+    }
+    return factories[name]();
+  });
+
+  return new ConfigProviderChain(providers.filter(Boolean));
+}
+
+export default ConfigProviderChain;
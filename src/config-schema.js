@@ -0,0 +1,131 @@
+/**
+ * 設定スキーマ
+ * DropCast設定の型・デフォルト値・選択肢を宣言し、すべての項目をまとめて検証する
+ */
+
+import { DeliveryMode } from './ses-client.js';
+import { OutputFormat, listOutputFormats } from './output-formats.js';
+import { GroupBy } from './email-formatter.js';
+import { AttachmentType } from './digest-attachments.js';
+
+/**
+ * 設定値の型
+ */
+export const ConfigType = {
+  STRING: 'string',
+  ENUM: 'enum',
+  LIST: 'list'
+};
+
+/**
+ * 設定項目の定義
+ * @typedef {Object} ConfigField
+ * @property {string} type - 型（ConfigTypeの値）
+ * @property {boolean} [required] - 必須項目か
+ * @property {*} [default] - 未設定の場合の値
+ * @property {function(): Array<string>} [values] - 選択肢（ENUM・LISTの場合。出力フォーマットなど実行時に登録されるものがあるため関数とする）
+ */
+
+/**
+ * DropCast設定のスキーマ（フィルタ設定はフィルタルールの作成時に検証する）
+ * @type {Object<string, ConfigField>}
+ */
+export const CONFIG_SCHEMA = {
+  RAINDROP_API_TOKEN: { type: ConfigType.STRING, required: true },
+  RAINDROP_REFRESH_TOKEN: { type: ConfigType.STRING, default: null },
+  RAINDROP_CLIENT_ID: { type: ConfigType.STRING, default: null },
+  RAINDROP_CLIENT_SECRET: { type: ConfigType.STRING, default: null },
+  EMAIL_FROM: { type: ConfigType.STRING, required: true },
+  EMAIL_TO: { type: ConfigType.STRING, required: true },
+  EMAIL_CC: { type: ConfigType.STRING, default: null },
+  EMAIL_BCC: { type: ConfigType.STRING, default: null },
+  EMAIL_REPLY_TO: { type: ConfigType.STRING, default: null },
+  DELIVERY_MODE: { type: ConfigType.ENUM, values: () => Object.values(DeliveryMode), default: DeliveryMode.BATCH },
+  OUTPUT_FORMAT: { type: ConfigType.ENUM, values: listOutputFormats, default: OutputFormat.TEXTILE },
+  GROUP_BY: { type: ConfigType.ENUM, values: () => Object.values(GroupBy), default: GroupBy.COLLECTION },
+  ATTACHMENTS: { type: ConfigType.LIST, values: () => Object.values(AttachmentType), default: [] },
+  SEARCH_QUERY: { type: ConfigType.STRING, default: null }
+};
+
+/**
+ * 設定値を1項目検証して変換
+ * @param {string} key - 設定キー
+ * @param {*} value - 設定値（空でないもの）
+ * @param {ConfigField} field - 設定項目の定義
+ * @returns {{value: *, error: string|null}} 変換後の値とエラー
+ */
+function coerceField(key, value, field) {
+  if (field.type === ConfigType.LIST) {
+    const items = Array.isArray(value) ? value :
+      typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+
+    if (items === null) {
+      return { value, error: `${key} はカンマ区切りの文字列である必要があります` };
+    }
+
+    const allowed = field.values();
+    const unknown = items.filter(item => !allowed.includes(item));
+    if (unknown.length > 0) {
+      return { value, error: `${key} の値が無効です: ${unknown.join(', ')}（利用可能: ${allowed.join(', ')}）` };
+    }
+    return { value: items, error: null };
+  }
+
+  if (typeof value !== 'string') {
+    return { value, error: `${key} は文字列である必要があります` };
+  }
+
+  if (field.type === ConfigType.ENUM && !field.values().includes(value)) {
+    return { value, error: `${key} の値が無効です: ${value}（利用可能: ${field.values().join(', ')}）` };
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * スキーマ以外で検証する設定項目（フィルタ設定はフィルタルールの作成時に検証する）
+ */
+const SEPARATELY_VALIDATED_KEYS = ['FILTERS'];
+
+/**
+ * 設定をスキーマで検証し、デフォルト値を補う
+ * 最初のエラーで止めず、すべての項目のエラーをまとめて返す。
+ * スキーマに無い項目はエラーにせず、警告できるよう未対応の設定項目として返す
+ * @param {Object} config - 設定オブジェクト（Parameter Storeまたは環境変数の値）
+ * @param {Object<string, ConfigField>} schema - 設定スキーマ（デフォルト: CONFIG_SCHEMA）
+ * @returns {{values: Object, errors: Array<string>, missing: Array<string>, unknown: Array<string>}}
+ *   変換後の設定、エラーメッセージ、未設定の必須項目、未対応の設定項目
+ */
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const values = {};
+  const errors = [];
+  const missing = [];
+
+  for (const [key, field] of Object.entries(schema)) {
+    const value = config[key];
+
+    if (value === undefined || value === null || value === '') {
+      if (field.required) {
+        missing.push(key);
+      }
+      values[key] = Array.isArray(field.default) ? [...field.default] : field.default ?? null;
+      continue;
+    }
+
+    const result = coerceField(key, value, field);
+    values[key] = result.value;
+    if (result.error) {
+      errors.push(result.error);
+    }
+  }
+
+  const unknown = Object.keys(config).filter(key => !(key in schema) && !SEPARATELY_VALIDATED_KEYS.includes(key));
+
+  if (missing.length > 0) {
+    errors.unshift(`必須設定が取得できませんでした: ${missing.join(', ')}`);
+  }
+
+  return { values, errors, missing, unknown };
+}
+
+export default validateConfig;
@@ -0,0 +1,154 @@
+/**
+ * ダイジェストの添付ファイル生成
+ * ダイジェストメールに添付するMarkdown・CSV・ブックマークHTML（Netscape形式）を作成
+ */
+
+import { OutputFormat, escapeHtml } from './output-formats.js';
+import { EmailFormatter } from './email-formatter.js';
+import { ConfigError } from './error-handler.js';
+
+/**
+ * 添付ファイルの種別
+ */
+export const AttachmentType = {
+  MARKDOWN: 'markdown',
+  CSV: 'csv',
+  BOOKMARKS_HTML: 'bookmarks-html'
+};
+
+/**
+ * CSVの列（ヘッダー名と値の取得方法）
+ */
+const CSV_COLUMNS = [
+  ['id', bookmark => bookmark.id],
+  ['title', bookmark => bookmark.title],
+  ['url', bookmark => bookmark.url],
+  ['folder', bookmark => bookmark.folder],
+  ['tags', bookmark => (bookmark.tags || []).join(' ')],
+  ['domain', bookmark => bookmark.domain],
+  ['type', bookmark => bookmark.type],
+  ['favorite', bookmark => bookmark.isFavorite ? 'true' : 'false'],
+  ['excerpt', bookmark => bookmark.excerpt],
+  ['created', bookmark => new Date(bookmark.createdAt).toISOString()]
+];
+
+/**
+ * CSVの値をエスケープ（RFC 4180）
+ * @param {*} value - 値
+ * @returns {string} エスケープ済みの値
+ */
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * ブックマーク配列をCSVに変換
+ * Excelで文字化けしないようBOM付きUTF-8とする
+ * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+ * @returns {string} CSV
+ */
+export function toCsv(bookmarks) {
+  const rows = [
+    CSV_COLUMNS.map(([name]) => name),
+    ...bookmarks.map(bookmark => CSV_COLUMNS.map(([, valueOf]) => escapeCsv(valueOf(bookmark))))
+  ];
+
+  return '\uFEFF' + rows.map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * ブックマーク配列をNetscapeブックマーク形式のHTMLに変換
+ * ブラウザのブックマークインポートで読み込める。フォルダはコレクション階層に沿って入れ子にする
+ * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+ * @param {string} title - ブックマークファイルのタイトル
+ * @returns {string} HTML
+ */
+export function toNetscapeBookmarks(bookmarks, title = 'DropCast') {
+  const root = { children: new Map(), bookmarks: [] };
+
+  for (const bookmark of bookmarks) {
+    const path = bookmark.collectionPath?.length > 0 ? bookmark.collectionPath : [bookmark.folder || '未分類'];
+    let node = root;
+
+    for (const name of path) {
+      if (!node.children.has(name)) {
+        node.children.set(name, { children: new Map(), bookmarks: [] });
+      }
+      node = node.children.get(name);
+    }
+
+    node.bookmarks.push(bookmark);
+  }
+
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    `<TITLE>${escapeHtml(title)}</TITLE>`,
+    `<H1>${escapeHtml(title)}</H1>`
+  ];
+
+  const writeNode = (node, indent) => {
+    lines.push(`${indent}<DL><p>`);
+
+    for (const [name, child] of node.children) {
+      lines.push(`${indent}    <DT><H3>${escapeHtml(name)}</H3>`);
+      writeNode(child, `${indent}    `);
+    }
+
+    for (const bookmark of node.bookmarks) {
+      const addDate = Math.floor(new Date(bookmark.createdAt).getTime() / 1000);
+      const tags = (bookmark.tags || []).length > 0 ? ` TAGS="${escapeHtml(bookmark.tags.join(','))}"` : '';
+      lines.push(`${indent}    <DT><A HREF="${escapeHtml(bookmark.url)}" ADD_DATE="${addDate}"${tags}>${escapeHtml(bookmark.title)}</A>`);
+    }
+
+    lines.push(`${indent}</DL><p>`);
+  };
+
+  writeNode(root, '');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * ダイジェストの添付ファイルを作成
+ * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+ * @param {Array<string>} types - 添付ファイルの種別（AttachmentTypeの値）
+ * @param {Object} options - 作成オプション
+ * @param {Date} options.date - ファイル名に使用する日付（デフォルト: 現在）
+ * @param {Object} options.renderOptions - Markdown描画時のオプション（期間・グループ化方法など）
+ * @returns {Array<MimeAttachment>} 添付ファイルの配列
+ * @throws {ConfigError} 未対応の種別が含まれる場合
+ */
+export function createDigestAttachments(bookmarks, types = [], options = {}) {
+  const { date = new Date(), renderOptions = {} } = options;
+  const stamp = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const baseName = `dropcast-digest-${stamp}`;
+
+  return types.map(type => {
+    switch (type) {
+      case AttachmentType.MARKDOWN:
+        return {
+          filename: `${baseName}.md`,
+          contentType: 'text/markdown; charset=UTF-8',
+          content: EmailFormatter.render(bookmarks, { ...renderOptions, format: OutputFormat.MARKDOWN })
+        };
+      case AttachmentType.CSV:
+        return {
+          filename: `${baseName}.csv`,
+          contentType: 'text/csv; charset=UTF-8',
+          content: toCsv(bookmarks)
+        };
+      case AttachmentType.BOOKMARKS_HTML:
+        return {
+          filename: `${baseName}-bookmarks.html`,
+          contentType: 'text/html; charset=UTF-8',
+          content: toNetscapeBookmarks(bookmarks, `DropCast ${stamp}`)
+        };
+      default:
+        throw new ConfigError(`未対応の添付ファイル種別です: ${type}（利用可能: ${Object.values(AttachmentType).join(', ')}）`);
+    }
+  });
+}
+
+export default createDigestAttachments;
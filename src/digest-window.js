@@ -0,0 +1,154 @@
+/**
+ * ダイジェスト期間の解決
+ * Lambdaイベントの指定からブックマーク取得対象の期間を決定
+ */
+
+import { AppError, ErrorType, ErrorSeverity, ErrorCode } from './error-handler.js';
+
+/**
+ * ダイジェスト期間の種別
+ */
+export const DigestPeriod = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  CUSTOM: 'custom'
+};
+
+/**
+ * ダイジェスト期間オブジェクトの型定義
+ * @typedef {Object} DigestWindow
+ * @property {Date} startDate - 開始日時
+ * @property {Date} endDate - 終了日時
+ * @property {string} period - 期間種別（DigestPeriodの値）
+ */
+
+/**
+ * 期間指定エラーを生成
+ * @param {string} detail - エラー詳細
+ * @returns {AppError} 設定エラー
+ */
+function invalidWindowError(detail) {
+  return new AppError(
+    `ダイジェスト期間の指定が無効です: ${detail}`,
+    ErrorType.CONFIGURATION_ERROR,
+    ErrorSeverity.HIGH,
+    null,
+    ErrorCode.CONFIG_INVALID
+  );
+}
+
+/**
+ * 日時指定を解析
+ * @param {string|number|Date} value - 日時指定
+ * @param {string} name - フィールド名
+ * @returns {Date} 解析済み日時
+ */
+function parseDate(value, name) {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+
+  if (value === null || value === '' || isNaN(date.getTime())) {
+    throw invalidWindowError(`${name} は有効な日時である必要があります`);
+  }
+
+  return date;
+}
+
+/**
+ * 期間種別から開始日時を計算
+ * @param {string} period - 期間種別
+ * @param {Date} endDate - 終了日時
+ * @returns {Date} 開始日時
+ */
+function startDateForPeriod(period, endDate) {
+  const startDate = new Date(endDate.getTime());
+
+  switch (period) {
+    case DigestPeriod.DAILY:
+      startDate.setDate(startDate.getDate() - 1);
+      break;
+    case DigestPeriod.WEEKLY:
+      startDate.setDate(startDate.getDate() - 7);
+      break;
+    case DigestPeriod.MONTHLY:
+      startDate.setMonth(startDate.getMonth() - 1);
+      break;
+    default:
+      throw invalidWindowError(`period は daily, weekly, monthly のいずれかである必要があります (${period})`);
+  }
+
+  return startDate;
+}
+
+/**
+ * イベントで取得範囲が明示されているか判定
+ * 明示された場合は差分配信（ウォーターマーク）を使用しない
+ * @param {Object} event - Lambdaイベント
+ * @returns {boolean} from/to または lookbackDays が指定されている場合はtrue
+ */
+export function hasExplicitRange(event = {}) {
+  const { from, to, lookbackDays } = event || {};
+  return from !== undefined || to !== undefined || lookbackDays !== undefined;
+}
+
+/**
+ * Lambdaイベントからダイジェスト期間を解決
+ *
+ * 優先順位は `{ from, to }` → `{ lookbackDays }` → `{ period }` の順で、
+ * いずれも指定されない場合は過去7日間（weekly）となる。
+ * `period` は他の指定と併用した場合、件名・ヘッダーの表記にのみ使用される。
+ *
+ * @param {Object} event - Lambdaイベント
+ * @param {string|number|Date} [event.from] - 開始日時
+ * @param {string|number|Date} [event.to] - 終了日時（省略時は現在）
+ * @param {number} [event.lookbackDays] - 現在から遡る日数
+ * @param {string} [event.period] - daily | weekly | monthly
+ * @param {Date} now - 基準日時
+ * @returns {DigestWindow} 解決済みダイジェスト期間
+ */
+export function resolveDigestWindow(event = {}, now = new Date()) {
+  const { from, to, lookbackDays, period } = event || {};
+
+  if (period !== undefined && !Object.values(DigestPeriod).includes(period)) {
+    throw invalidWindowError(`period は daily, weekly, monthly のいずれかである必要があります (${period})`);
+  }
+
+  const endDate = to !== undefined ? parseDate(to, 'to') : new Date(now.getTime());
+
+  if (from !== undefined) {
+    const startDate = parseDate(from, 'from');
+
+    if (startDate >= endDate) {
+      throw invalidWindowError('from は to より前の日時である必要があります');
+    }
+
+    return { startDate, endDate, period: period || DigestPeriod.CUSTOM };
+  }
+
+  if (to !== undefined) {
+    throw invalidWindowError('to を指定する場合は from も指定してください');
+  }
+
+  if (lookbackDays !== undefined) {
+    const days = Number(lookbackDays);
+
+    if (!Number.isInteger(days) || days <= 0) {
+      throw invalidWindowError(`lookbackDays は正の整数である必要があります (${lookbackDays})`);
+    }
+
+    const startDate = new Date(endDate.getTime());
+    startDate.setDate(startDate.getDate() - days);
+
+    return { startDate, endDate, period: period || DigestPeriod.CUSTOM };
+  }
+
+  const resolvedPeriod = period || DigestPeriod.WEEKLY;
+
+  return {
+    startDate: startDateForPeriod(resolvedPeriod, endDate),
+    endDate,
+    period: resolvedPeriod
+  };
+}
+
+export default resolveDigestWindow;
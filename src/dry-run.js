@@ -0,0 +1,69 @@
+/**
+ * ドライラン（送信なしのプレビュー）
+ * SESを呼び出さずに生成したメール内容を確認するための補助関数
+ */
+
+import { writeFile, mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * 真偽値として扱う環境変数の値
+ */
+const TRUE_VALUES = ['true', '1', 'yes'];
+
+/**
+ * ドライランで実行するか判定
+ * イベントの dryRun を優先し、未指定の場合は環境変数 DRY_RUN を参照する
+ * @param {Object} event - Lambdaイベント
+ * @returns {boolean} ドライランの場合はtrue
+ */
+export function isDryRun(event) {
+  if (typeof event?.dryRun === 'boolean') {
+    return event.dryRun;
+  }
+
+  return TRUE_VALUES.includes((process.env.DRY_RUN || '').trim().toLowerCase());
+}
+
+/**
+ * ドライランの出力先ディレクトリを取得
+ * @param {Object} event - Lambdaイベント
+ * @returns {string|null} 出力先ディレクトリ（未指定の場合はnull）
+ */
+export function dryRunOutputDir(event) {
+  return event?.dryRunOutputDir || process.env.DRY_RUN_OUTPUT_DIR || null;
+}
+
+/**
+ * 生成したメール内容をファイルに書き出す
+ * 件名とテキスト本文を preview.txt、HTML本文を preview.html、添付ファイルは元のファイル名で保存する
+ * @param {Object} preview - SESClient.previewBookmarkDigest()の結果
+ * @param {string} outputDir - 出力先ディレクトリ
+ * @returns {Promise<Array<string>>} 書き出したファイルのパス
+ */
+export async function writeDryRunOutput(preview, outputDir) {
+  await mkdir(outputDir, { recursive: true });
+
+  const files = [
+    ['preview.txt', `Subject: ${preview.subject}\n\n${preview.body}\n`]
+  ];
+
+  if (preview.htmlBody) {
+    files.push(['preview.html', preview.htmlBody]);
+  }
+
+  for (const attachment of preview.attachments || []) {
+    files.push([attachment.filename, attachment.content]);
+  }
+
+  const paths = [];
+  for (const [filename, content] of files) {
+    const path = join(outputDir, filename);
+    await writeFile(path, content);
+    paths.push(path);
+  }
+
+  return paths;
+}
+
+export default isDryRun;
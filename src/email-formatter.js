@@ -1,175 +1,359 @@
 /**
  * メールフォーマット機能
- * ブックマークデータをRedmine用マークダウン形式でフォーマット
+ * ブックマークデータをダイジェスト文書にまとめ、出力フォーマットのレンダラーで描画
  */
 
+import { DigestPeriod } from './digest-window.js';
+import { OutputFormat, getOutputFormat } from './output-formats.js';
+import { BookmarkType, FOLDER_PATH_SEPARATOR } from './bookmark-model.js';
+import { ConfigError } from './error-handler.js';
+
+/**
+ * ブックマークのグループ化方法
+ */
+export const GroupBy = {
+  COLLECTION: 'collection',
+  TAG: 'tag',
+  DOMAIN: 'domain',
+  TYPE: 'type',
+  DAY: 'day'
+};
+
+/**
+ * ブックマーク種別の表示名（表示順）
+ */
+const TYPE_LABELS = {
+  [BookmarkType.ARTICLE]: '記事',
+  [BookmarkType.LINK]: 'リンク',
+  [BookmarkType.VIDEO]: '動画',
+  [BookmarkType.AUDIO]: '音声',
+  [BookmarkType.IMAGE]: '画像',
+  [BookmarkType.DOCUMENT]: 'ドキュメント'
+};
+
+/**
+ * 期間種別ごとの表記
+ */
+const PERIOD_LABELS = {
+  [DigestPeriod.DAILY]: {
+    subject: '日次ブックマークダイジェスト',
+    header: '今日のブックマークダイジェスト',
+    empty: '今日は新しいブックマークがありませんでした。'
+  },
+  [DigestPeriod.WEEKLY]: {
+    subject: '週次ブックマークダイジェスト',
+    header: '今週のブックマークダイジェスト',
+    empty: '今週は新しいブックマークがありませんでした。'
+  },
+  [DigestPeriod.MONTHLY]: {
+    subject: '月次ブックマークダイジェスト',
+    header: '今月のブックマークダイジェスト',
+    empty: '今月は新しいブックマークがありませんでした。'
+  },
+  [DigestPeriod.CUSTOM]: {
+    subject: 'ブックマークダイジェスト',
+    header: 'ブックマークダイジェスト',
+    empty: 'この期間は新しいブックマークがありませんでした。'
+  }
+};
+
+/**
+ * 一部のブックマークを取得できなかった場合の注意書き
+ */
+const PARTIAL_NOTICE = '一部のブックマークを取得できませんでした。このダイジェストには取得できた分のみが含まれています。';
+
+/**
+ * 期間種別の表記を取得
+ * @param {string} period - 期間種別
+ * @returns {Object} 表記オブジェクト
+ */
+function periodLabels(period) {
+  return PERIOD_LABELS[period] || PERIOD_LABELS[DigestPeriod.WEEKLY];
+}
+
 /**
  * メールフォーマッタークラス
  */
 export class EmailFormatter {
   /**
-   * ブックマーク配列をメール本文にフォーマット
+   * ブックマーク配列を指定フォーマットで描画
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @param {Object} options - フォーマットオプション
+   * @param {string} options.format - 出力フォーマット名（デフォルト: textile）
+   * @returns {string} 描画結果
+   */
+  static render(bookmarks, options = {}) {
+    const { format = OutputFormat.TEXTILE } = options;
+    const renderer = getOutputFormat(format);
+
+    return renderer.render(EmailFormatter.buildDigestDocument(bookmarks, options));
+  }
+
+  /**
+   * ブックマーク配列をメール本文（Redmine Textile形式）にフォーマット
    * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
    * @param {Object} options - フォーマットオプション
    * @returns {string} フォーマット済みメール本文
    */
   static formatBookmarksToEmailBody(bookmarks, options = {}) {
+    return EmailFormatter.render(bookmarks, { ...options, format: OutputFormat.TEXTILE });
+  }
+
+  /**
+   * ブックマーク配列をHTMLメール本文にフォーマット
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @param {Object} options - フォーマットオプション
+   * @returns {string} フォーマット済みHTML
+   */
+  static formatBookmarksToHtmlBody(bookmarks, options = {}) {
+    return EmailFormatter.render(bookmarks, { ...options, format: OutputFormat.HTML });
+  }
+
+  /**
+   * レンダラーに渡すダイジェスト文書を構築
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @param {Object} options - フォーマットオプション
+   * @param {boolean} options.partial - 一部のブックマークを取得できなかった場合はtrue（注意書きを表示）
+   * @returns {DigestDocument} ダイジェスト文書
+   */
+  static buildDigestDocument(bookmarks, options = {}) {
     const {
       dateRange = null,
-      includeHeader = true
+      includeHeader = true,
+      period = DigestPeriod.WEEKLY,
+      groupBy = GroupBy.COLLECTION,
+      partial = false
     } = options;
 
-    // 空データの処理
-    if (!bookmarks || bookmarks.length === 0) {
-      return EmailFormatter.#formatEmptyMessage(dateRange);
-    }
+    const labels = periodLabels(period);
+    const bookmarkCount = bookmarks ? bookmarks.length : 0;
 
-    let emailBody = '';
+    // 指定された方法でセクションに分割
+    const sections = bookmarkCount === 0 ? [] :
+      groupBy === GroupBy.COLLECTION ?
+        EmailFormatter.#buildCollectionSections(bookmarks) :
+        EmailFormatter.#buildFlatSections(bookmarks, groupBy);
 
-    // ヘッダーの追加
-    if (includeHeader) {
-      emailBody += EmailFormatter.#formatHeader(bookmarks.length, dateRange);
-      emailBody += '\n\n';
-    }
-
-    // フォルダ別にグループ化
-    const groupedBookmarks = EmailFormatter.#groupBookmarksByFolder(bookmarks);
-
-    // 各フォルダのブックマークをフォーマット
-    const folderSections = [];
-    for (const [folderName, folderBookmarks] of Object.entries(groupedBookmarks)) {
-      const section = EmailFormatter.#formatFolderSection(folderName, folderBookmarks);
-      folderSections.push(section);
-    }
-
-    emailBody += folderSections.join('\n\n');
-
-    return emailBody;
+    return {
+      title: dateRange ? `${labels.header} (${dateRange})` : labels.header,
+      period,
+      dateRange,
+      bookmarkCount,
+      summary: `合計 ${bookmarkCount} 件のブックマークが見つかりました。`,
+      emptyMessage: labels.empty,
+      notice: partial ? PARTIAL_NOTICE : null,
+      includeHeader,
+      groupBy,
+      sections
+    };
   }
 
   /**
-   * ブックマークをフォルダ別にグループ化
+   * コレクション階層に沿ったセクションを構築
+   *
+   * 親子関係を木構造にまとめ、深さ優先（親→子の順）で平坦化する。
+   * 自身にブックマークが無く子が1つだけの中間コレクションは子と結合し、
+   * "Dev / Frontend" のように1つのセクションとして扱う。
+   *
    * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
-   * @returns {Object} フォルダ名をキーとするブックマーク配列のオブジェクト
+   * @returns {Array<DigestSection>} セクション配列
    */
-  static #groupBookmarksByFolder(bookmarks) {
-    const grouped = {};
+  static #buildCollectionSections(bookmarks) {
+    const root = { name: null, children: new Map(), bookmarks: [] };
 
     bookmarks.forEach(bookmark => {
-      const folderName = bookmark.folder || '未分類';
-
-      if (!grouped[folderName]) {
-        grouped[folderName] = [];
+      const path = Array.isArray(bookmark.collectionPath) && bookmark.collectionPath.length > 0 ?
+        bookmark.collectionPath : [bookmark.folder || '未分類'];
+
+      let node = root;
+      for (const name of path) {
+        if (!node.children.has(name)) {
+          node.children.set(name, { name, children: new Map(), bookmarks: [] });
+        }
+        node = node.children.get(name);
       }
 
-      grouped[folderName].push(bookmark);
+      node.bookmarks.push(bookmark);
     });
 
-    // フォルダ名でソート（日本語対応）
-    const sortedGrouped = {};
-    const sortedFolderNames = Object.keys(grouped).sort((a, b) => {
-      return a.localeCompare(b, 'ja');
-    });
+    const sections = [];
+    const compareNames = EmailFormatter.#groupComparator(GroupBy.COLLECTION);
 
-    sortedFolderNames.forEach(folderName => {
-      // 各フォルダ内のブックマークも作成日時でソート（新しい順）
-      grouped[folderName].sort((a, b) => {
-        return new Date(b.createdAt) - new Date(a.createdAt);
-      });
+    const visit = (node, parentPath, depth) => {
+      const names = [node.name];
 
-      sortedGrouped[folderName] = grouped[folderName];
-    });
+      // ブックマークの無い中間コレクションを折りたたむ
+      while (node.bookmarks.length === 0 && node.children.size === 1) {
+        node = node.children.values().next().value;
+        names.push(node.name);
+      }
 
-    return sortedGrouped;
+      const section = {
+        name: names.join(FOLDER_PATH_SEPARATOR),
+        path: [...parentPath, ...names],
+        depth,
+        count: EmailFormatter.#countBookmarks(node),
+        bookmarks: EmailFormatter.#sortByCreatedAt(node.bookmarks)
+      };
+      sections.push(section);
+
+      [...node.children.values()]
+        .sort((a, b) => compareNames(a.name, b.name))
+        .forEach(child => visit(child, section.path, depth + 1));
+    };
+
+    [...root.children.values()]
+      .sort((a, b) => compareNames(a.name, b.name))
+      .forEach(child => visit(child, [], 0));
+
+    return sections;
   }
 
   /**
-   * フォルダセクションをフォーマット
-   * @param {string} folderName - フォルダ名
-   * @param {Array<BookmarkModel>} bookmarks - そのフォルダのブックマーク配列
-   * @returns {string} フォーマット済みフォルダセクション
+   * 階層を持たないグループ化方法のセクションを構築
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @param {string} groupBy - グループ化方法
+   * @returns {Array<DigestSection>} セクション配列
    */
-  static #formatFolderSection(folderName, bookmarks) {
-    // h4. [フォルダ名] 形式
-    let section = `h4. ${folderName}`;
-
-    // 各ブックマークをフォーマット
-    bookmarks.forEach(bookmark => {
-      const formattedBookmark = EmailFormatter.#formatSingleBookmark(bookmark);
-      section += '\n' + formattedBookmark;
-    });
-
-    return section;
+  static #buildFlatSections(bookmarks, groupBy) {
+    return Object.entries(EmailFormatter.#groupBookmarks(bookmarks, groupBy)).map(([name, groupBookmarks]) => ({
+      name,
+      path: [name],
+      depth: 0,
+      count: groupBookmarks.length,
+      bookmarks: groupBookmarks
+    }));
   }
 
   /**
-   * 単一ブックマークをフォーマット
-   * @param {BookmarkModel} bookmark - ブックマークオブジェクト
-   * @returns {string} フォーマット済みブックマーク行
+   * コレクション木のノード配下（子孫を含む）のブックマーク数を集計
+   * @param {Object} node - コレクション木のノード
+   * @returns {number} ブックマーク数
    */
-  static #formatSingleBookmark(bookmark) {
-    // * "[タイトル]":[URL] 形式
-    let formattedLine = `* "${bookmark.title}":${bookmark.url}`;
-
-    // お気に入りマークの付与
-    if (bookmark.isFavorite) {
-      formattedLine += ' %{color: red}★%';
+  static #countBookmarks(node) {
+    let count = node.bookmarks.length;
+    for (const child of node.children.values()) {
+      count += EmailFormatter.#countBookmarks(child);
     }
+    return count;
+  }
 
-    return formattedLine;
+  /**
+   * ブックマークを作成日時でソート（新しい順）
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @returns {Array<BookmarkModel>} ソート済みブックマーク配列
+   */
+  static #sortByCreatedAt(bookmarks) {
+    return bookmarks.sort((a, b) => {
+      return new Date(b.createdAt) - new Date(a.createdAt);
+    });
   }
 
   /**
-   * ヘッダーをフォーマット
-   * @param {number} bookmarkCount - ブックマーク数
-   * @param {string|null} dateRange - 日付範囲
-   * @returns {string} フォーマット済みヘッダー
+   * ブックマークをグループ化
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @param {string} groupBy - グループ化方法（GroupByの値）
+   * @returns {Object} グループ名をキーとするブックマーク配列のオブジェクト
    */
-  static #formatHeader(bookmarkCount, dateRange = null) {
-    let header = `今週のブックマークダイジェスト`;
+  static #groupBookmarks(bookmarks, groupBy) {
+    const grouped = {};
 
-    if (dateRange) {
-      header += ` (${dateRange})`;
-    }
+    bookmarks.forEach(bookmark => {
+      for (const groupName of EmailFormatter.#groupNamesOf(bookmark, groupBy)) {
+        if (!grouped[groupName]) {
+          grouped[groupName] = [];
+        }
 
-    header += `\n\n合計 ${bookmarkCount} 件のブックマークが見つかりました。`;
+        grouped[groupName].push(bookmark);
+      }
+    });
 
-    return header;
+    const sortedGrouped = {};
+    const sortedGroupNames = Object.keys(grouped).sort(EmailFormatter.#groupComparator(groupBy));
+
+    sortedGroupNames.forEach(groupName => {
+      // 各グループ内のブックマークは作成日時でソート（新しい順）
+      sortedGrouped[groupName] = EmailFormatter.#sortByCreatedAt(grouped[groupName]);
+    });
+
+    return sortedGrouped;
   }
 
   /**
-   * 空データ時のメッセージをフォーマット
-   * @param {string|null} dateRange - 日付範囲
-   * @returns {string} 空データメッセージ
+   * ブックマークが属するグループ名を取得
+   * タグでのグループ化では、複数のタグを持つブックマークは各タグのグループに含まれる
+   * @param {BookmarkModel} bookmark - ブックマークオブジェクト
+   * @param {string} groupBy - グループ化方法
+   * @returns {Array<string>} グループ名の配列
    */
-  static #formatEmptyMessage(dateRange = null) {
-    let message = '今週のブックマークダイジェスト';
-
-    if (dateRange) {
-      message += ` (${dateRange})`;
+  static #groupNamesOf(bookmark, groupBy) {
+    switch (groupBy) {
+      case GroupBy.COLLECTION:
+        return [bookmark.folder || '未分類'];
+      case GroupBy.TAG:
+        return bookmark.tags && bookmark.tags.length > 0 ? [...new Set(bookmark.tags)] : ['タグなし'];
+      case GroupBy.DOMAIN:
+        return [bookmark.domain || '不明なドメイン'];
+      case GroupBy.TYPE:
+        return [TYPE_LABELS[bookmark.type] || TYPE_LABELS[BookmarkType.LINK]];
+      case GroupBy.DAY:
+        return [EmailFormatter.#formatDate(new Date(bookmark.createdAt))];
+      default:
+        throw new ConfigError(`未対応のグループ化方法です: ${groupBy}（利用可能: ${Object.values(GroupBy).join(', ')}）`);
     }
+  }
 
-    message += '\n\n今週は新しいブックマークがありませんでした。';
+  /**
+   * グループ名の並び順を取得
+   * @param {string} groupBy - グループ化方法
+   * @returns {function(string, string): number} 比較関数
+   */
+  static #groupComparator(groupBy) {
+    switch (groupBy) {
+      case GroupBy.DAY:
+        // 新しい日付順（YYYY/MM/DD形式のため文字列比較で判定可能）
+        return (a, b) => b.localeCompare(a);
+      case GroupBy.TYPE: {
+        const order = Object.values(TYPE_LABELS);
+        return (a, b) => order.indexOf(a) - order.indexOf(b);
+      }
+      default:
+        // グループ名でソート（日本語対応）
+        return (a, b) => a.localeCompare(b, 'ja');
+    }
+  }
 
-    return message;
+  /**
+   * 日付を YYYY/MM/DD 形式にフォーマット
+   * @param {Date} date - 日付
+   * @returns {string} フォーマット済み日付
+   */
+  static #formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}/${month}/${day}`;
   }
 
   /**
    * メール件名を生成
    * @param {Date} startDate - 開始日
    * @param {Date} endDate - 終了日
+   * @param {string} period - 期間種別
    * @returns {string} メール件名
    */
-  static generateEmailSubject(startDate = null, endDate = null) {
+  static generateEmailSubject(startDate = null, endDate = null, period = DigestPeriod.WEEKLY) {
     const now = new Date();
     const targetDate = endDate || now;
+    const subject = periodLabels(period).subject;
 
-    // YYYY/MM/DD 形式
-    const year = targetDate.getFullYear();
-    const month = String(targetDate.getMonth() + 1).padStart(2, '0');
-    const day = String(targetDate.getDate()).padStart(2, '0');
+    // 任意期間の場合は YYYY/MM/DD - YYYY/MM/DD 形式
+    if (period === DigestPeriod.CUSTOM && startDate) {
+      return `${subject} - ${EmailFormatter.formatDateRange(startDate, targetDate)}`;
+    }
 
-    return `週次ブックマークダイジェスト - ${year}/${month}/${day}`;
+    // YYYY/MM/DD 形式
+    return `${subject} - ${EmailFormatter.#formatDate(targetDate)}`;
   }
 
   /**
@@ -179,18 +363,16 @@ export class EmailFormatter {
    * @returns {string} 日付範囲文字列
    */
   static formatDateRange(startDate, endDate) {
-    const formatDate = (date) => {
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const day = String(date.getDate()).padStart(2, '0');
-      return `${year}/${month}/${day}`;
-    };
-
-    return `${formatDate(startDate)} - ${formatDate(endDate)}`;
+    return `${EmailFormatter.#formatDate(startDate)} - ${EmailFormatter.#formatDate(endDate)}`;
   }
 
   /**
    * 完全なメールコンテンツオブジェクトを生成
+   *
+   * テキスト系フォーマットの場合は描画結果を本文とし、HTML版を代替パートとして付与する。
+   * HTMLフォーマットの場合はHTMLを本文とし、プレーンテキスト版を代替パートとする。
+   * それ以外（JSONなど）は描画結果のみを本文とする。
+   *
    * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
    * @param {Object} options - オプション
    * @returns {Object} メールコンテンツオブジェクト
@@ -199,6 +381,10 @@ export class EmailFormatter {
     const {
       startDate = null,
       endDate = null,
+      period = DigestPeriod.WEEKLY,
+      format = OutputFormat.TEXTILE,
+      groupBy = GroupBy.COLLECTION,
+      partial = false,
       fromEmail = null,
       toEmail = null
     } = options;
@@ -206,16 +392,33 @@ export class EmailFormatter {
     const dateRange = (startDate && endDate) ?
       EmailFormatter.formatDateRange(startDate, endDate) : null;
 
+    const renderOptions = { dateRange, includeHeader: true, period, groupBy, partial };
+    const { contentType } = getOutputFormat(format);
+
+    let body;
+    let htmlBody = null;
+
+    if (contentType === 'text/html') {
+      htmlBody = EmailFormatter.render(bookmarks, { ...renderOptions, format });
+      body = EmailFormatter.render(bookmarks, { ...renderOptions, format: OutputFormat.PLAINTEXT });
+    } else {
+      body = EmailFormatter.render(bookmarks, { ...renderOptions, format });
+      if (contentType === 'text/plain') {
+        htmlBody = EmailFormatter.render(bookmarks, { ...renderOptions, format: OutputFormat.HTML });
+      }
+    }
+
     return {
-      subject: EmailFormatter.generateEmailSubject(startDate, endDate),
-      body: EmailFormatter.formatBookmarksToEmailBody(bookmarks, {
-        dateRange,
-        includeHeader: true
-      }),
+      subject: EmailFormatter.generateEmailSubject(startDate, endDate, period),
+      body,
+      htmlBody,
+      format,
       from: fromEmail,
       to: toEmail,
       bookmarkCount: bookmarks ? bookmarks.length : 0,
-      dateRange: dateRange
+      dateRange: dateRange,
+      period: period,
+      partial
     };
   }
 }
@@ -14,9 +14,41 @@ export const ErrorType = {
   SES_ERROR: 'SES_ERROR',
   NETWORK_ERROR: 'NETWORK_ERROR',
   TIMEOUT_ERROR: 'TIMEOUT_ERROR',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
 };
 
+/**
+ * エラーコード
+ * メッセージの言語に依存せず、ログ検索やアラートの条件に使用する
+ */
+export const ErrorCode = {
+  CONFIG_MISSING: 'CONFIG_MISSING',
+  CONFIG_INVALID: 'CONFIG_INVALID',
+  CONFIG_UNAVAILABLE: 'CONFIG_UNAVAILABLE',
+  PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  RAINDROP_UNAUTHORIZED: 'RAINDROP_UNAUTHORIZED',
+  RAINDROP_FORBIDDEN: 'RAINDROP_FORBIDDEN',
+  RAINDROP_RATE_LIMITED: 'RAINDROP_RATE_LIMITED',
+  RAINDROP_SERVER_ERROR: 'RAINDROP_SERVER_ERROR',
+  RAINDROP_REQUEST_FAILED: 'RAINDROP_REQUEST_FAILED',
+  RAINDROP_INVALID_RESPONSE: 'RAINDROP_INVALID_RESPONSE',
+  RAINDROP_COLLECTIONS_UNAVAILABLE: 'RAINDROP_COLLECTIONS_UNAVAILABLE',
+  SES_MESSAGE_REJECTED: 'SES_MESSAGE_REJECTED',
+  SES_NOT_VERIFIED: 'SES_NOT_VERIFIED',
+  SES_SENDING_PAUSED: 'SES_SENDING_PAUSED',
+  SES_INVALID_PARAMETER: 'SES_INVALID_PARAMETER',
+  SES_SEND_FAILED: 'SES_SEND_FAILED',
+  WATERMARK_UNAVAILABLE: 'WATERMARK_UNAVAILABLE',
+  WATERMARK_INVALID: 'WATERMARK_INVALID',
+  ACCESS_DENIED: 'ACCESS_DENIED',
+  THROTTLED: 'THROTTLED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  TIMEOUT: 'TIMEOUT',
+  UNKNOWN: 'UNKNOWN'
+};
+
 /**
  * エラー重要度
  */
@@ -31,16 +63,164 @@ export const ErrorSeverity = {
  * アプリケーションエラークラス
  */
 export class AppError extends Error {
-  constructor(message, type = ErrorType.UNKNOWN_ERROR, severity = ErrorSeverity.MEDIUM, originalError = null) {
+  constructor(message, type = ErrorType.UNKNOWN_ERROR, severity = ErrorSeverity.MEDIUM, originalError = null, code = ErrorCode.UNKNOWN) {
     super(message);
     this.name = 'AppError';
     this.type = type;
     this.severity = severity;
     this.originalError = originalError;
+    this.code = code;
     this.timestamp = new Date().toISOString();
   }
 }
 
+/**
+ * 設定エラー（必須設定の不足・不正な設定値・設定の取得失敗）
+ */
+export class ConfigError extends AppError {
+  /**
+   * @param {string} message - メッセージ
+   * @param {Object} options - エラー情報
+   * @param {string} options.code - エラーコード（デフォルト: CONFIG_INVALID）
+   * @param {Error} options.originalError - 元のエラー
+   * @param {Array<string>} options.errors - 個々の設定項目のエラー
+   */
+  constructor(message, { code = ErrorCode.CONFIG_INVALID, originalError = null, errors = [] } = {}) {
+    super(message, ErrorType.CONFIGURATION_ERROR, ErrorSeverity.CRITICAL, originalError, code);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 入力値・データの検証エラー
+ */
+export class ValidationError extends AppError {
+  /**
+   * @param {string} message - メッセージ
+   * @param {Object} options - エラー情報
+   * @param {Array<string>} options.errors - 個々の検証エラー
+   * @param {string} options.code - エラーコード（デフォルト: VALIDATION_FAILED）
+   */
+  constructor(message, { errors = [], code = ErrorCode.VALIDATION_FAILED } = {}) {
+    super(message, ErrorType.VALIDATION_ERROR, ErrorSeverity.MEDIUM, null, code);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * HTTPステータスからRaindrop.io APIのエラーコードを決定
+ * @param {number|null} status - HTTPステータス
+ * @returns {string} エラーコード
+ */
+function raindropErrorCode(status) {
+  if (status === 401) return ErrorCode.RAINDROP_UNAUTHORIZED;
+  if (status === 403) return ErrorCode.RAINDROP_FORBIDDEN;
+  if (status === 429) return ErrorCode.RAINDROP_RATE_LIMITED;
+  if (status >= 500) return ErrorCode.RAINDROP_SERVER_ERROR;
+  return ErrorCode.RAINDROP_REQUEST_FAILED;
+}
+
+/**
+ * Raindrop.io APIのエラー
+ * 認証エラーは設定の問題のためCRITICAL、一時的なエラー（レート制限・接続・タイムアウト）はMEDIUMとする
+ */
+export class RaindropApiError extends AppError {
+  /**
+   * @param {string} message - メッセージ
+   * @param {Object} options - エラー情報
+   * @param {number|null} options.status - HTTPステータス（応答が無い場合はnull）
+   * @param {string} options.code - エラーコード（デフォルト: ステータスから決定）
+   * @param {Error} options.originalError - 元のエラー
+   */
+  constructor(message, { status = null, code = raindropErrorCode(status), originalError = null } = {}) {
+    const type = code === ErrorCode.NETWORK_ERROR ? ErrorType.NETWORK_ERROR :
+      code === ErrorCode.TIMEOUT ? ErrorType.TIMEOUT_ERROR : ErrorType.RAINDROP_API_ERROR;
+    const severity = [ErrorCode.RAINDROP_UNAUTHORIZED, ErrorCode.RAINDROP_FORBIDDEN].includes(code) ? ErrorSeverity.CRITICAL :
+      [ErrorCode.RAINDROP_RATE_LIMITED, ErrorCode.NETWORK_ERROR, ErrorCode.TIMEOUT].includes(code) ? ErrorSeverity.MEDIUM :
+        ErrorSeverity.HIGH;
+
+    super(message, type, severity, originalError, code);
+    this.name = 'RaindropApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * SESのエラー名とエラーコードの対応
+ */
+const SES_ERROR_CODES = {
+  MessageRejected: ErrorCode.SES_MESSAGE_REJECTED,
+  MailFromDomainNotVerified: ErrorCode.SES_NOT_VERIFIED,
+  SendingPausedException: ErrorCode.SES_SENDING_PAUSED,
+  AccountSendingPausedException: ErrorCode.SES_SENDING_PAUSED,
+  InvalidParameterValue: ErrorCode.SES_INVALID_PARAMETER,
+  AccessDenied: ErrorCode.ACCESS_DENIED,
+  UnauthorizedOperation: ErrorCode.ACCESS_DENIED,
+  Throttling: ErrorCode.THROTTLED
+};
+
+/**
+ * SESのメール送信エラー
+ * 送信できない状態（権限・ドメイン未検証・送信停止）はCRITICAL、送信制限はMEDIUMとする
+ */
+export class SesSendError extends AppError {
+  /**
+   * @param {string} message - メッセージ
+   * @param {Object} options - エラー情報
+   * @param {string} options.sesCode - SESのエラー名（例: MessageRejected）
+   * @param {Error} options.originalError - 元のエラー
+   */
+  constructor(message, { sesCode = 'UnknownError', originalError = null } = {}) {
+    const code = SES_ERROR_CODES[sesCode] || ErrorCode.SES_SEND_FAILED;
+    const severity = [ErrorCode.ACCESS_DENIED, ErrorCode.SES_NOT_VERIFIED, ErrorCode.SES_SENDING_PAUSED].includes(code) ? ErrorSeverity.CRITICAL :
+      code === ErrorCode.THROTTLED ? ErrorSeverity.MEDIUM : ErrorSeverity.HIGH;
+
+    super(message, ErrorType.SES_ERROR, severity, originalError, code);
+    this.name = 'SesSendError';
+    this.sesCode = sesCode;
+  }
+}
+
+/**
+ * ウォーターマーク（前回配信したブックマークの作成日時）の読み書きエラー
+ * 放置すると配信の重複・欠落につながるため、保存先の障害・不正な保存値のいずれもHIGHとする
+ */
+export class WatermarkError extends AppError {
+  /**
+   * @param {string} message - メッセージ
+   * @param {Object} options - エラー情報
+   * @param {string} options.code - エラーコード（デフォルト: WATERMARK_UNAVAILABLE）
+   * @param {Error} options.originalError - 元のエラー
+   */
+  constructor(message, { code = ErrorCode.WATERMARK_UNAVAILABLE, originalError = null } = {}) {
+    super(message, ErrorType.CONFIGURATION_ERROR, ErrorSeverity.HIGH, originalError, code);
+    this.name = 'WatermarkError';
+  }
+}
+
+/**
+ * 一時的なエラーのコード（時間をおいて再実行すれば成功する可能性がある）
+ */
+const RECOVERABLE_CODES = [
+  ErrorCode.RAINDROP_RATE_LIMITED,
+  ErrorCode.RAINDROP_SERVER_ERROR,
+  ErrorCode.THROTTLED,
+  ErrorCode.NETWORK_ERROR,
+  ErrorCode.TIMEOUT
+];
+
+/**
+ * 接続エラーを表すNode.jsのエラーコード
+ */
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * タイムアウトを表すNode.jsのエラーコード
+ */
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
 /**
  * エラーハンドラークラス
  */
@@ -51,58 +231,45 @@ export class ErrorHandler {
 
   /**
    * エラーを分類
+   * AppError（RaindropApiError・SesSendError・ConfigError・ValidationError など）は保持している種別とコードを使用し、
+   * それ以外はAWS SDKのエラー名とNode.jsのエラーコードで分類する
    * @param {Error} error - エラーオブジェクト
-   * @returns {Object} 分類結果
+   * @returns {Object} 分類結果（type, severity, code）
    */
   classifyError(error) {
-    let type = ErrorType.UNKNOWN_ERROR;
-    let severity = ErrorSeverity.MEDIUM;
-
-    // エラーメッセージやプロパティに基づく分類
-    if (error.message.includes('環境変数') || error.message.includes('設定')) {
-      type = ErrorType.CONFIGURATION_ERROR;
-      severity = ErrorSeverity.CRITICAL;
-    } else if (error.message.includes('Raindrop') || error.message.includes('API')) {
-      type = ErrorType.RAINDROP_API_ERROR;
-      severity = ErrorSeverity.HIGH;
-    } else if (error.message.includes('SES') || error.message.includes('メール')) {
-      type = ErrorType.SES_ERROR;
-      severity = ErrorSeverity.HIGH;
-    } else if (error.message.includes('Network') || error.message.includes('ネットワーク')) {
-      type = ErrorType.NETWORK_ERROR;
-      severity = ErrorSeverity.MEDIUM;
-    } else if (error.message.includes('timeout') || error.message.includes('タイムアウト')) {
-      type = ErrorType.TIMEOUT_ERROR;
-      severity = ErrorSeverity.MEDIUM;
+    if (error instanceof AppError) {
+      return { type: error.type, severity: error.severity, code: error.code };
     }
 
     // AWS SDK エラーの分類
-    if (error.name) {
-      switch (error.name) {
-        case 'AccessDenied':
-        case 'UnauthorizedOperation':
-          type = ErrorType.CONFIGURATION_ERROR;
-          severity = ErrorSeverity.CRITICAL;
-          break;
-        case 'Throttling':
-        case 'TooManyRequestsException':
-          type = ErrorType.RAINDROP_API_ERROR;
-          severity = ErrorSeverity.MEDIUM;
-          break;
-        case 'MessageRejected':
-        case 'SendingPausedException':
-          type = ErrorType.SES_ERROR;
-          severity = ErrorSeverity.HIGH;
-          break;
-        case 'NetworkingError':
-        case 'TimeoutError':
-          type = ErrorType.NETWORK_ERROR;
-          severity = ErrorSeverity.MEDIUM;
-          break;
-      }
+    switch (error.name) {
+      case 'AccessDenied':
+      case 'AccessDeniedException':
+      case 'UnauthorizedOperation':
+        return { type: ErrorType.CONFIGURATION_ERROR, severity: ErrorSeverity.CRITICAL, code: ErrorCode.ACCESS_DENIED };
+      case 'Throttling':
+      case 'ThrottlingException':
+      case 'TooManyRequestsException':
+        return { type: ErrorType.UNKNOWN_ERROR, severity: ErrorSeverity.MEDIUM, code: ErrorCode.THROTTLED };
+      case 'MessageRejected':
+      case 'SendingPausedException':
+        return { type: ErrorType.SES_ERROR, severity: ErrorSeverity.HIGH, code: SES_ERROR_CODES[error.name] };
+      case 'NetworkingError':
+        return { type: ErrorType.NETWORK_ERROR, severity: ErrorSeverity.MEDIUM, code: ErrorCode.NETWORK_ERROR };
+      case 'TimeoutError':
+        return { type: ErrorType.TIMEOUT_ERROR, severity: ErrorSeverity.MEDIUM, code: ErrorCode.TIMEOUT };
+    }
+
+    // Node.js のエラーコードによる分類
+    if (NETWORK_ERROR_CODES.includes(error.code)) {
+      return { type: ErrorType.NETWORK_ERROR, severity: ErrorSeverity.MEDIUM, code: ErrorCode.NETWORK_ERROR };
     }
 
-    return { type, severity };
+    if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+      return { type: ErrorType.TIMEOUT_ERROR, severity: ErrorSeverity.MEDIUM, code: ErrorCode.TIMEOUT };
+    }
+
+    return { type: ErrorType.UNKNOWN_ERROR, severity: ErrorSeverity.MEDIUM, code: ErrorCode.UNKNOWN };
   }
 
   /**
@@ -112,8 +279,6 @@ export class ErrorHandler {
    * @returns {AppError} 処理済みエラー
    */
   handleError(error, context = {}) {
-    const { type, severity } = this.classifyError(error);
-
     // AppErrorの場合はそのまま使用
     if (error instanceof AppError) {
       this.logError(error, context);
@@ -121,11 +286,13 @@ export class ErrorHandler {
     }
 
     // 新しいAppErrorを作成
+    const { type, severity, code } = this.classifyError(error);
     const appError = new AppError(
       error.message,
       type,
       severity,
-      error
+      error,
+      code
     );
 
     this.logError(appError, context);
@@ -140,6 +307,7 @@ export class ErrorHandler {
   logError(error, context = {}) {
     const errorData = {
       type: error.type,
+      code: error.code,
       severity: error.severity,
       timestamp: error.timestamp,
       originalError: error.originalError ? {
@@ -171,7 +339,8 @@ export class ErrorHandler {
     ];
 
     return recoverableTypes.includes(error.type) ||
-           (error.originalError && recoverableNames.includes(error.originalError.name));
+           RECOVERABLE_CODES.includes(error.code) ||
+           Boolean(error.originalError && recoverableNames.includes(error.originalError.name));
   }
 
   /**
@@ -201,6 +370,10 @@ export class ErrorHandler {
         statusCode = 503;
         userMessage = 'ネットワークエラーが発生しました';
         break;
+      case ErrorType.VALIDATION_ERROR:
+        statusCode = 400;
+        userMessage = '入力値が無効です';
+        break;
     }
 
     return {
@@ -209,6 +382,7 @@ export class ErrorHandler {
         message: userMessage,
         error: {
           type: error.type,
+          code: error.code,
           severity: error.severity,
           timestamp: error.timestamp
         }
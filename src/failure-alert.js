@@ -0,0 +1,162 @@
+/**
+ * 失敗通知
+ * ダイジェストの実行に失敗した場合に、SNS・管理者メール・Webhookで通知する
+ */
+
+import axios from 'axios';
+import { SNSClient, PublishCommand } from '@aws-sdk/client-sns';
+import SESClient, { DeliveryMode } from './ses-client.js';
+import { resolveRegion, RegionService } from './aws-region.js';
+
+/**
+ * 通知チャネルの種別
+ */
+export const AlertChannel = {
+  SNS: 'sns',
+  EMAIL: 'email',
+  WEBHOOK: 'webhook'
+};
+
+/**
+ * Webhook送信のタイムアウト（ミリ秒）
+ */
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * 環境変数から通知先の設定を取得
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {Object} 通知先の設定（未設定の通知先はnull）
+ */
+export function alertConfigFromEnv(env = process.env) {
+  return {
+    snsTopicArn: env.ALERT_SNS_TOPIC_ARN || null,
+    emailTo: env.ALERT_EMAIL_TO || null,
+    emailFrom: env.ALERT_EMAIL_FROM || env.EMAIL_FROM || null,
+    webhookUrl: env.ALERT_WEBHOOK_URL || null,
+    region: resolveRegion(null, env),
+    sesRegion: resolveRegion(RegionService.SES, env)
+  };
+}
+
+/**
+ * 設定済みの通知チャネルを取得
+ * @param {Object} alertConfig - 通知先の設定
+ * @returns {Array<string>} 通知チャネル（AlertChannelの値）
+ */
+export function enabledChannels(alertConfig) {
+  return [
+    alertConfig.snsTopicArn && AlertChannel.SNS,
+    alertConfig.emailTo && AlertChannel.EMAIL,
+    alertConfig.webhookUrl && AlertChannel.WEBHOOK
+  ].filter(Boolean);
+}
+
+/**
+ * 通知内容を作成
+ * SNSの件名はASCII文字のみ・100文字未満に制限されるため、件名は英語とする
+ * @param {AppError} error - 分類済みのエラー
+ * @param {Object} details - 実行情報
+ * @param {string|null} details.requestId - LambdaのリクエストID
+ * @param {string|null} details.functionName - Lambda関数名
+ * @param {Object} details.stats - 実行統計
+ * @returns {{subject: string, text: string, payload: Object}} 件名・本文・構造化データ
+ */
+export function buildFailureAlert(error, details = {}) {
+  const { requestId = null, functionName = null, stats = {} } = details;
+
+  const payload = {
+    type: error.type,
+    code: error.code,
+    severity: error.severity,
+    message: error.message,
+    requestId,
+    functionName,
+    profile: stats.profile ?? null,
+    timestamp: error.timestamp || new Date().toISOString(),
+    stats
+  };
+
+  const subject = `[DropCast] Digest failed: ${payload.code} (${payload.severity})`.slice(0, 99);
+
+  const text = [
+    'DropCast ダイジェストの配信に失敗しました。',
+    '',
+    `エラー種別: ${payload.type}`,
+    `エラーコード: ${payload.code}`,
+    `重要度: ${payload.severity}`,
+    `メッセージ: ${payload.message}`,
+    `リクエストID: ${requestId ?? '-'}`,
+    `関数名: ${functionName ?? '-'}`,
+    `プロファイル: ${payload.profile ?? '-'}`,
+    `発生日時: ${payload.timestamp}`,
+    '',
+    '実行統計:',
+    JSON.stringify(stats, null, 2)
+  ].join('\n');
+
+  return { subject, text, payload };
+}
+
+/**
+ * 通知チャネルごとの送信処理
+ */
+const SENDERS = {
+  [AlertChannel.SNS]: async (alert, alertConfig) => {
+    const client = new SNSClient({ region: alertConfig.region });
+    const result = await client.send(new PublishCommand({
+      TopicArn: alertConfig.snsTopicArn,
+      Subject: alert.subject,
+      Message: alert.text,
+      MessageAttributes: {
+        code: { DataType: 'String', StringValue: alert.payload.code },
+        severity: { DataType: 'String', StringValue: alert.payload.severity }
+      }
+    }));
+    return { messageId: result.MessageId };
+  },
+
+  [AlertChannel.EMAIL]: async (alert, alertConfig) => {
+    const client = new SESClient({
+      region: alertConfig.sesRegion ?? alertConfig.region,
+      fromEmail: alertConfig.emailFrom,
+      toEmail: alertConfig.emailTo,
+      ccEmail: null,
+      bccEmail: null,
+      replyTo: null,
+      deliveryMode: DeliveryMode.BATCH
+    });
+    const result = await client.sendEmail({ subject: alert.subject, body: alert.text });
+    return { messageId: result.messageId };
+  },
+
+  [AlertChannel.WEBHOOK]: async (alert, alertConfig) => {
+    // Slackなどの受信側でそのまま表示できるよう text に本文を含める
+    const response = await axios.post(alertConfig.webhookUrl, {
+      text: `${alert.subject}\n${alert.text}`,
+      ...alert.payload
+    }, { timeout: WEBHOOK_TIMEOUT_MS });
+    return { status: response.status };
+  }
+};
+
+/**
+ * 設定済みのすべての通知チャネルに失敗を通知
+ * 通知自体の失敗で元のエラーが隠れないよう、例外は投げずに結果として返す
+ * @param {AppError} error - 分類済みのエラー
+ * @param {Object} details - 実行情報（buildFailureAlertと同じ）
+ * @param {Object} alertConfig - 通知先の設定（デフォルト: 環境変数から取得）
+ * @returns {Promise<Array<Object>>} チャネルごとの結果（channel, success, error）
+ */
+export async function sendFailureAlert(error, details = {}, alertConfig = alertConfigFromEnv()) {
+  const alert = buildFailureAlert(error, details);
+
+  return await Promise.all(enabledChannels(alertConfig).map(async channel => {
+    try {
+      return { channel, success: true, ...await SENDERS[channel](alert, alertConfig) };
+    } catch (sendError) {
+      return { channel, success: false, error: sendError.message };
+    }
+  }));
+}
+
+export default sendFailureAlert;
@@ -0,0 +1,206 @@
+/**
+ * HTTPリトライ
+ * axiosインスタンスに指数バックオフ（ジッター付き）での再試行を追加する
+ */
+
+import { ConfigError } from './error-handler.js';
+
+/**
+ * 再試行の対象とするHTTPステータス
+ */
+export const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * 再試行の対象とするHTTPメソッド（冪等なもののみ）
+ */
+const RETRYABLE_METHODS = ['get', 'head', 'options'];
+
+/**
+ * リトライ設定のデフォルト値
+ * Lambdaのタイムアウト（5分）に対して十分に短い時間で打ち切る
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 4,
+  timeBudgetMs: 60000,
+  baseDelayMs: 500,
+  maxDelayMs: 20000
+};
+
+/**
+ * リクエスト設定に保持する再試行状態のキー
+ * axiosはリクエスト設定をマージする際にSymbolのキーを引き継がないため文字列とする
+ */
+const RETRY_STATE = 'dropcastRetryState';
+
+/**
+ * リクエスト設定に指定する再試行の期限（UNIX時刻のミリ秒）のキー
+ * 複数のリクエストからなる処理全体で時間を共有する場合に指定する（未指定の場合は初回リクエストから timeBudgetMs）
+ */
+export const RETRY_DEADLINE = 'dropcastRetryDeadline';
+
+/**
+ * 環境変数からリトライ設定を取得
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {Object} リトライ設定（未設定の項目はデフォルト値）
+ * @throws {ConfigError} 値が正の整数でない場合
+ */
+export function retryOptionsFromEnv(env = process.env) {
+  const options = { ...DEFAULT_RETRY_OPTIONS };
+  const variables = {
+    maxAttempts: 'RAINDROP_RETRY_MAX_ATTEMPTS',
+    timeBudgetMs: 'RAINDROP_RETRY_TIME_BUDGET_MS'
+  };
+
+  for (const [key, name] of Object.entries(variables)) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+
+    if (!/^\d+$/.test(env[name]) || Number(env[name]) < 1) {
+      throw new ConfigError(`${name} は正の整数である必要があります: ${env[name]}`);
+    }
+    options[key] = Number(env[name]);
+  }
+
+  return options;
+}
+
+/**
+ * レスポンスヘッダーからサーバーが指定した待機時間を取得
+ * Retry-After（秒数またはHTTP日付）を優先し、無ければ X-RateLimit-Reset（UNIX時刻の秒）を使用する。
+ * X-RateLimit-Reset はレート制限と無関係なレスポンスにも付くため、429 または残り回数が0の場合のみ使用する
+ * @param {Object} headers - レスポンスヘッダー
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @param {number|null} status - HTTPステータス
+ * @returns {number|null} 待機時間（ミリ秒）、指定が無い場合はnull
+ */
+export function parseRetryAfter(headers = {}, now = Date.now(), status = null) {
+  const header = (name) => {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === undefined || value === null || value === '' ? null : String(value).trim();
+  };
+
+  const retryAfter = header('retry-after');
+  if (retryAfter !== null) {
+    if (/^\d+$/.test(retryAfter)) {
+      return Number(retryAfter) * 1000;
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  const rateLimited = status === 429 || header('x-ratelimit-remaining') === '0';
+  const reset = header('x-ratelimit-reset');
+  if (rateLimited && reset !== null && /^\d+$/.test(reset)) {
+    return Math.max(0, Number(reset) * 1000 - now);
+  }
+
+  return null;
+}
+
+/**
+ * 指数バックオフの待機時間を計算（フルジッター）
+ * @param {number} attempt - 失敗した試行の回数（1始まり）
+ * @param {Object} options - リトライ設定
+ * @param {function(): number} random - 0以上1未満の乱数を返す関数
+ * @returns {number} 待機時間（ミリ秒）
+ */
+export function computeBackoff(attempt, options = DEFAULT_RETRY_OPTIONS, random = Math.random) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(random() * ceiling);
+}
+
+/**
+ * 再試行の対象となるエラーか判定
+ * ネットワークエラー・タイムアウトと、レート制限・サーバーエラーのステータスを対象とする
+ * @param {Error} error - axiosのエラー
+ * @returns {boolean} 再試行の対象の場合はtrue
+ */
+export function isRetryableError(error) {
+  const method = (error.config?.method || 'get').toLowerCase();
+  if (!RETRYABLE_METHODS.includes(method)) {
+    return false;
+  }
+
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+
+  return Boolean(error.request);
+}
+
+/**
+ * 再試行を行うレスポンスエラーハンドラーを作成
+ * @param {Object} client - axiosインスタンス
+ * @param {Object} options - リトライ設定
+ * @param {number} options.maxAttempts - 最大試行回数（初回を含む）
+ * @param {number} options.timeBudgetMs - 初回リクエストからの再試行を打ち切るまでの時間
+ *   （リクエスト設定に RETRY_DEADLINE を指定した場合はその期限で打ち切る）
+ * @param {number} options.baseDelayMs - バックオフの基準待機時間
+ * @param {number} options.maxDelayMs - バックオフの最大待機時間
+ * @param {function(Object): void} [options.onRetry] - 再試行前に呼ばれる関数（attempt, delayMs, status, url）
+ * @param {function(number): Promise<void>} [options.sleep] - 待機関数（テスト用）
+ * @param {function(): number} [options.now] - 現在時刻を返す関数（テスト用）
+ * @param {function(): number} [options.random] - 乱数関数（テスト用）
+ * @returns {function(Error): Promise} レスポンスエラーハンドラー
+ */
+export function createRetryHandler(client, options = {}) {
+  const {
+    onRetry = () => {},
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    now = Date.now,
+    random = Math.random,
+    ...settings
+  } = options;
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...settings };
+
+  return async (error) => {
+    const config = error.config;
+    if (!config || !isRetryableError(error)) {
+      throw error;
+    }
+
+    const previous = config[RETRY_STATE] || { attempt: 0, startedAt: now() };
+    const state = { ...previous, attempt: previous.attempt + 1 };
+
+    if (state.attempt >= retryOptions.maxAttempts) {
+      throw error;
+    }
+
+    const serverDelay = error.response ? parseRetryAfter(error.response.headers, now(), error.response.status) : null;
+    const delayMs = serverDelay ?? computeBackoff(state.attempt, retryOptions, random);
+
+    // 待機後に時間内に収まらない場合は再試行しない
+    const deadline = config[RETRY_DEADLINE] ?? state.startedAt + retryOptions.timeBudgetMs;
+    if (now() + delayMs > deadline) {
+      throw error;
+    }
+
+    onRetry({
+      attempt: state.attempt,
+      delayMs,
+      status: error.response?.status ?? null,
+      url: config.url
+    });
+
+    await sleep(delayMs);
+    return client.request({ ...config, [RETRY_STATE]: state });
+  };
+}
+
+/**
+ * axiosインスタンスに再試行を追加
+ * エラー変換などのインターセプターより先に登録し、axiosのエラーを直接受け取れるようにする
+ * @param {Object} client - axiosインスタンス
+ * @param {Object} options - リトライ設定（createRetryHandlerと同じ）
+ * @returns {Object} axiosインスタンス
+ */
+export function attachRetry(client, options = {}) {
+  client.interceptors.response.use((response) => response, createRetryHandler(client, options));
+  return client;
+}
+
+export default attachRetry;
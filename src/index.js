@@ -4,59 +4,155 @@
  */
 
 import RaindropClient from './raindrop-client.js';
-import SESClient from './ses-client.js';
-import ParameterStore from './parameter-store.js';
-import { Logger, setDefaultLogger, getLogger } from './logger.js';
-import { ErrorHandler, setDefaultErrorHandler, getErrorHandler, AppError, ErrorType, ErrorSeverity } from './error-handler.js';
+import SESClient, { DeliveryMode } from './ses-client.js';
+import { createConfigProviderChain } from './config-providers.js';
+import { oauthCredentialsFromConfig, createOAuthTokenStoreForSources, createTokenRefresher, WRITABLE_PROVIDERS } from './raindrop-oauth.js';
+import { resolveRegion, RegionService } from './aws-region.js';
+import { resolveDigestWindow, hasExplicitRange } from './digest-window.js';
+import { createWatermarkStore, filterAfterWatermark, latestCreatedAt } from './watermark-store.js';
+import { createFilterRules, applyFilters, usesCollectionPaths } from './bookmark-filter.js';
+import { RaindropQuery } from './raindrop-query.js';
+import { validateConfig } from './config-schema.js';
+import { isDryRun, dryRunOutputDir, writeDryRunOutput } from './dry-run.js';
+import { sendFailureAlert, alertConfigFromEnv } from './failure-alert.js';
+import { setDefaultLogger, getLogger } from './logger.js';
+import { setDefaultErrorHandler, getErrorHandler, AppError, ConfigError, RaindropApiError, SesSendError, ErrorCode } from './error-handler.js';
 
 /**
- * Parameter Storeから設定を取得し、検証
+ * 設定の取得元
+ */
+export const ConfigSource = {
+  SSM: 'ssm',
+  ENV: 'env'
+};
+
+/**
+ * 設定を取得し、検証
+ * 設定プロバイダーのチェーン（CONFIG_PROVIDERS または CONFIG_SOURCE で決まる優先順位）から取得し、
+ * 項目ごとの取得元を CONFIG_SOURCES に記録する
  * @param {Logger} logger - ロガーインスタンス
+ * @param {string|null} profile - ダイジェストのプロファイル名
+ * @param {Object} overrides - 取得した設定を上書きする値（値がundefinedの項目は無視）
  * @returns {Object} 検証済み設定オブジェクト
  */
-async function loadConfiguration(logger) {
+export async function loadConfiguration(logger, profile = null, overrides = {}) {
   try {
-    // Parameter Storeから設定を取得
-    const paramStore = new ParameterStore();
-    const config = await paramStore.getDropCastConfig();
-
-    // 必須設定の確認
-    const requiredConfig = {
-      RAINDROP_API_TOKEN: config.RAINDROP_API_TOKEN,
-      EMAIL_FROM: config.EMAIL_FROM,
-      EMAIL_TO: config.EMAIL_TO
-    };
-
-    const optionalConfig = {
-      AWS_REGION: process.env.AWS_REGION || 'us-east-1'
-    };
+    const chain = createConfigProviderChain();
+    const { config, sources } = await chain.resolve(profile);
 
-    // 必須設定の検証
-    const missingConfig = [];
-    for (const [key, value] of Object.entries(requiredConfig)) {
-      if (!value) {
-        missingConfig.push(key);
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) {
+        config[key] = value;
+        sources[key] = 'event';
       }
     }
 
-    if (missingConfig.length > 0) {
-      throw new AppError(
-        `必須設定が取得できませんでした: ${missingConfig.join(', ')}`,
-        ErrorType.CONFIGURATION_ERROR,
-        ErrorSeverity.CRITICAL
-      );
+    // 値は出力せず、どの項目をどのプロバイダーから取得したかのみ記録する
+    // （項目名をキーにするとRAINDROP_API_TOKENの取得元がマスクされるため「項目=取得元」の文字列とする）
+    logger.info('設定を取得しました', {
+      providers: chain.names,
+      sources: Object.entries(sources).map(([key, source]) => `${key}=${source}`)
+    });
+
+    // スキーマで型・選択肢を検証し、フィルタと検索クエリの検証結果とあわせて一度に報告する
+    const { values, errors, missing, unknown } = validateConfig(config);
+
+    // 未対応の項目は設定ミスの可能性があるため警告するが、配信は止めない
+    if (unknown.length > 0) {
+      logger.warn('未対応の設定項目があります', { keys: unknown });
+    }
+
+    const collectErrors = (create) => {
+      try {
+        return create();
+      } catch (error) {
+        errors.push(error.message);
+        return null;
+      }
+    };
+    const filterRules = collectErrors(() => createFilterRules(config.FILTERS));
+    const searchQuery = collectErrors(() => RaindropQuery.parse(values.SEARCH_QUERY));
+    const oauth = collectErrors(() => oauthCredentialsFromConfig(values));
+
+    if (errors.length > 0) {
+      throw new ConfigError(errors.join(' / '), {
+        code: missing.length > 0 ? ErrorCode.CONFIG_MISSING : ErrorCode.CONFIG_INVALID,
+        errors
+      });
     }
 
     return {
-      ...requiredConfig,
-      ...optionalConfig
+      ...values,
+      AWS_REGION: resolveRegion(),
+      SES_REGION: resolveRegion(RegionService.SES),
+      SSM_REGION: resolveRegion(RegionService.SSM),
+      FILTER_RULES: filterRules,
+      SEARCH_QUERY: searchQuery,
+      RAINDROP_OAUTH: oauth,
+      CONFIG_SOURCES: sources
     };
   } catch (error) {
-    throw new AppError(
-      `設定取得エラー: ${error.message}`,
-      ErrorType.CONFIGURATION_ERROR,
-      ErrorSeverity.CRITICAL
-    );
+    throw new ConfigError(`設定取得エラー: ${error.message}`, {
+      code: error instanceof AppError ? error.code : ErrorCode.CONFIG_INVALID,
+      originalError: error,
+      errors: error.errors ?? [error.message]
+    });
+  }
+}
+
+/**
+ * 設定からRaindrop.ioクライアントを作成
+ * OAuth2の認証情報がある場合は、401でアクセストークンを更新し、
+ * アクセストークン・リフレッシュトークンをそれぞれ取得した設定ストア（Parameter StoreまたはSecrets Manager）に保存する
+ * @param {Object} config - 検証済み設定オブジェクト
+ * @param {Logger} logger - ロガーインスタンス
+ * @param {string|null} profile - 設定を読み込んだプロファイル名（トークンの保存先の階層の判定に使用）
+ * @returns {RaindropClient} Raindrop.ioクライアント
+ */
+export function createRaindropClient(config, logger, profile = null) {
+  if (!config.RAINDROP_OAUTH) {
+    return new RaindropClient(config.RAINDROP_API_TOKEN);
+  }
+
+  const sources = config.CONFIG_SOURCES ?? {};
+  const store = createOAuthTokenStoreForSources(sources, process.env, { profile });
+
+  // 保存できない取得元（環境変数など）のアクセストークンは、次回の実行でも古い値が読み込まれる
+  if (store && sources.RAINDROP_API_TOKEN && !WRITABLE_PROVIDERS.includes(sources.RAINDROP_API_TOKEN)) {
+    logger.warn('RAINDROP_API_TOKEN の取得元には更新したトークンを保存できないため、実行のたびにトークンを更新します', {
+      source: sources.RAINDROP_API_TOKEN
+    });
+  }
+
+  return new RaindropClient(config.RAINDROP_API_TOKEN, {
+    refreshAccessToken: createTokenRefresher(config.RAINDROP_OAUTH, { store, logger })
+  });
+}
+
+/**
+ * 配信済みブックマークの最新作成日時でウォーターマークを更新
+ * メールは送信済みのため、保存に失敗しても実行自体は失敗扱いにしない
+ * @param {WatermarkStore} watermarkStore - ウォーターマークストア
+ * @param {Array<BookmarkModel>} bookmarks - 配信したブックマーク配列
+ * @param {Logger} logger - ロガーインスタンス
+ * @returns {Date|null} 更新後のウォーターマーク（更新しなかった場合はnull）
+ */
+async function advanceWatermark(watermarkStore, bookmarks, logger) {
+  const latest = latestCreatedAt(bookmarks);
+  if (!latest) {
+    return null;
+  }
+
+  try {
+    await watermarkStore.set(latest);
+    logger.info('ウォーターマークを更新しました', { watermark: latest.toISOString() });
+    return latest;
+  } catch (error) {
+    logger.error('ウォーターマークの更新に失敗しました。次回実行で重複配信される可能性があります', {
+      watermark: latest.toISOString(),
+      error: error.message
+    });
+    return null;
   }
 }
 
@@ -70,11 +166,88 @@ function logExecutionStats(stats, logger) {
   logger.logMetric('ExecutionDuration', stats.duration, 'Milliseconds');
   logger.logMetric('BookmarkCount', stats.bookmarkCount, 'Count');
   logger.logMetric('EmailSent', stats.emailSent ? 1 : 0, 'Count');
+  logger.logMetric('PartialFetch', stats.partial ? 1 : 0, 'Count');
+  logger.logMetric('TruncatedFetch', stats.truncated ? 1 : 0, 'Count');
+}
+
+/**
+ * レスポンスに含める実行統計を作成
+ * @param {Object} stats - 実行統計
+ * @returns {Object} レスポンス用の実行統計
+ */
+function summarizeStats(stats) {
+  return {
+    profile: stats.profile,
+    dryRun: stats.dryRun,
+    executionTime: stats.duration,
+    bookmarkCount: stats.bookmarkCount,
+    emailSent: stats.emailSent,
+    messageId: stats.messageId,
+    recipients: stats.recipients,
+    failedRecipients: stats.failedRecipients,
+    window: stats.window,
+    incremental: stats.incremental,
+    watermark: stats.watermark,
+    filtered: stats.filtered,
+    partial: stats.partial,
+    truncated: stats.truncated
+  };
+}
+
+/**
+ * 失敗を通知先に通知
+ * 通知に失敗しても実行結果には影響させず、ログに記録するのみとする
+ * @param {AppError} appError - 分類済みのエラー
+ * @param {Object} context - Lambda コンテキストオブジェクト
+ * @param {Object} stats - 実行統計
+ * @param {Object|null} config - 取得済みの設定（取得前に失敗した場合はnull）
+ * @param {Logger} logger - ロガーインスタンス
+ */
+async function notifyFailure(appError, context, stats, config, logger) {
+  let alertConfig;
+  try {
+    alertConfig = alertConfigFromEnv();
+  } catch (error) {
+    // リージョン設定の誤りなどで通知先を解決できない場合も元のエラーの処理を続ける
+    logger.error('失敗通知の設定が無効です', { error: error.message });
+    return;
+  }
+  alertConfig.emailFrom ??= config?.EMAIL_FROM ?? null;
+
+  const results = await sendFailureAlert(appError, {
+    requestId: context?.awsRequestId ?? context?.requestId ?? null,
+    functionName: context?.functionName ?? null,
+    stats: summarizeStats(stats)
+  }, alertConfig);
+
+  if (results.length === 0) {
+    logger.warn('失敗通知の送信先が設定されていません（ALERT_SNS_TOPIC_ARN, ALERT_EMAIL_TO, ALERT_WEBHOOK_URL）');
+    return;
+  }
+
+  for (const result of results) {
+    if (result.success) {
+      logger.info('失敗通知を送信しました', result);
+    } else {
+      logger.error('失敗通知の送信に失敗しました', result);
+    }
+  }
+}
+
+/**
+ * 実行時間を記録
+ * @param {Object} stats - 実行統計
+ * @param {Date} startTime - 開始日時
+ */
+function finishStats(stats, startTime) {
+  const endTime = new Date();
+  stats.endTime = endTime.toISOString();
+  stats.duration = endTime.getTime() - startTime.getTime();
 }
 
 /**
  * メインのLambdaハンドラー
- * @param {Object} event - Lambda イベントオブジェクト
+ * @param {Object} event - Lambda イベントオブジェクト（from/to, lookbackDays, period で期間、profile・format で設定、dryRun で送信なしを指定可能）
  * @param {Object} context - Lambda コンテキストオブジェクト
  * @returns {Object} レスポンスオブジェクト
  */
@@ -89,77 +262,229 @@ export const handler = async (event, context) => {
 
   let stats = {
     startTime: startTime.toISOString(),
+    profile: event?.profile ?? null,
+    dryRun: isDryRun(event),
     endTime: null,
     duration: 0,
     bookmarkCount: 0,
     emailSent: false,
-    messageId: null
+    messageId: null,
+    recipients: [],
+    failedRecipients: [],
+    window: null,
+    incremental: false,
+    watermark: null,
+    filtered: null,
+    partial: null,
+    truncated: null
   };
+  let config = null;
 
   try {
-    // 1. Parameter Storeから設定を取得
-    const config = await loadConfiguration(logger);
+    // 0. イベントからダイジェスト期間を決定
+    const digestWindow = resolveDigestWindow(event);
+
+    // 1. 設定を取得（イベントの format で出力フォーマットを上書き可能）
+    config = await loadConfiguration(logger, stats.profile, { OUTPUT_FORMAT: event?.format });
+
+    // 差分配信: 期間が明示されていなければ前回配信分の続きから取得
+    const watermarkStore = createWatermarkStore({ region: config.SSM_REGION, profile: stats.profile });
+    const incremental = watermarkStore !== null &&
+      event?.incremental !== false &&
+      !hasExplicitRange(event);
+    let watermark = null;
+
+    if (incremental) {
+      watermark = await watermarkStore.get();
+      if (watermark && watermark < digestWindow.endDate) {
+        digestWindow.startDate = watermark;
+      }
+    }
+
+    stats.incremental = incremental;
+    stats.window = {
+      from: digestWindow.startDate.toISOString(),
+      to: digestWindow.endDate.toISOString(),
+      period: digestWindow.period
+    };
 
     // 2. Raindrop.io クライアントの初期化
-    const raindropClient = new RaindropClient(config.RAINDROP_API_TOKEN);
+    const raindropClient = createRaindropClient(config, logger, stats.profile);
 
     // 3. SES クライアントの初期化
     const sesClient = new SESClient({
-      region: config.AWS_REGION,
+      region: config.SES_REGION,
       fromEmail: config.EMAIL_FROM,
-      toEmail: config.EMAIL_TO
+      toEmail: config.EMAIL_TO,
+      ccEmail: config.EMAIL_CC,
+      bccEmail: config.EMAIL_BCC,
+      replyTo: config.EMAIL_REPLY_TO,
+      deliveryMode: config.DELIVERY_MODE
+    });
+
+    // 4. 対象期間のブックマークを取得
+    // 途中のページで失敗した場合は取得できた分だけで配信する
+    const fetched = await raindropClient.fetchRecentBookmarks(digestWindow.startDate, digestWindow.endDate, {
+      query: config.SEARCH_QUERY
     });
+    const fetchedBookmarks = fetched.bookmarks;
 
-    // 4. 過去7日間のブックマークを取得
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 7);
+    if (fetched.partial) {
+      stats.partial = {
+        fetchedCount: fetchedBookmarks.length,
+        failedPage: fetched.failure.page,
+        failedPages: fetched.failure.pages,
+        code: fetched.failure.code,
+        message: fetched.failure.message
+      };
+      logger.warn('一部のブックマークを取得できませんでした。取得できた分のみ配信します', stats.partial);
+    }
+
+    // ページ数の上限で打ち切った場合は統計に記録し、レスポンスとメトリクスで確認できるようにする
+    if (fetched.truncated) {
+      stats.truncated = fetched.truncated;
+    }
+    const undeliveredBookmarks = filterAfterWatermark(fetchedBookmarks, watermark);
 
-    const bookmarks = await raindropClient.getRecentBookmarks(startDate, endDate);
+    // コレクション階層を取得できなかった場合、パスによるフィルタでは除外対象か判定できない。
+    // 除外したブックマークも配信済みとしてウォーターマークを進めるため、配信せずに失敗とし次回に再試行する
+    if (usesCollectionPaths(config.FILTER_RULES) &&
+      undeliveredBookmarks.some(bookmark => bookmark.collectionPathResolved === false)) {
+      throw new RaindropApiError('コレクション階層を取得できないため、コレクションのパスによるフィルタを適用できません', {
+        code: ErrorCode.RAINDROP_COLLECTIONS_UNAVAILABLE
+      });
+    }
+
+    // 4.1 設定されたフィルタで配信対象を絞り込み
+    const { bookmarks, dropped } = applyFilters(undeliveredBookmarks, config.FILTER_RULES);
     stats.bookmarkCount = bookmarks.length;
 
-    // 5. 週次ダイジェストメールを送信
-    const emailResult = await sesClient.sendWeeklyDigest(bookmarks, {
-      startDate,
-      endDate
-    });
+    if (dropped.length > 0) {
+      stats.filtered = {
+        before: undeliveredBookmarks.length,
+        after: bookmarks.length,
+        dropped
+      };
+      logger.info('フィルタを適用しました', stats.filtered);
+    }
+
+    const digestOptions = {
+      startDate: digestWindow.startDate,
+      endDate: digestWindow.endDate,
+      period: digestWindow.period,
+      format: config.OUTPUT_FORMAT,
+      groupBy: config.GROUP_BY,
+      attachments: config.ATTACHMENTS,
+      partial: fetched.partial
+    };
+
+    // ドライラン: メール内容を生成して返し、SESへの送信とウォーターマークの更新は行わない
+    if (stats.dryRun) {
+      const preview = await sesClient.previewBookmarkDigest(bookmarks, digestOptions);
+      const outputDir = dryRunOutputDir(event);
+      const files = outputDir ? await writeDryRunOutput(preview, outputDir) : null;
+
+      stats.recipients = sesClient.getRecipients();
+      finishStats(stats, startTime);
+      logExecutionStats(stats, logger);
+
+      const wouldSend = {
+        format: preview.format,
+        deliveryMode: config.DELIVERY_MODE,
+        messageCount: config.DELIVERY_MODE === DeliveryMode.INDIVIDUAL ? stats.recipients.length : 1,
+        attachments: preview.attachments.map(attachment => attachment.filename)
+      };
+
+      logger.info('ドライランのためメールを送信しませんでした', { wouldSend, files });
+
+      return {
+        statusCode: 200,
+        body: JSON.stringify({
+          message: 'DropCast ブックマークメーラーをドライランで実行しました（メールは送信されていません）',
+          stats: { ...summarizeStats(stats), wouldSend },
+          preview: files ? { subject: preview.subject, files } : {
+            subject: preview.subject,
+            body: preview.body,
+            htmlBody: preview.htmlBody,
+            attachments: preview.attachments
+          }
+        })
+      };
+    }
+
+    // 5. 取得と同じ期間でダイジェストメールを送信
+    const emailResult = await sesClient.sendBookmarkDigest(bookmarks, digestOptions);
 
     stats.emailSent = emailResult.success;
     stats.messageId = emailResult.messageId;
+    stats.recipients = emailResult.recipients;
 
-    logger.logApiCall('SES.sendWeeklyDigest', {
-      bookmarkCount: bookmarks.length
+    // 個別配信で一部の宛先に失敗した場合は統計に記録し、通知先に知らせる
+    // （全宛先に失敗した場合は sendBookmarkDigest がエラーを投げる）
+    stats.failedRecipients = emailResult.recipients.filter(recipient => !recipient.success);
+    if (stats.failedRecipients.length > 0) {
+      logger.warn('一部の宛先へのメール送信に失敗しました', { failedRecipients: stats.failedRecipients });
+    }
+
+    logger.logApiCall('SES.sendBookmarkDigest', {
+      bookmarkCount: bookmarks.length,
+      period: digestWindow.period,
+      format: config.OUTPUT_FORMAT,
+      deliveryMode: config.DELIVERY_MODE
     }, {
       success: emailResult.success,
-      messageId: emailResult.messageId
+      messageId: emailResult.messageId,
+      recipientCount: emailResult.recipients.length
     });
 
+    // 1件でも配信できた場合はウォーターマークを進める（進めないと次回は配信済みの宛先にも再送される）
+    const delivered = emailResult.recipients.some(recipient => recipient.success);
+    if (incremental && delivered) {
+      if (fetched.partial) {
+        // 古い順に取得しているため、最初に失敗したページより前の範囲までは配信済みとして進める
+        // 取得できなかったページ以降のブックマークは次回の実行で配信する
+        const completeUntil = fetched.failure.completeUntil ? new Date(fetched.failure.completeUntil) : null;
+        const deliveredRange = completeUntil ?
+          undeliveredBookmarks.filter(bookmark => bookmark.createdAt <= completeUntil) :
+          [];
+        const newWatermark = await advanceWatermark(watermarkStore, deliveredRange, logger);
+        if (!newWatermark) {
+          logger.warn('一部のブックマークを取得できなかったため、ウォーターマークを更新しませんでした');
+        }
+        stats.watermark = (newWatermark || watermark)?.toISOString() ?? null;
+      } else {
+        // フィルタで除外したブックマークも処理済みとして扱う
+        const newWatermark = await advanceWatermark(watermarkStore, undeliveredBookmarks, logger);
+        stats.watermark = (newWatermark || watermark)?.toISOString() ?? null;
+      }
+    }
+
     // 6. 実行統計の記録
-    const endTime = new Date();
-    stats.endTime = endTime.toISOString();
-    stats.duration = endTime.getTime() - startTime.getTime();
+    finishStats(stats, startTime);
 
     logExecutionStats(stats, logger);
 
+    if (stats.failedRecipients.length > 0) {
+      const [firstFailure] = stats.failedRecipients;
+      const partialError = new SesSendError(
+        `一部の宛先へのメール送信に失敗しました（${stats.failedRecipients.length}/${emailResult.recipients.length}件）: ${firstFailure.error}`,
+        { sesCode: firstFailure.code }
+      );
+      await notifyFailure(partialError, context, stats, config, logger);
+    }
+
     // 7. 成功レスポンスを返す
     return {
       statusCode: 200,
       body: JSON.stringify({
         message: 'DropCast ブックマークメーラーが正常に実行されました',
-        stats: {
-          executionTime: stats.duration,
-          bookmarkCount: stats.bookmarkCount,
-          emailSent: stats.emailSent,
-          messageId: stats.messageId
-        }
+        stats: summarizeStats(stats)
       })
     };
 
   } catch (error) {
     // エラー統計の記録
-    const endTime = new Date();
-    stats.endTime = endTime.toISOString();
-    stats.duration = endTime.getTime() - startTime.getTime();
+    finishStats(stats, startTime);
 
     // エラーを処理
     const appError = errorHandler.handleError(error, {
@@ -170,6 +495,11 @@ export const handler = async (event, context) => {
     logExecutionStats(stats, logger);
     logger.logExecutionError(appError, stats);
 
+    // 重大なエラーは通知先に知らせる（ドライランは手元での確認のため通知しない）
+    if (errorHandler.shouldAlert(appError) && !stats.dryRun) {
+      await notifyFailure(appError, context, stats, config, logger);
+    }
+
     // エラーレスポンスを生成
     return errorHandler.generateErrorResponse(appError);
   }
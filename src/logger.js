@@ -13,17 +13,117 @@ export const LogLevel = {
   DEBUG: 'DEBUG'
 };
 
+/**
+ * マスク後の値
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * 値全体をマスクするキーのパターン（トークン・パスワード・Authorizationヘッダーなど）
+ */
+export const DEFAULT_REDACT_KEY_PATTERNS = [
+  /token/i,
+  /secret/i,
+  /password/i,
+  /authorization/i,
+  /api[-_]?key/i,
+  /cookie/i,
+  /credential/i
+];
+
+/**
+ * 文字列中のメールアドレス（先頭1文字とドメインのみ残す）
+ */
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+
+/**
+ * 文字列中のBearerトークン
+ */
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi;
+
+/**
+ * 環境変数からマスクするキーのパターンを取得
+ * LOG_REDACT_KEYS（カンマ区切り、大文字・小文字を区別しない部分一致）をデフォルトのパターンに追加する
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {Array<RegExp>} キーのパターン
+ */
+export function redactKeyPatternsFromEnv(env = process.env) {
+  const extra = (env.LOG_REDACT_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'));
+
+  return [...DEFAULT_REDACT_KEY_PATTERNS, ...extra];
+}
+
+/**
+ * 文字列中のメールアドレスとBearerトークンをマスク
+ * @param {string} value - 文字列
+ * @returns {string} マスク後の文字列
+ */
+function redactString(value) {
+  return value
+    .replace(BEARER_PATTERN, `$1${REDACTED}`)
+    .replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * ログに出力するデータをマスク
+ * キーがパターンに一致する値は全体を、それ以外の文字列はメールアドレスとBearerトークンをマスクする
+ * @param {*} value - ログに出力する値
+ * @param {Array<RegExp>} keyPatterns - 値全体をマスクするキーのパターン
+ * @param {WeakSet} seen - 循環参照の検出用
+ * @returns {*} マスク後の値
+ */
+export function redact(value, keyPatterns = DEFAULT_REDACT_KEY_PATTERNS, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return redact(value.toJSON(), keyPatterns, seen);
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, keyPatterns, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    keyPatterns.some(pattern => pattern.test(key)) && item !== null && item !== undefined ?
+      REDACTED :
+      redact(item, keyPatterns, seen)
+  ]));
+}
+
 /**
  * ログ出力クラス
  */
 export class Logger {
-  constructor(context = {}) {
+  /**
+   * @param {Object} context - Lambdaコンテキスト
+   * @param {Object} options - ロガーオプション
+   * @param {Array<RegExp>} options.redactKeyPatterns - 値全体をマスクするキーのパターン（未指定の場合は環境変数またはデフォルト）
+   */
+  constructor(context = {}, options = {}) {
     this.context = context;
     this.requestId = context.requestId || 'unknown';
+    this.redactKeyPatterns = options.redactKeyPatterns ?? redactKeyPatternsFromEnv();
   }
 
   /**
    * 構造化ログを出力
+   * CloudWatch Logsに秘密情報が残らないよう、出力前にトークン・Authorizationヘッダー・メールアドレスをマスクする
    * @param {string} level - ログレベル
    * @param {string} message - メッセージ
    * @param {Object} data - 追加データ
@@ -38,7 +138,7 @@ export class Logger {
     };
 
     // CloudWatch Logsに出力（JSON形式）
-    console.log(JSON.stringify(logEntry));
+    console.log(JSON.stringify(redact(logEntry, this.redactKeyPatterns)));
   }
 
   /**
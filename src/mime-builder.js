@@ -0,0 +1,243 @@
+/**
+ * MIMEメッセージビルダー
+ * SendRawEmailで送信するためのマルチパートメッセージ（RFC 5322 / RFC 2045-2047）を組み立てる
+ */
+
+import { randomBytes } from 'node:crypto';
+import { ValidationError } from './error-handler.js';
+
+/**
+ * MIMEの改行コード
+ */
+const CRLF = '\r\n';
+
+/**
+ * エンコード済みワード1つあたりの元データの最大バイト数
+ * "=?UTF-8?B?" + Base64 + "?=" が75文字以内に収まる長さ（45バイト → Base64で60文字）
+ */
+const MAX_ENCODED_WORD_BYTES = 45;
+
+/**
+ * 添付ファイルの型定義
+ * @typedef {Object} MimeAttachment
+ * @property {string} filename - ファイル名（日本語可）
+ * @property {string|Buffer} content - 内容（文字列の場合はUTF-8）
+ * @property {string} contentType - MIMEタイプ（例: text/csv; charset=UTF-8）
+ */
+
+/**
+ * ASCII印字可能文字のみか判定
+ * @param {string} value - 判定対象
+ * @returns {boolean} ASCII印字可能文字のみの場合はtrue
+ */
+function isPrintableAscii(value) {
+  return /^[\x20-\x7e]*$/.test(value);
+}
+
+/**
+ * ヘッダー値をRFC 2047形式（UTF-8 Base64）でエンコード
+ * ASCIIのみの値はそのまま返す。マルチバイト文字の途中で分割しないよう文字単位で区切る
+ * @param {string} value - ヘッダー値
+ * @returns {string} エンコード済みヘッダー値
+ */
+export function encodeHeaderValue(value) {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+
+  if (isPrintableAscii(text)) {
+    return text;
+  }
+
+  const words = [];
+  let chunk = '';
+
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char, 'utf8') > MAX_ENCODED_WORD_BYTES) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`)
+    .join(`${CRLF} `);
+}
+
+/**
+ * メールアドレスの表示名部分をエンコード（"山田 <yamada@example.com>" 形式に対応）
+ * @param {string} address - メールアドレス
+ * @returns {string} エンコード済みアドレス
+ */
+export function encodeAddress(address) {
+  const match = String(address).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+
+  if (!match || match[1] === '') {
+    return String(address).trim();
+  }
+
+  return `${encodeHeaderValue(match[1])} <${match[2]}>`;
+}
+
+/**
+ * 内容をBase64でエンコードし、76文字ごとに改行
+ * @param {string|Buffer} content - 内容
+ * @returns {string} Base64文字列
+ */
+function encodeBase64Body(content) {
+  const base64 = Buffer.isBuffer(content) ? content.toString('base64') : Buffer.from(content, 'utf8').toString('base64');
+  return base64.match(/.{1,76}/g)?.join(CRLF) ?? '';
+}
+
+/**
+ * ファイル名をContent-Disposition用にエンコード（RFC 2231）
+ * @param {string} filename - ファイル名
+ * @returns {string} filename パラメータ
+ */
+function encodeFilenameParameter(filename) {
+  if (isPrintableAscii(filename) && !/["\\]/.test(filename)) {
+    return `filename="${filename}"`;
+  }
+
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * マルチパートの境界文字列を生成
+ * @returns {string} 境界文字列
+ */
+function createBoundary() {
+  return `----=_DropCast_${randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * 単一パートを組み立て
+ * @param {Object} headers - パートのヘッダー
+ * @param {string} body - エンコード済みの本文
+ * @returns {string} パート
+ */
+function buildPart(headers, body) {
+  const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+  return [...headerLines, '', body].join(CRLF);
+}
+
+/**
+ * テキストパートを組み立て
+ * @param {string} content - 本文
+ * @param {string} subtype - plain または html
+ * @returns {string} パート
+ */
+function buildTextPart(content, subtype) {
+  return buildPart({
+    'Content-Type': `text/${subtype}; charset=UTF-8`,
+    'Content-Transfer-Encoding': 'base64'
+  }, encodeBase64Body(content));
+}
+
+/**
+ * マルチパートを組み立て
+ * @param {string} subtype - alternative または mixed
+ * @param {Array<string>} parts - 子パート
+ * @param {function(): string} boundaryFactory - 境界文字列の生成関数
+ * @returns {string} パート
+ */
+function buildMultipart(subtype, parts, boundaryFactory) {
+  const boundary = boundaryFactory();
+  const body = [
+    ...parts.map(part => `--${boundary}${CRLF}${part}`),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+
+  return buildPart({ 'Content-Type': `multipart/${subtype}; boundary="${boundary}"` }, body);
+}
+
+/**
+ * 添付ファイルのパートを組み立て
+ * @param {MimeAttachment} attachment - 添付ファイル
+ * @returns {string} パート
+ */
+function buildAttachmentPart(attachment) {
+  if (!attachment || typeof attachment.filename !== 'string' || attachment.filename === '') {
+    throw new ValidationError('添付ファイルにはファイル名が必要です');
+  }
+
+  if (typeof attachment.content !== 'string' && !Buffer.isBuffer(attachment.content)) {
+    throw new ValidationError(`添付ファイル ${attachment.filename} の内容は文字列またはBufferである必要があります`);
+  }
+
+  return buildPart({
+    'Content-Type': `${attachment.contentType || 'application/octet-stream'}; name="${encodeHeaderValue(attachment.filename)}"`,
+    'Content-Disposition': `attachment; ${encodeFilenameParameter(attachment.filename)}`,
+    'Content-Transfer-Encoding': 'base64'
+  }, encodeBase64Body(attachment.content));
+}
+
+/**
+ * MIMEメッセージを組み立て
+ *
+ * - テキストのみ: text/plain
+ * - テキスト + HTML: multipart/alternative
+ * - 添付ファイルあり: multipart/mixed（本文パート + 添付ファイル）
+ *
+ * BCCはヘッダーに含めない（SendRawEmailの Destinations で指定する）。
+ *
+ * @param {Object} options - メッセージの内容
+ * @param {string} options.from - 送信者
+ * @param {Array<string>} options.to - 受信者
+ * @param {Array<string>} [options.cc] - CC
+ * @param {Array<string>} [options.replyTo] - 返信先
+ * @param {string} options.subject - 件名
+ * @param {string} options.text - プレーンテキスト本文
+ * @param {string|null} [options.html] - HTML本文
+ * @param {Array<MimeAttachment>} [options.attachments] - 添付ファイル
+ * @param {Date} [options.date] - 日付ヘッダー
+ * @param {function(): string} [options.boundaryFactory] - 境界文字列の生成関数（テスト用）
+ * @returns {string} MIMEメッセージ（CRLF改行）
+ */
+export function buildMimeMessage(options) {
+  const {
+    from,
+    to,
+    cc = [],
+    replyTo = [],
+    subject,
+    text,
+    html = null,
+    attachments = [],
+    date = new Date(),
+    boundaryFactory = createBoundary
+  } = options;
+
+  const headers = {
+    'From': encodeAddress(from),
+    // BCCのみの送信ではToヘッダーに宛先を記載しない
+    'To': to.length > 0 ? to.map(encodeAddress).join(', ') : 'undisclosed-recipients:;'
+  };
+
+  if (cc.length > 0) {
+    headers['Cc'] = cc.map(encodeAddress).join(', ');
+  }
+
+  if (replyTo.length > 0) {
+    headers['Reply-To'] = replyTo.map(encodeAddress).join(', ');
+  }
+
+  headers['Subject'] = encodeHeaderValue(subject);
+  headers['Date'] = date.toUTCString();
+  headers['MIME-Version'] = '1.0';
+
+  let bodyPart = html ?
+    buildMultipart('alternative', [buildTextPart(text, 'plain'), buildTextPart(html, 'html')], boundaryFactory) :
+    buildTextPart(text, 'plain');
+
+  if (attachments.length > 0) {
+    bodyPart = buildMultipart('mixed', [bodyPart, ...attachments.map(buildAttachmentPart)], boundaryFactory);
+  }
+
+  const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+  return [...headerLines, bodyPart].join(CRLF);
+}
+
+export default buildMimeMessage;
@@ -0,0 +1,431 @@
+/**
+ * 出力フォーマットレジストリ
+ * ダイジェストの描画処理をフォーマット名で登録・取得する
+ */
+
+import { ConfigError, ValidationError } from './error-handler.js';
+
+/**
+ * 組み込み出力フォーマット名
+ */
+export const OutputFormat = {
+  TEXTILE: 'textile',
+  MARKDOWN: 'markdown',
+  PLAINTEXT: 'plaintext',
+  HTML: 'html',
+  JSON: 'json'
+};
+
+/**
+ * ダイジェスト文書の型定義（レンダラーへの入力）
+ * @typedef {Object} DigestDocument
+ * @property {string} title - 見出し（期間表記を含む）
+ * @property {string} period - 期間種別
+ * @property {string|null} dateRange - 日付範囲
+ * @property {number} bookmarkCount - ブックマーク総数
+ * @property {string} summary - 件数の要約文
+ * @property {string} emptyMessage - ブックマークが無い場合のメッセージ
+ * @property {string|null} notice - 読者への注意書き（一部のブックマークを取得できなかった場合など、無い場合はnull）
+ * @property {boolean} includeHeader - 見出しと要約を出力するか
+ * @property {string} groupBy - グループ化方法（collection, tag, domain, type, day）
+ * @property {Array<DigestSection>} sections - グループ別セクション（階層は深さ優先の順）
+ */
+
+/**
+ * ダイジェスト文書のセクション
+ * コレクションでグループ化した場合は親→子の順に並び、depth で階層の深さを表す
+ * @typedef {Object} DigestSection
+ * @property {string} name - セクション名（折りたたまれた中間コレクションは "Dev / Frontend" 形式）
+ * @property {Array<string>} path - ルートからのセクション名の配列
+ * @property {number} depth - 階層の深さ（ルートは0）
+ * @property {number} count - 配下のセクションを含むブックマーク数
+ * @property {Array<BookmarkModel>} bookmarks - セクション直下のブックマーク
+ */
+
+/**
+ * レンダラーの型定義
+ * @typedef {Object} Renderer
+ * @property {string} contentType - 出力のMIMEタイプ（text/plain, text/html, application/json など）
+ * @property {function(DigestDocument): string} render - ダイジェスト文書を文字列に描画
+ */
+
+/**
+ * HTMLメールのインラインスタイル
+ * 多くのメールクライアントは<style>要素を無視するため、要素ごとに指定する
+ */
+const HTML_STYLES = {
+  body: 'margin: 0; padding: 16px; font-family: -apple-system, BlinkMacSystemFont, \'Hiragino Sans\', \'Meiryo\', sans-serif; font-size: 14px; line-height: 1.6; color: #333333; background-color: #ffffff;',
+  title: 'margin: 0 0 8px; font-size: 20px; color: #222222;',
+  summary: 'margin: 0 0 24px; color: #666666;',
+  notice: 'margin: 0 0 16px; padding: 8px 12px; color: #8a4b00; background-color: #fff4e5; border-left: 4px solid #f5a623;',
+  folder: 'margin: 24px 0 8px; padding-bottom: 4px; font-size: 16px; color: #222222; border-bottom: 1px solid #dddddd;',
+  subfolder: 'margin: 16px 0 8px; font-size: 14px; color: #444444;',
+  count: 'font-weight: normal; color: #888888;',
+  list: 'margin: 0; padding-left: 20px;',
+  item: 'margin: 4px 0;',
+  link: 'color: #1a73e8; text-decoration: none;',
+  favorite: 'color: #e53935;'
+};
+
+/**
+ * HTML特殊文字をエスケープ
+ * @param {string} value - エスケープ対象
+ * @returns {string} エスケープ済み文字列
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * リンクとして出力して安全なURLか判定（http/httpsのみ許可）
+ * @param {string} url - URL
+ * @returns {boolean} 安全な場合はtrue
+ */
+function isLinkableUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Markdownのリンクテキストをエスケープ
+ * @param {string} value - エスケープ対象
+ * @returns {string} エスケープ済み文字列
+ */
+function escapeMarkdown(value) {
+  return String(value).replace(/([\\[\]*_`])/g, '\\$1');
+}
+
+/**
+ * ブックマークをJSON出力用のプレーンオブジェクトに変換
+ * BookmarkModel.toJSON()は文字列を返すため、toPlainObject()を使用する
+ * @param {BookmarkModel|Object} bookmark - ブックマーク
+ * @returns {Object} プレーンオブジェクト
+ */
+function toPlainBookmark(bookmark) {
+  return typeof bookmark.toPlainObject === 'function' ? bookmark.toPlainObject() : { ...bookmark };
+}
+
+/**
+ * セクション見出しの文字列（件数付き）
+ * @param {DigestSection} section - セクション
+ * @returns {string} 見出し文字列
+ */
+function sectionHeading(section) {
+  return `${section.name} (${section.count}件)`;
+}
+
+/**
+ * 階層の深さに応じた見出しレベル（h6が上限）
+ * @param {number} baseLevel - ルートセクションの見出しレベル
+ * @param {number} depth - 階層の深さ
+ * @returns {number} 見出しレベル
+ */
+function headingLevel(baseLevel, depth) {
+  return Math.min(baseLevel + depth, 6);
+}
+
+/**
+ * Redmine Textile形式
+ * @type {Renderer}
+ */
+const textileRenderer = {
+  contentType: 'text/plain',
+  render(document) {
+    const notice = document.notice ? `%{color: red}${document.notice}%` : null;
+
+    if (document.bookmarkCount === 0) {
+      return [document.title, notice, document.emptyMessage].filter(Boolean).join('\n\n');
+    }
+
+    const parts = [];
+
+    if (document.includeHeader) {
+      parts.push(`${document.title}\n\n${document.summary}`);
+    }
+
+    if (notice) {
+      parts.push(notice);
+    }
+
+    for (const section of document.sections) {
+      // h4. [フォルダ名] (件数) 形式、子コレクションは h5. / h6. で表す
+      const lines = [`h${headingLevel(4, section.depth)}. ${sectionHeading(section)}`];
+
+      for (const bookmark of section.bookmarks) {
+        // * "[タイトル]":[URL] 形式
+        let line = `* "${bookmark.title}":${bookmark.url}`;
+
+        // お気に入りマークの付与
+        if (bookmark.isFavorite) {
+          line += ' %{color: red}★%';
+        }
+
+        lines.push(line);
+      }
+
+      parts.push(lines.join('\n'));
+    }
+
+    return parts.join('\n\n');
+  }
+};
+
+/**
+ * Markdown形式
+ * @type {Renderer}
+ */
+const markdownRenderer = {
+  contentType: 'text/plain',
+  render(document) {
+    const notice = document.notice ? `> **注意:** ${document.notice}` : null;
+
+    if (document.bookmarkCount === 0) {
+      return [`## ${document.title}`, notice, document.emptyMessage].filter(Boolean).join('\n\n');
+    }
+
+    const parts = [];
+
+    if (document.includeHeader) {
+      parts.push(`## ${document.title}\n\n${document.summary}`);
+    }
+
+    if (notice) {
+      parts.push(notice);
+    }
+
+    for (const section of document.sections) {
+      const lines = [`${'#'.repeat(headingLevel(3, section.depth))} ${sectionHeading(section)}`];
+
+      if (section.bookmarks.length > 0) {
+        lines.push('');
+      }
+
+      for (const bookmark of section.bookmarks) {
+        let line = `- [${escapeMarkdown(bookmark.title)}](<${bookmark.url}>)`;
+
+        if (bookmark.isFavorite) {
+          line += ' ★';
+        }
+
+        lines.push(line);
+      }
+
+      parts.push(lines.join('\n'));
+    }
+
+    return parts.join('\n\n');
+  }
+};
+
+/**
+ * プレーンテキスト形式（マークアップなし）
+ * @type {Renderer}
+ */
+const plaintextRenderer = {
+  contentType: 'text/plain',
+  render(document) {
+    const notice = document.notice ? `※ ${document.notice}` : null;
+
+    if (document.bookmarkCount === 0) {
+      return [document.title, notice, document.emptyMessage].filter(Boolean).join('\n\n');
+    }
+
+    const parts = [];
+
+    if (document.includeHeader) {
+      parts.push(`${document.title}\n\n${document.summary}`);
+    }
+
+    if (notice) {
+      parts.push(notice);
+    }
+
+    for (const section of document.sections) {
+      // 子コレクションは深さに応じて字下げする
+      const indent = '  '.repeat(section.depth);
+      const lines = [`${indent}■ ${sectionHeading(section)}`];
+
+      for (const bookmark of section.bookmarks) {
+        lines.push(`${indent}- ${bookmark.title}${bookmark.isFavorite ? ' ★' : ''}`);
+        lines.push(`${indent}  ${bookmark.url}`);
+      }
+
+      parts.push(lines.join('\n'));
+    }
+
+    return parts.join('\n\n');
+  }
+};
+
+/**
+ * HTML形式（インラインCSS）
+ * @type {Renderer}
+ */
+const htmlRenderer = {
+  contentType: 'text/html',
+  render(document) {
+    const title = escapeHtml(document.title);
+    const notice = document.notice ? `<p style="${HTML_STYLES.notice}">${escapeHtml(document.notice)}</p>` : null;
+    const blocks = [];
+
+    if (document.bookmarkCount === 0) {
+      blocks.push(`<h2 style="${HTML_STYLES.title}">${title}</h2>`);
+      if (notice) {
+        blocks.push(notice);
+      }
+      blocks.push(`<p style="${HTML_STYLES.summary}">${escapeHtml(document.emptyMessage)}</p>`);
+    } else {
+      if (document.includeHeader) {
+        blocks.push(`<h2 style="${HTML_STYLES.title}">${title}</h2>`);
+        blocks.push(`<p style="${HTML_STYLES.summary}">${escapeHtml(document.summary)}</p>`);
+      }
+
+      if (notice) {
+        blocks.push(notice);
+      }
+
+      for (const section of document.sections) {
+        const { depth } = section;
+        const level = headingLevel(4, depth);
+        const indent = depth > 0 ? ` margin-left: ${depth * 16}px;` : '';
+        const headingStyle = depth > 0 ? HTML_STYLES.subfolder : HTML_STYLES.folder;
+
+        blocks.push(`<h${level} style="${headingStyle}${indent}">${escapeHtml(section.name)} <span style="${HTML_STYLES.count}">(${section.count}件)</span></h${level}>`);
+
+        if (section.bookmarks.length === 0) {
+          continue;
+        }
+
+        blocks.push(`<ul style="${HTML_STYLES.list}${indent}">`);
+
+        for (const bookmark of section.bookmarks) {
+          const bookmarkTitle = escapeHtml(bookmark.title);
+          let item = isLinkableUrl(bookmark.url)
+            ? `<a href="${escapeHtml(bookmark.url)}" style="${HTML_STYLES.link}">${bookmarkTitle}</a>`
+            : `${bookmarkTitle} (${escapeHtml(bookmark.url)})`;
+
+          // お気に入りマークの付与
+          if (bookmark.isFavorite) {
+            item += ` <span style="${HTML_STYLES.favorite}">★</span>`;
+          }
+
+          blocks.push(`<li style="${HTML_STYLES.item}">${item}</li>`);
+        }
+
+        blocks.push('</ul>');
+      }
+    }
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="ja">',
+      '<head>',
+      '<meta charset="UTF-8">',
+      `<title>${title}</title>`,
+      '</head>',
+      `<body style="${HTML_STYLES.body}">`,
+      ...blocks,
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
+};
+
+/**
+ * JSON形式（機械処理用）
+ * @type {Renderer}
+ */
+const jsonRenderer = {
+  contentType: 'application/json',
+  render(document) {
+    return JSON.stringify({
+      title: document.title,
+      period: document.period,
+      dateRange: document.dateRange,
+      bookmarkCount: document.bookmarkCount,
+      notice: document.notice ?? null,
+      groupBy: document.groupBy,
+      sections: document.sections.map(section => ({
+        name: section.name,
+        path: section.path,
+        depth: section.depth,
+        count: section.count,
+        bookmarks: section.bookmarks.map(toPlainBookmark)
+      }))
+    }, null, 2);
+  }
+};
+
+/**
+ * 登録済みレンダラー
+ * @type {Map<string, Renderer>}
+ */
+const renderers = new Map([
+  [OutputFormat.TEXTILE, textileRenderer],
+  [OutputFormat.MARKDOWN, markdownRenderer],
+  [OutputFormat.PLAINTEXT, plaintextRenderer],
+  [OutputFormat.HTML, htmlRenderer],
+  [OutputFormat.JSON, jsonRenderer]
+]);
+
+/**
+ * 出力フォーマットを登録（同名の場合は上書き）
+ * @param {string} name - フォーマット名（Parameter Storeの output-format で指定する値）
+ * @param {Renderer} renderer - レンダラー
+ */
+export function registerOutputFormat(name, renderer) {
+  if (!name || typeof name !== 'string') {
+    throw new ValidationError('出力フォーマット名は必須の文字列です');
+  }
+
+  if (!renderer || typeof renderer.render !== 'function') {
+    throw new ValidationError(`出力フォーマット "${name}" には render 関数が必要です`);
+  }
+
+  renderers.set(name, {
+    contentType: 'text/plain',
+    ...renderer
+  });
+}
+
+/**
+ * 出力フォーマットが登録済みか判定
+ * @param {string} name - フォーマット名
+ * @returns {boolean} 登録済みの場合はtrue
+ */
+export function hasOutputFormat(name) {
+  return renderers.has(name);
+}
+
+/**
+ * 出力フォーマットのレンダラーを取得
+ * @param {string} name - フォーマット名
+ * @returns {Renderer} レンダラー
+ * @throws {ConfigError} 未登録の場合
+ */
+export function getOutputFormat(name) {
+  const renderer = renderers.get(name);
+
+  if (!renderer) {
+    throw new ConfigError(`未登録の出力フォーマットです: ${name}（利用可能: ${listOutputFormats().join(', ')}）`);
+  }
+
+  return renderer;
+}
+
+/**
+ * 登録済みの出力フォーマット名一覧を取得
+ * @returns {Array<string>} フォーマット名の配列
+ */
+export function listOutputFormats() {
+  return [...renderers.keys()];
+}
@@ -1,58 +1,344 @@
 /**
  * AWS Systems Manager Parameter Store ヘルパー
- * 階層パスから一括でパラメータを取得
+ * 階層パスから一括でパラメータを取得し、ウォームスタートの間はキャッシュする
  */
 
 import { SSMClient, GetParametersByPathCommand } from '@aws-sdk/client-ssm';
+import { ConfigError, ErrorCode } from './error-handler.js';
+import { resolveRegion, RegionService } from './aws-region.js';
+
+/**
+ * プロファイル名として使用できる形式（Parameter Storeのパス要素になるため英数字・._-のみ）
+ */
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/**
+ * パラメータのキャッシュ期間のデフォルト値（ミリ秒）
+ */
+export const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * 取得したパラメータのキャッシュ（Lambdaのコンテナが再利用される間は保持される）
+ * @type {Map<string, {expiresAt: number, tree: Object}>}
+ */
+const parameterCache = new Map();
+
+/**
+ * パラメータのキャッシュを破棄
+ */
+export function clearParameterCache() {
+  parameterCache.clear();
+}
+
+/**
+ * 環境変数からキャッシュ期間を取得
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {number} キャッシュ期間（ミリ秒、0の場合はキャッシュしない）
+ * @throws {ConfigError} PARAMETER_STORE_CACHE_TTL_SECONDS が0以上の整数でない場合
+ */
+export function cacheTtlFromEnv(env = process.env) {
+  const value = env.PARAMETER_STORE_CACHE_TTL_SECONDS;
+  if (value === undefined || value === '') {
+    return DEFAULT_CACHE_TTL_MS;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new ConfigError(`PARAMETER_STORE_CACHE_TTL_SECONDS は0以上の整数である必要があります: ${value}`);
+  }
+  return Number(value) * 1000;
+}
+
+/**
+ * パラメータの一覧を階層パスからの相対パスに沿った木構造に変換
+ * 例: /dropcast/config/filters/include-tags → { filters: { 'include-tags': 値 } }
+ * @param {string} path - 取得した階層パス
+ * @param {Array<{Name: string, Value: string}>} parameters - パラメータの一覧
+ * @returns {Object} パラメータの木構造
+ * @throws {ConfigError} 同じパスが値と階層の両方に使われている場合
+ */
+export function toParameterTree(path, parameters) {
+  const prefix = `${path.replace(/\/+$/, '')}/`;
+  const tree = {};
+
+  for (const { Name, Value } of parameters) {
+    const keys = (Name.startsWith(prefix) ? Name.slice(prefix.length) : Name).split('/').filter(Boolean);
+    const leaf = keys.pop();
+    let node = tree;
+
+    for (const key of keys) {
+      if (typeof node[key] === 'string') {
+        throw new ConfigError(`パラメータの階層が値と重複しています: ${Name}`);
+      }
+      node = node[key] ??= {};
+    }
+
+    if (typeof node[leaf] === 'object') {
+      throw new ConfigError(`パラメータの階層が値と重複しています: ${Name}`);
+    }
+    node[leaf] = Value;
+  }
+
+  return tree;
+}
+
+/**
+ * プロファイル名を検証
+ * @param {string} profile - プロファイル名
+ * @returns {string} 検証済みプロファイル名
+ * @throws {ConfigError} 形式が無効な場合
+ */
+export function validateProfileName(profile) {
+  if (typeof profile !== 'string' || !PROFILE_NAME_PATTERN.test(profile)) {
+    throw new ConfigError(`プロファイル名が無効です: ${profile}（英数字と . _ - のみ使用できます）`);
+  }
+  return profile;
+}
+
+/**
+ * プロファイルのパラメータの階層パスを取得
+ * @param {string} profile - プロファイル名
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {string} 階層パス（PARAMETER_STORE_PROFILES_PATH または /dropcast/profiles の配下）
+ * @throws {ConfigError} プロファイル名の形式が無効な場合
+ */
+export function profileParameterPath(profile, env = process.env) {
+  const profilesPath = env.PARAMETER_STORE_PROFILES_PATH || '/dropcast/profiles';
+  return `${profilesPath}/${validateProfileName(profile)}`;
+}
+
+/**
+ * パラメータのキー（/dropcast/config 配下の名前）とDropCast設定のキーの対応
+ */
+const CONFIG_KEYS = {
+  'raindrop-api-token': 'RAINDROP_API_TOKEN',
+  'raindrop-refresh-token': 'RAINDROP_REFRESH_TOKEN',
+  'raindrop-client-id': 'RAINDROP_CLIENT_ID',
+  'raindrop-client-secret': 'RAINDROP_CLIENT_SECRET',
+  'email-from': 'EMAIL_FROM',
+  'email-to': 'EMAIL_TO',
+  'email-cc': 'EMAIL_CC',
+  'email-bcc': 'EMAIL_BCC',
+  'email-reply-to': 'EMAIL_REPLY_TO',
+  'delivery-mode': 'DELIVERY_MODE',
+  'output-format': 'OUTPUT_FORMAT',
+  'group-by': 'GROUP_BY',
+  'search-query': 'SEARCH_QUERY',
+  'attachments': 'ATTACHMENTS'
+};
+
+/**
+ * フィルタ設定のパラメータのキーとFILTERSのキーの対応
+ */
+const FILTER_KEYS = {
+  'include-collections': 'includeCollections',
+  'exclude-collections': 'excludeCollections',
+  'include-tags': 'includeTags',
+  'exclude-tags': 'excludeTags',
+  'include-domains': 'includeDomains',
+  'exclude-domains': 'excludeDomains',
+  'favorites-only': 'favoritesOnly'
+};
+
+/**
+ * DropCast設定として読み込むパラメータのキー
+ */
+export const PARAMETER_KEYS = [...Object.keys(CONFIG_KEYS), ...Object.keys(FILTER_KEYS)];
+
+/**
+ * 階層にまとめて登録できるパラメータ（例: filters/include-tags → include-tags）
+ */
+const PARAMETER_GROUPS = {
+  filters: Object.keys(FILTER_KEYS)
+};
+
+/**
+ * パラメータの木構造をDropCast設定のパラメータのキーに平坦化
+ * 直下のキーに加えて、filters/include-tags のようにグループの階層に登録したキーも読み込む。
+ * 対応する設定項目が無いパラメータは相対パス（例: filters/include-tag）をキーとして残し、設定の検証で報告する
+ * @param {Object} tree - パラメータの木構造
+ * @returns {Object} パラメータのキーと値のオブジェクト
+ * @throws {ConfigError} 同じ設定項目が直下とグループの階層の両方に登録されている場合
+ */
+export function flattenParameterTree(tree) {
+  const parameters = {};
+  const paths = {};
+
+  const visit = (node, parents) => {
+    for (const [name, value] of Object.entries(node)) {
+      const segments = [...parents, name];
+      if (typeof value === 'object') {
+        visit(value, segments);
+        continue;
+      }
+
+      const path = segments.join('/');
+      const key = segments.length === 1 || (segments.length === 2 && PARAMETER_GROUPS[segments[0]]?.includes(name)) ?
+        name : path;
+
+      if (paths[key] !== undefined) {
+        throw new ConfigError(`同じ設定項目が複数のパラメータに登録されています: ${paths[key]}, ${path}`);
+      }
+      paths[key] = path;
+      parameters[key] = value;
+    }
+  };
+
+  visit(tree, []);
+  return parameters;
+}
+
+/**
+ * パラメータのキーを環境変数名に変換（例: email-to → EMAIL_TO）
+ * @param {string} key - パラメータのキー
+ * @returns {string} 環境変数名
+ */
+export function toEnvName(key) {
+  return key.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * 環境変数名をパラメータのキーに変換（例: EMAIL_TO → email-to）
+ * @param {string} name - 環境変数名
+ * @returns {string} パラメータのキー
+ */
+export function toParameterKey(name) {
+  return name.toLowerCase().replace(/_/g, '-');
+}
+
+/**
+ * パラメータのキー（/dropcast/config 配下の名前）からDropCast設定オブジェクトを作成
+ * 対応する設定項目が無いパラメータは、設定の検証で報告できるようキーをそのまま残す
+ * @param {Object} parameters - パラメータのキー・バリューオブジェクト
+ * @returns {Object} DropCast設定オブジェクト
+ */
+export function toDropCastConfig(parameters) {
+  const config = Object.fromEntries(
+    Object.entries(CONFIG_KEYS).map(([key, configKey]) => [configKey, parameters[key]])
+  );
+
+  config.FILTERS = Object.fromEntries(
+    Object.entries(FILTER_KEYS).map(([key, filterKey]) => [filterKey, parameters[key]])
+  );
+
+  for (const key of Object.keys(parameters).filter(key => !PARAMETER_KEYS.includes(key))) {
+    config[key] = parameters[key];
+  }
+
+  return config;
+}
+
+/**
+ * 環境変数からDropCast設定を取得
+ * パラメータのキーを大文字・アンダースコア区切りにした名前（例: email-to → EMAIL_TO）で参照する
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {Object} DropCast設定オブジェクト
+ */
+export function getEnvConfig(env = process.env) {
+  const parameters = Object.fromEntries(PARAMETER_KEYS.map(key => [key, env[toEnvName(key)]]));
+
+  return toDropCastConfig(parameters);
+}
 
 export class ParameterStore {
-  constructor(region = 'us-east-1') {
+  /**
+   * @param {string} region - AWSリージョン（未指定の場合は SSM_REGION、AWS_REGION の順に参照）
+   * @param {Object} options - オプション
+   * @param {number} options.cacheTtlMs - キャッシュ期間（ミリ秒、未指定の場合は環境変数またはデフォルトの5分）
+   * @param {function(): number} [options.now] - 現在時刻を返す関数（テスト用）
+   */
+  constructor(region = resolveRegion(RegionService.SSM), options = {}) {
+    const { cacheTtlMs = cacheTtlFromEnv(), now = Date.now } = options;
+
+    this.region = region;
+    this.cacheTtlMs = cacheTtlMs;
+    this.now = now;
     this.ssmClient = new SSMClient({ region });
   }
 
   /**
-   * 階層パスから全パラメータを一括取得
+   * 階層パスから全パラメータを取得
+   * NextTokenを辿ってすべてのページを取得し、階層パスからの相対パスに沿った木構造で返す。
+   * キャッシュ期間内に同じパスを取得した場合はAPIを呼び出さない
    * @param {string} path - Parameter Storeの階層パス
    * @param {boolean} decrypt - SecureStringを復号化するか
-   * @returns {Object} パラメータのキー・バリューオブジェクト
+   * @returns {Object} パラメータの木構造（直下のパラメータはキー・バリュー）
    */
   async getParametersByPath(path, decrypt = true) {
+    const cacheKey = `${this.region}:${path}:${decrypt}`;
+    const cached = parameterCache.get(cacheKey);
+
+    if (cached && cached.expiresAt > this.now()) {
+      return structuredClone(cached.tree);
+    }
+
+    const parameters = [];
     try {
-      const command = new GetParametersByPathCommand({
-        Path: path,
-        Recursive: true,
-        WithDecryption: decrypt,
+      let nextToken;
+      do {
+        const response = await this.ssmClient.send(new GetParametersByPathCommand({
+          Path: path,
+          Recursive: true,
+          WithDecryption: decrypt,
+          ...(nextToken && { NextToken: nextToken })
+        }));
+
+        parameters.push(...(response.Parameters || []));
+        nextToken = response.NextToken;
+      } while (nextToken);
+    } catch (error) {
+      throw new ConfigError(`Parameter Store取得エラー: ${error.message}`, {
+        code: ErrorCode.CONFIG_UNAVAILABLE,
+        originalError: error
       });
+    }
 
-      const response = await this.ssmClient.send(command);
+    const tree = toParameterTree(path, parameters);
 
-      // パラメータを使いやすい形式に変換
-      const parameters = {};
-      for (const param of response.Parameters || []) {
-        // パス部分を除いてキー名のみを取得
-        const key = param.Name.split('/').pop();
-        parameters[key] = param.Value;
+    if (this.cacheTtlMs > 0) {
+      parameterCache.set(cacheKey, { expiresAt: this.now() + this.cacheTtlMs, tree: structuredClone(tree) });
+    }
+
+    return tree;
+  }
+
+  /**
+   * DropCast設定のパラメータを取得
+   *
+   * プロファイルを指定した場合は共通設定（/dropcast/config）に
+   * プロファイルの階層（/dropcast/profiles/<name>）の値を上書きして返す。
+   * APIトークンなどの共通の値はプロファイル側で省略できる。
+   * filters/include-tags などグループの階層に登録した値は、直下の同じキーと同様に扱う。
+   *
+   * @param {string|null} profile - プロファイル名（未指定の場合は共通設定のみ）
+   * @returns {Object} パラメータのキーと値のオブジェクト（flattenParameterTreeの戻り値）
+   * @throws {ConfigError} プロファイルのパラメータが1件も存在しない場合
+   */
+  async getDropCastParameters(profile = null) {
+    const path = process.env.PARAMETER_STORE_PATH || '/dropcast/config';
+    let parameters = flattenParameterTree(await this.getParametersByPath(path));
+
+    if (profile) {
+      const profilePath = profileParameterPath(profile);
+      const profileParameters = flattenParameterTree(await this.getParametersByPath(profilePath));
+
+      if (Object.keys(profileParameters).length === 0) {
+        throw new ConfigError(`プロファイルが見つかりません: ${profile}（${profilePath}）`, { code: ErrorCode.PROFILE_NOT_FOUND });
       }
 
-      return parameters;
-    } catch (error) {
-      throw new Error(`Parameter Store取得エラー: ${error.message}`);
+      parameters = { ...parameters, ...profileParameters };
     }
+
+    return parameters;
   }
 
   /**
    * DropCast設定を取得
+   * @param {string|null} profile - プロファイル名（未指定の場合は共通設定のみ）
    * @returns {Object} DropCast設定オブジェクト
+   * @throws {ConfigError} プロファイルのパラメータが1件も存在しない場合
    */
-  async getDropCastConfig() {
-    const path = process.env.PARAMETER_STORE_PATH || '/dropcast/config';
-    const parameters = await this.getParametersByPath(path);
-
-    return {
-      RAINDROP_API_TOKEN: parameters['raindrop-api-token'],
-      EMAIL_FROM: parameters['email-from'],
-      EMAIL_TO: parameters['email-to'],
-    };
+  async getDropCastConfig(profile = null) {
+    return toDropCastConfig(await this.getDropCastParameters(profile));
   }
 }
 
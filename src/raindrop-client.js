@@ -5,14 +5,117 @@
 
 import axios from 'axios';
 import { BookmarkModel } from './bookmark-model.js';
+import { RaindropQuery } from './raindrop-query.js';
+import { attachRetry, retryOptionsFromEnv, RETRY_DEADLINE } from './http-retry.js';
+import { createRateLimiterFromEnv } from './rate-limiter.js';
+import { getLogger } from './logger.js';
+import { RaindropApiError, ConfigError, ErrorCode } from './error-handler.js';
+
+/**
+ * 1ページあたりの取得件数（Raindrop.io APIで許可される最大値）
+ */
+const PER_PAGE = 50;
+
+/**
+ * 1回の取得で読み込む最大ページ数（5,000件）
+ */
+export const MAX_PAGES = 100;
+
+/**
+ * 2ページ目以降を並行して取得する数のデフォルト値
+ * 送信間隔はレートリミッターで制御されるため、ここでは同時に待機するリクエスト数のみを制限する
+ */
+export const DEFAULT_PAGE_CONCURRENCY = 4;
+
+/**
+ * 環境変数からページ取得の並行数を取得
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {number} 並行数
+ * @throws {ConfigError} RAINDROP_PAGE_CONCURRENCY が正の整数でない場合
+ */
+export function pageConcurrencyFromEnv(env = process.env) {
+  const value = env.RAINDROP_PAGE_CONCURRENCY;
+  if (value === undefined || value === '') {
+    return DEFAULT_PAGE_CONCURRENCY;
+  }
+
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new ConfigError(`RAINDROP_PAGE_CONCURRENCY は正の整数である必要があります: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * 配列の各要素に非同期処理を同時実行数を制限して適用
+ * @param {Array} items - 処理対象
+ * @param {number} concurrency - 同時実行数
+ * @param {function(*): Promise<*>} task - 処理関数
+ * @returns {Promise<Array>} 処理結果（入力と同じ順序）
+ */
+async function mapWithConcurrency(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * APIレスポンスの項目から最新の作成日時を取得
+ * @param {Array<Object>} items - APIレスポンスの項目
+ * @returns {string|null} 最新の作成日時（ISO 8601形式、有効な日時が無い場合はnull）
+ */
+function latestCreated(items) {
+  const times = items
+    .map(item => new Date(item?.created).getTime())
+    .filter(time => !isNaN(time));
+
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * アクセストークン更新後の再送であることを示すリクエスト設定のキー
+ * axiosはリクエスト設定をマージする際にSymbolのキーを引き継がないため文字列とする
+ */
+const TOKEN_REFRESHED = '__dropcastTokenRefreshed';
 
 export default class RaindropClient {
-  constructor(apiToken = null) {
+  /**
+   * コレクションIDからフルパスへの対応表（1実行につき1回だけ取得）
+   * @type {Promise<Map<number, Array<string>>>|null}
+   */
+  #collectionPaths = null;
+
+  /**
+   * 実行中のアクセストークン更新（並行リクエストの401を1回の更新にまとめる）
+   * @type {Promise<void>|null}
+   */
+  #refreshing = null;
+
+  /**
+   * @param {string|null} apiToken - APIトークン（未指定の場合はRAINDROP_API_TOKEN環境変数）
+   * @param {Object} options - クライアントオプション
+   * @param {Object} options.retry - リトライ設定（maxAttempts, timeBudgetMs など。未指定の項目は環境変数またはデフォルト値）
+   * @param {TokenBucket} options.rateLimiter - レートリミッター（未指定の場合は環境変数またはデフォルトの120回/分）
+   * @param {number} options.pageConcurrency - 2ページ目以降を並行して取得する数（未指定の場合は環境変数またはデフォルトの4）
+   * @param {number} options.maxPages - 1回の取得で読み込む最大ページ数（デフォルト: 100）
+   * @param {function(): Promise<string>} options.refreshAccessToken - 401の場合に新しいアクセストークンを返す関数（OAuth2使用時）
+   */
+  constructor(apiToken = null, options = {}) {
     this.apiToken = apiToken || process.env.RAINDROP_API_TOKEN;
     this.baseURL = 'https://api.raindrop.io/rest/v1';
 
     if (!this.apiToken) {
-      throw new Error('Raindrop.io APIトークンが必要です。RAINDROP_API_TOKEN環境変数を設定するか、コンストラクタに渡してください。');
+      throw new ConfigError('Raindrop.io APIトークンが必要です。RAINDROP_API_TOKEN環境変数を設定するか、コンストラクタに渡してください。', {
+        code: ErrorCode.CONFIG_MISSING
+      });
     }
 
     // 認証付きでaxiosクライアントを設定
@@ -25,6 +128,44 @@ export default class RaindropClient {
       timeout: 30000 // 30秒タイムアウト
     });
 
+    this.refreshAccessToken = options.refreshAccessToken ?? null;
+    this.pageConcurrency = options.pageConcurrency ?? pageConcurrencyFromEnv();
+    this.maxPages = options.maxPages ?? MAX_PAGES;
+
+    // 再試行を含む全てのリクエストをレートリミッター経由で送信し、レスポンスのヘッダーで残り回数を補正
+    this.rateLimiter = options.rateLimiter || createRateLimiterFromEnv();
+    this.client.interceptors.request.use(async (config) => {
+      await this.rateLimiter.acquire();
+      return config;
+    });
+    this.client.interceptors.response.use(
+      (response) => {
+        this.rateLimiter.updateFromHeaders(response.headers);
+        return response;
+      },
+      (error) => {
+        if (error.response) {
+          this.rateLimiter.updateFromHeaders(error.response.headers);
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    // レート制限・サーバーエラー・ネットワークエラーは指数バックオフで再試行
+    this.retryOptions = { ...retryOptionsFromEnv(), ...options.retry };
+    attachRetry(this.client, {
+      ...this.retryOptions,
+      onRetry: (retry) => getLogger().warn('Raindrop.io APIへのリクエストを再試行します', retry)
+    });
+
+    // 期限切れのアクセストークンは更新して1回だけ再送（エラー変換より先に登録する）
+    if (this.refreshAccessToken) {
+      this.client.interceptors.response.use(
+        (response) => response,
+        (error) => this.#retryWithRefreshedToken(error)
+      );
+    }
+
     // エラーハンドリング用のレスポンスインターセプターを追加
     this.client.interceptors.response.use(
       (response) => response,
@@ -34,10 +175,49 @@ export default class RaindropClient {
     );
   }
 
+  /**
+   * 401の場合にアクセストークンを更新してリクエストを再送
+   * 更新に失敗した場合は元のエラーをそのまま返し、#handleError で認証エラーとして扱う
+   * @param {Error} error - Axiosエラーオブジェクト
+   * @returns {Promise} - 再送したリクエストのレスポンス
+   */
+  async #retryWithRefreshedToken(error) {
+    const config = error.config;
+    if (error.response?.status !== 401 || !config || config[TOKEN_REFRESHED]) {
+      throw error;
+    }
+
+    // 他のリクエストが更新済みの場合は更新せずに新しいトークンで再送する
+    const sentToken = String(config.headers?.Authorization ?? '').replace(/^Bearer /, '');
+    if (sentToken === this.apiToken) {
+      this.#refreshing ??= this.refreshAccessToken()
+        .then((accessToken) => {
+          this.apiToken = accessToken;
+          this.client.defaults.headers.Authorization = `Bearer ${accessToken}`;
+        })
+        .finally(() => {
+          this.#refreshing = null;
+        });
+
+      try {
+        await this.#refreshing;
+      } catch (refreshError) {
+        getLogger().error('Raindrop.io のアクセストークンを更新できませんでした', { error: refreshError.message });
+        throw error;
+      }
+    }
+
+    return this.client.request({
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${this.apiToken}` },
+      [TOKEN_REFRESHED]: true
+    });
+  }
+
   /**
    * HTTPエラーを処理し、意味のあるエラーメッセージを提供
    * @param {Error} error - Axiosエラーオブジェクト
-   * @returns {Promise} - フォーマット済みエラーで拒否されたPromise
+   * @returns {Promise} - RaindropApiErrorで拒否されたPromise
    */
   #handleError(error) {
     if (error.response) {
@@ -67,15 +247,20 @@ export default class RaindropClient {
           }
       }
 
-      const apiError = new Error(message);
-      apiError.status = status;
-      apiError.originalError = error;
-      return Promise.reject(apiError);
+      return Promise.reject(new RaindropApiError(message, { status, originalError: error }));
     } else if (error.request) {
-      // ネットワークエラー
-      const networkError = new Error('ネットワークエラー: Raindrop.io APIに接続できません');
-      networkError.originalError = error;
-      return Promise.reject(networkError);
+      // タイムアウト・ネットワークエラー
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return Promise.reject(new RaindropApiError('タイムアウト: Raindrop.io APIから応答がありません', {
+          code: ErrorCode.TIMEOUT,
+          originalError: error
+        }));
+      }
+
+      return Promise.reject(new RaindropApiError('ネットワークエラー: Raindrop.io APIに接続できません', {
+        code: ErrorCode.NETWORK_ERROR,
+        originalError: error
+      }));
     } else {
       // その他のエラー
       return Promise.reject(error);
@@ -91,18 +276,156 @@ export default class RaindropClient {
       const response = await this.client.get('/user');
       return response.status === 200;
     } catch (error) {
-      console.error('接続テストに失敗しました:', error.message);
+      getLogger().error('接続テストに失敗しました', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * 再試行の期限を作成
+   * 複数のリクエストからなる取得処理全体で、再試行の時間（timeBudgetMs）を共有するために使用する
+   * @returns {Object} リクエスト設定に追加する再試行の期限
+   */
+  #retryDeadline() {
+    const now = this.retryOptions.now ?? Date.now;
+    return { [RETRY_DEADLINE]: now() + this.retryOptions.timeBudgetMs };
+  }
+
+  /**
+   * コレクション階層を取得し、コレクションIDからフルパスへの対応表を作成
+   * 結果はクライアントインスタンスごとにキャッシュされる
+   * @param {Object} requestConfig - リクエスト設定（再試行の期限など）
+   * @returns {Promise<Map<number, Array<string>>>} コレクションID → ルートからのコレクション名配列
+   */
+  async getCollectionPaths(requestConfig = {}) {
+    if (!this.#collectionPaths) {
+      this.#collectionPaths = this.#fetchCollectionPaths(requestConfig).catch((error) => {
+        this.#collectionPaths = null;
+        throw error;
+      });
+    }
+
+    return this.#collectionPaths;
+  }
+
+  /**
+   * ルートコレクションと子コレクションを取得して対応表を作成
+   * @param {Object} requestConfig - リクエスト設定
+   * @returns {Promise<Map<number, Array<string>>>} コレクションID → ルートからのコレクション名配列
+   */
+  async #fetchCollectionPaths(requestConfig) {
+    const rootResponse = await this.client.get('/collections', requestConfig);
+    const childResponse = await this.client.get('/collections/childrens', requestConfig);
+
+    const collections = new Map();
+    for (const item of [...(rootResponse.data?.items || []), ...(childResponse.data?.items || [])]) {
+      if (Number.isInteger(item?._id)) {
+        collections.set(item._id, {
+          title: item.title || '名称未設定',
+          parentId: item.parent?.$id ?? null
+        });
+      }
+    }
+
+    const paths = new Map();
+    for (const id of collections.keys()) {
+      const path = [];
+      const visited = new Set();
+      let current = id;
+
+      // 親を辿ってルートまでのパスを作成（循環参照に備えて訪問済みを記録）
+      while (current !== null && collections.has(current) && !visited.has(current)) {
+        visited.add(current);
+        const collection = collections.get(current);
+        path.unshift(collection.title);
+        current = collection.parentId;
+      }
+
+      paths.set(id, path);
+    }
+
+    return paths;
+  }
+
+  /**
+   * ブックマークにコレクションのフルパスを設定
+   * コレクション取得に失敗した場合はAPIレスポンスのコレクション情報のまま継続する
+   * （パスは未解決のままとなり、パスによるコレクションのフィルタでは配信対象から外れる）
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @param {Object} requestConfig - コレクション取得のリクエスト設定
+   * @returns {Promise<Array<BookmarkModel>>} フルパス設定済みのブックマーク配列
+   */
+  async #applyCollectionPaths(bookmarks, requestConfig = {}) {
+    if (bookmarks.length === 0) {
+      return bookmarks;
+    }
+
+    let collectionPaths;
+    try {
+      collectionPaths = await this.getCollectionPaths(requestConfig);
+    } catch (error) {
+      getLogger().warn('コレクション階層の取得に失敗しました。コレクション名を解決せずに継続します', { error: error.message });
+      return bookmarks;
+    }
+
+    for (const bookmark of bookmarks) {
+      const path = collectionPaths.get(bookmark.collectionId);
+      if (path) {
+        bookmark.setCollectionPath(path);
+      }
+    }
+
+    return bookmarks;
+  }
+
+  /**
+   * 検索クエリビルダーを作成
+   * @returns {RaindropQuery} 空の検索クエリ
+   */
+  query() {
+    return new RaindropQuery();
+  }
+
   /**
    * ページネーション対応で過去7日間のブックマークを取得
+   * 検索クエリを指定した場合はRaindrop.io側で絞り込まれた結果のみをページ取得する
+   * 途中のページで失敗した場合はエラーを投げる（取得済みの分で継続する場合は fetchRecentBookmarks を使用）
    * @param {Date} fromDate - フィルタリング開始日（デフォルト: 7日前）
    * @param {Date} toDate - フィルタリング終了日（デフォルト: 現在）
+   * @param {Object} options - 追加オプション
+   * @param {RaindropQuery|string} options.query - 検索クエリまたは検索文字列
    * @returns {Promise<Array>} - ブックマークオブジェクトの配列
    */
-  async getRecentBookmarks(fromDate = null, toDate = null) {
+  async getRecentBookmarks(fromDate = null, toDate = null, options = {}) {
+    const { bookmarks } = await this.fetchRecentBookmarks(fromDate, toDate, { ...options, allowPartial: false });
+    return bookmarks;
+  }
+
+  /**
+   * ページネーション対応で過去7日間のブックマークを取得（部分取得を許容）
+   *
+   * 1ページ目のレスポンスの count から取得するページを決め、2ページ目以降はレートリミッターの範囲内で
+   * 並行して取得する。ページ間で重複したブックマークは _id で除外する。
+   * ページ数が上限を超える場合は上限までを取得し、truncated に打ち切りの情報を返す。
+   * 再試行の時間（timeBudgetMs）はページごとではなく、コレクション階層の取得を含む処理全体で共有する。
+   *
+   * 2ページ目以降の取得が再試行後も失敗した場合は、取得できたページのブックマークを
+   * 部分的な結果として返す。1ページ目で失敗した場合は取得できたものが無いためエラーを投げる。
+   * 作成日時の古い順に取得するため、最初に失敗したページより前のページは欠けの無い範囲となり、
+   * その範囲の最新の作成日時を failure.completeUntil に返す。
+   *
+   * @param {Date} fromDate - フィルタリング開始日（デフォルト: 7日前）
+   * @param {Date} toDate - フィルタリング終了日（デフォルト: 現在）
+   * @param {Object} options - 追加オプション
+   * @param {RaindropQuery|string} options.query - 検索クエリまたは検索文字列
+   * @param {boolean} options.allowPartial - 途中のページで失敗した場合に取得済みの分を返すか（デフォルト: true）
+   * @returns {Promise<{bookmarks: Array<BookmarkModel>, partial: boolean, failure: Object|null, truncated: Object|null}>}
+   *   ブックマーク配列、部分的な結果かどうか、失敗したページの情報（page, pages, code, message, completeUntil）、
+   *   ページ数の上限による打ち切りの情報（totalCount, totalPages, fetchedPages, maxPages）
+   */
+  async fetchRecentBookmarks(fromDate = null, toDate = null, options = {}) {
+    const { allowPartial = true } = options;
+
     // 日付が提供されない場合は過去7日間をデフォルトとする
     if (!fromDate) {
       fromDate = new Date();
@@ -117,49 +440,130 @@ export default class RaindropClient {
     const fromDateStr = fromDate.toISOString();
     const toDateStr = toDate.toISOString();
 
-    let allBookmarks = [];
-    let page = 0;
-    let hasMorePages = true;
-    const perPage = 50; // Raindrop.io APIで許可される最大値
-
-    try {
-      while (hasMorePages) {
-        const response = await this.client.get('/raindrops/0', {
-          params: {
-            created: `${fromDateStr}..${toDateStr}`,
-            perpage: perPage,
-            page: page
-          }
-        });
+    const query = RaindropQuery.from(options.query);
+    const search = query.build();
 
-        const { items, count } = response.data;
+    // 並行して取得するページとコレクション階層の再試行で、時間を取得処理全体で共有する
+    const retryDeadline = this.#retryDeadline();
 
-        if (!items || !Array.isArray(items)) {
-          throw new Error('Raindrop.io APIからの無効なレスポンス形式');
-        }
+    const fetchPage = async (page) => {
+      const params = {
+        created: `${fromDateStr}..${toDateStr}`,
+        // 古い順に取得し、途中のページで失敗しても失敗したページより前を取得済みの範囲として扱えるようにする
+        sort: 'created',
+        perpage: PER_PAGE,
+        page: page
+      };
 
-        // BookmarkModelを使用してブックマークデータを解析・検証
-        const parsedBookmarks = BookmarkModel.fromRaindropApiResponseArray(items);
-        allBookmarks = allBookmarks.concat(parsedBookmarks);
+      if (search) {
+        params.search = search;
+      }
 
-        // 次のページがあるかチェック
-        // items.length < perPageの場合、最後のページに到達
-        hasMorePages = items.length === perPage && allBookmarks.length < count;
-        page++;
+      const response = await this.client.get(`/raindrops/${query.collectionId}`, { params, ...retryDeadline });
+      const { items, count } = response.data;
 
-        // 無限ループを防ぐ安全チェック
-        if (page > 100) {
-          console.warn('最大ページ制限（100）に到達しました。ページネーションを停止します。');
-          break;
-        }
+      if (!items || !Array.isArray(items)) {
+        throw new RaindropApiError('Raindrop.io APIからの無効なレスポンス形式', {
+          status: response.status ?? null,
+          code: ErrorCode.RAINDROP_INVALID_RESPONSE
+        });
       }
 
-      return allBookmarks;
+      return { items, count };
+    };
 
+    let firstPage;
+    try {
+      firstPage = await fetchPage(0);
     } catch (error) {
-      console.error('ブックマーク取得エラー:', error.message);
+      getLogger().error('ブックマーク取得エラー', { error: error.message });
       throw error;
     }
+
+    // 検証で除外される項目があっても件数がずれないよう、APIの総件数からページ数を決める
+    const totalCount = Number.isInteger(firstPage.count) ? firstPage.count : firstPage.items.length;
+    const totalPages = Math.max(1, Math.ceil(totalCount / PER_PAGE));
+    const plannedPages = Math.min(totalPages, this.maxPages);
+    const truncated = totalPages > this.maxPages ?
+      { totalCount, totalPages, fetchedPages: plannedPages, maxPages: this.maxPages } : null;
+
+    if (truncated) {
+      getLogger().warn(`最大ページ数（${this.maxPages}）を超えるため、残りのブックマークは取得しません`, truncated);
+    }
+
+    const remainingPages = Array.from({ length: plannedPages - 1 }, (_, index) => index + 1);
+    const results = await mapWithConcurrency(remainingPages, this.pageConcurrency, async (page) => {
+      try {
+        return { page, ...await fetchPage(page) };
+      } catch (error) {
+        return { page, error };
+      }
+    });
+
+    const failed = results.filter(result => result.error);
+    let failure = null;
+
+    if (failed.length > 0) {
+      const [first] = failed;
+
+      if (!allowPartial) {
+        getLogger().error('ブックマーク取得エラー', { page: first.page, error: first.error.message });
+        throw first.error;
+      }
+
+      const contiguousItems = [firstPage, ...results.filter(result => !result.error && result.page < first.page)]
+        .flatMap(result => result.items);
+
+      failure = {
+        page: first.page,
+        pages: failed.map(result => result.page),
+        code: first.error.code ?? ErrorCode.UNKNOWN,
+        message: first.error.message,
+        completeUntil: latestCreated(contiguousItems)
+      };
+      getLogger().warn('ブックマークの取得に失敗したページがあるため、取得済みの分で継続します', failure);
+    }
+
+    // ページ取得中の追加・削除でずれた項目が複数のページに現れることがあるため、_id で重複を除外
+    const seen = new Set();
+    let duplicates = 0;
+    const items = [firstPage, ...results.filter(result => !result.error)]
+      .flatMap(result => result.items)
+      .filter(item => {
+        if (item?._id === undefined || item?._id === null) {
+          return true;
+        }
+        if (seen.has(item._id)) {
+          duplicates++;
+          return false;
+        }
+        seen.add(item._id);
+        return true;
+      });
+
+    // BookmarkModelを使用してブックマークデータを解析・検証
+    const bookmarks = BookmarkModel.fromRaindropApiResponseArray(items);
+
+    getLogger().logApiCall('Raindrop.getRecentBookmarks', {
+      collectionId: query.collectionId,
+      search,
+      created: `${fromDateStr}..${toDateStr}`
+    }, {
+      bookmarkCount: bookmarks.length,
+      totalCount,
+      pages: plannedPages - failed.length,
+      duplicates,
+      partial: failure !== null,
+      truncated: truncated !== null,
+      rateLimit: this.rateLimiter.getState()
+    });
+
+    return {
+      bookmarks: await this.#applyCollectionPaths(bookmarks, retryDeadline),
+      partial: failure !== null,
+      failure,
+      truncated
+    };
   }
 
   // 注意: #parseBookmarkメソッドはBookmarkModel.fromRaindropApiResponseに置き換えられました
@@ -175,7 +579,7 @@ export default class RaindropClient {
       fromDate = null,
       toDate = null,
       page = 0,
-      perPage = 50
+      perPage = PER_PAGE
     } = options;
 
     try {
@@ -201,10 +605,15 @@ export default class RaindropClient {
         return [];
       }
 
-      return BookmarkModel.fromRaindropApiResponseArray(items);
+      getLogger().logApiCall('Raindrop.getBookmarksByCollection', { collectionId, ...params }, {
+        bookmarkCount: items.length,
+        rateLimit: this.rateLimiter.getState()
+      });
+
+      return await this.#applyCollectionPaths(BookmarkModel.fromRaindropApiResponseArray(items));
 
     } catch (error) {
-      console.error(`コレクション${collectionId}のブックマーク取得エラー:`, error.message);
+      getLogger().error('コレクションのブックマーク取得エラー', { collectionId, error: error.message });
       throw error;
     }
   }
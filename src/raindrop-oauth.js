@@ -0,0 +1,434 @@
+/**
+ * Raindrop.io OAuth2
+ * 認可URLの作成、認可コードとリフレッシュトークンによるアクセストークンの取得、
+ * 取得したトークンの設定ストア（Parameter Store・Secrets Manager）への保存を提供
+ */
+
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import axios from 'axios';
+import { SSMClient, PutParameterCommand } from '@aws-sdk/client-ssm';
+import { SecretsManagerClient, GetSecretValueCommand, PutSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import ParameterStore, { clearParameterCache, flattenParameterTree, profileParameterPath, toParameterKey } from './parameter-store.js';
+import { ProviderName } from './config-providers.js';
+import { resolveRegion, RegionService } from './aws-region.js';
+import { RaindropApiError, ConfigError, ValidationError, ErrorCode } from './error-handler.js';
+
+/**
+ * 認可画面のURL
+ */
+export const RAINDROP_AUTHORIZE_URL = 'https://raindrop.io/oauth/authorize';
+
+/**
+ * トークン取得のURL
+ */
+export const RAINDROP_TOKEN_URL = 'https://raindrop.io/oauth/access_token';
+
+/**
+ * トークンを保存できる設定プロバイダー
+ */
+export const WRITABLE_PROVIDERS = [ProviderName.SSM, ProviderName.SECRETS_MANAGER];
+
+/**
+ * トークン取得のタイムアウト（ミリ秒）
+ */
+const TOKEN_TIMEOUT_MS = 30000;
+
+/**
+ * 認可リクエストの state を作成
+ * リダイレクト先で同じ値が返されることを確認し、他者が用意した認可コードの受け入れ（CSRF）を防ぐ
+ * @returns {string} 推測できないランダムな文字列
+ */
+export function createOAuthState() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * リダイレクト先に返された state が認可リクエストのものと一致するか検証
+ * @param {string} expected - 認可リクエストで送った state
+ * @param {string} actual - リダイレクト先URLの state パラメータ
+ * @throws {ValidationError} 一致しない場合
+ */
+export function verifyOAuthState(expected, actual) {
+  const expectedBuffer = Buffer.from(String(expected ?? ''));
+  const actualBuffer = Buffer.from(String(actual ?? ''));
+
+  if (expectedBuffer.length === 0 || expectedBuffer.length !== actualBuffer.length ||
+    !timingSafeEqual(expectedBuffer, actualBuffer)) {
+    throw new ValidationError('認可レスポンスの state が認可リクエストと一致しません。認可URLの作成からやり直してください');
+  }
+}
+
+/**
+ * 認可画面のURLを作成
+ * @param {Object} options - 認可オプション
+ * @param {string} options.clientId - アプリのクライアントID
+ * @param {string} options.redirectUri - アプリに登録したリダイレクトURI
+ * @param {string} options.state - リダイレクト先で検証する state（createOAuthStateの戻り値）
+ * @returns {string} 認可画面のURL
+ */
+export function buildAuthorizeUrl({ clientId, redirectUri, state }) {
+  const url = new URL(RAINDROP_AUTHORIZE_URL);
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', state);
+  return url.toString();
+}
+
+/**
+ * トークンエンドポイントにリクエストし、レスポンスをトークンに変換
+ * @param {Object} body - リクエスト本文
+ * @param {function(): number} now - 現在時刻を返す関数
+ * @returns {Promise<{accessToken: string, refreshToken: string|null, expiresAt: string|null}>} トークン
+ * @throws {RaindropApiError} トークンを取得できなかった場合
+ */
+async function requestToken(body, now) {
+  let response;
+  try {
+    response = await axios.post(RAINDROP_TOKEN_URL, body, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: TOKEN_TIMEOUT_MS
+    });
+  } catch (error) {
+    const status = error.response?.status ?? null;
+    const reason = error.response?.data?.error_description ?? error.response?.data?.error ?? error.message;
+    throw new RaindropApiError(`Raindrop.io のトークン取得に失敗しました${status ? ` (${status})` : ''}: ${reason}`, {
+      status,
+      code: status ? ErrorCode.RAINDROP_UNAUTHORIZED : ErrorCode.NETWORK_ERROR,
+      originalError: error
+    });
+  }
+
+  const data = response.data ?? {};
+  if (!data.access_token) {
+    throw new RaindropApiError('Raindrop.io のトークン取得のレスポンスにアクセストークンが含まれていません', {
+      code: ErrorCode.RAINDROP_INVALID_RESPONSE
+    });
+  }
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token ?? null,
+    expiresAt: Number.isFinite(data.expires_in) ? new Date(now() + data.expires_in * 1000).toISOString() : null
+  };
+}
+
+/**
+ * 認可コードをアクセストークン・リフレッシュトークンと交換
+ * @param {Object} options - 交換オプション
+ * @param {string} options.clientId - アプリのクライアントID
+ * @param {string} options.clientSecret - アプリのクライアントシークレット
+ * @param {string} options.redirectUri - 認可時と同じリダイレクトURI
+ * @param {string} options.code - リダイレクト先に渡された認可コード
+ * @param {function(): number} [options.now] - 現在時刻を返す関数（テスト用）
+ * @returns {Promise<Object>} トークン（accessToken, refreshToken, expiresAt）
+ */
+export async function exchangeAuthorizationCode({ clientId, clientSecret, redirectUri, code, now = Date.now }) {
+  return await requestToken({
+    grant_type: 'authorization_code',
+    code,
+    client_id: clientId,
+    client_secret: clientSecret,
+    redirect_uri: redirectUri
+  }, now);
+}
+
+/**
+ * リフレッシュトークンでアクセストークンを更新
+ * @param {Object} options - 更新オプション
+ * @param {string} options.clientId - アプリのクライアントID
+ * @param {string} options.clientSecret - アプリのクライアントシークレット
+ * @param {string} options.refreshToken - リフレッシュトークン
+ * @param {function(): number} [options.now] - 現在時刻を返す関数（テスト用）
+ * @returns {Promise<Object>} トークン（レスポンスにリフレッシュトークンが無い場合は現在のものを引き継ぐ）
+ */
+export async function refreshAccessToken({ clientId, clientSecret, refreshToken, now = Date.now }) {
+  const tokens = await requestToken({
+    grant_type: 'refresh_token',
+    client_id: clientId,
+    client_secret: clientSecret,
+    refresh_token: refreshToken
+  }, now);
+
+  return { ...tokens, refreshToken: tokens.refreshToken ?? refreshToken };
+}
+
+/**
+ * 設定からOAuth2の認証情報を取得
+ * @param {Object} config - 検証済みの設定
+ * @returns {{clientId: string, clientSecret: string, refreshToken: string}|null}
+ *   認証情報（リフレッシュトークンが未設定の場合はnull）
+ * @throws {ConfigError} リフレッシュトークンがあり、クライアントID・シークレットが不足している場合
+ */
+export function oauthCredentialsFromConfig(config) {
+  if (!config.RAINDROP_REFRESH_TOKEN) {
+    return null;
+  }
+
+  const missing = ['RAINDROP_CLIENT_ID', 'RAINDROP_CLIENT_SECRET'].filter(key => !config[key]);
+  if (missing.length > 0) {
+    throw new ConfigError(`RAINDROP_REFRESH_TOKEN を使用するには ${missing.join(', ')} が必要です`, {
+      code: ErrorCode.CONFIG_MISSING
+    });
+  }
+
+  return {
+    clientId: config.RAINDROP_CLIENT_ID,
+    clientSecret: config.RAINDROP_CLIENT_SECRET,
+    refreshToken: config.RAINDROP_REFRESH_TOKEN
+  };
+}
+
+/**
+ * トークンストアの基底クラス
+ * 実装クラスは save() を提供する
+ */
+export class OAuthTokenStore {
+  /**
+   * 保存先の説明（ログ・CLI表示用）
+   * @type {string}
+   */
+  description = '';
+
+  /**
+   * アクセストークンとリフレッシュトークンを保存
+   * @param {Object} _tokens - トークン（accessToken, refreshToken。nullの項目は保存済みの値を残す）
+   * @returns {Promise<void>}
+   */
+  async save(_tokens) {
+    throw new Error(`${this.constructor.name}.save() が実装されていません`);
+  }
+}
+
+/**
+ * Parameter StoreにSecureStringとして保存するトークンストア
+ * raindrop-api-token・raindrop-refresh-token をそれぞれ読み込んだ階層で上書きする
+ * （プロファイルの階層に登録されている場合はプロファイル側、共通設定側にある場合は共通設定側。
+ * どちらにも無い場合はリフレッシュトークンと同じ階層）
+ */
+export class SsmOAuthTokenStore extends OAuthTokenStore {
+  /**
+   * @param {Object} options - 設定オプション
+   * @param {string} options.path - 保存先の階層（デフォルト: PARAMETER_STORE_PATH または /dropcast/config）
+   * @param {string|null} options.profile - 設定を読み込んだプロファイル名
+   * @param {string} options.region - AWSリージョン（未指定の場合は SSM_REGION、AWS_REGION の順に参照）
+   * @param {ParameterStore} [options.parameterStore] - 保存先の階層の判定に使うParameter Storeクライアント
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      path = process.env.PARAMETER_STORE_PATH || '/dropcast/config',
+      profile = null,
+      region = resolveRegion(RegionService.SSM),
+      parameterStore = new ParameterStore(region)
+    } = options;
+
+    this.path = path;
+    this.profile = profile;
+    this.description = `Parameter Store (${path})`;
+    this.ssmClient = new SSMClient({ region });
+    this.parameterStore = parameterStore;
+  }
+
+  /**
+   * 項目ごとの保存先の階層を判定する関数を作成
+   * （設定の読み込み時に取得した階層はキャッシュされているため、通常はAPIを呼び出さない）
+   * @returns {Promise<function(string): string>} パラメータのキーから保存先の階層パスを返す関数
+   */
+  async #pathResolver() {
+    if (!this.profile) {
+      return () => this.path;
+    }
+
+    const profilePath = profileParameterPath(this.profile);
+    const inProfile = flattenParameterTree(await this.parameterStore.getParametersByPath(profilePath));
+    const inBase = flattenParameterTree(await this.parameterStore.getParametersByPath(this.path));
+    const fallback = inProfile['raindrop-refresh-token'] ? profilePath : this.path;
+
+    return (key) => inProfile[key] ? profilePath : inBase[key] ? this.path : fallback;
+  }
+
+  async save(tokens) {
+    const values = Object.entries({
+      'raindrop-api-token': tokens.accessToken,
+      'raindrop-refresh-token': tokens.refreshToken
+    }).filter(([, value]) => value);
+    const pathFor = await this.#pathResolver();
+    this.description = `Parameter Store (${[...new Set(values.map(([key]) => pathFor(key)))].join(', ') || this.path})`;
+
+    for (const [key, value] of values) {
+      await this.ssmClient.send(new PutParameterCommand({
+        Name: `${pathFor(key)}/${key}`,
+        Value: value,
+        Type: 'SecureString',
+        Overwrite: true
+      }));
+    }
+
+    // 同じコンテナで次回実行時に古いトークンを読み込まないようにする
+    clearParameterCache();
+  }
+}
+
+/**
+ * Secrets ManagerのJSONシークレットに保存するトークンストア
+ * シークレットの他の項目は保持したまま RAINDROP_API_TOKEN・RAINDROP_REFRESH_TOKEN を上書きする
+ */
+export class SecretsManagerOAuthTokenStore extends OAuthTokenStore {
+  /**
+   * @param {Object} options - 設定オプション
+   * @param {string} options.secretId - シークレットの名前またはARN
+   * @param {string} options.region - AWSリージョン
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      secretId,
+      region = resolveRegion()
+    } = options;
+
+    this.secretId = secretId;
+    this.description = `Secrets Manager (${secretId})`;
+    this.client = new SecretsManagerClient({ region });
+  }
+
+  async save(tokens) {
+    const response = await this.client.send(new GetSecretValueCommand({ SecretId: this.secretId }));
+    const secret = JSON.parse(response.SecretString || '{}');
+
+    const updates = Object.fromEntries(Object.entries({
+      RAINDROP_API_TOKEN: tokens.accessToken,
+      RAINDROP_REFRESH_TOKEN: tokens.refreshToken
+    }).filter(([, value]) => value));
+
+    // raindrop-api-token 形式で保存されている項目も置き換える
+    const replaced = Object.keys(updates).map(toParameterKey);
+    const kept = Object.entries(secret).filter(([key]) => !replaced.includes(toParameterKey(key)));
+
+    await this.client.send(new PutSecretValueCommand({
+      SecretId: this.secretId,
+      SecretString: JSON.stringify({ ...Object.fromEntries(kept), ...updates })
+    }));
+  }
+}
+
+/**
+ * アクセストークンとリフレッシュトークンを別々のストアに保存するトークンストア
+ * 2つのトークンを異なる設定プロバイダーから読み込んだ場合に、それぞれ読み込んだプロバイダーに書き戻す
+ */
+export class SplitOAuthTokenStore extends OAuthTokenStore {
+  /**
+   * @param {Object} stores - 保存先
+   * @param {OAuthTokenStore|null} stores.accessTokenStore - アクセストークンの保存先（nullの場合は保存しない）
+   * @param {OAuthTokenStore|null} stores.refreshTokenStore - リフレッシュトークンの保存先（nullの場合は保存しない）
+   */
+  constructor({ accessTokenStore = null, refreshTokenStore = null } = {}) {
+    super();
+    this.accessTokenStore = accessTokenStore;
+    this.refreshTokenStore = refreshTokenStore;
+    this.#describe();
+  }
+
+  #describe() {
+    this.description = [
+      `アクセストークン: ${this.accessTokenStore?.description || '保存しない'}`,
+      `リフレッシュトークン: ${this.refreshTokenStore?.description || '保存しない'}`
+    ].join(', ');
+  }
+
+  async save(tokens) {
+    // ローテーションで古いリフレッシュトークンが無効になるため、リフレッシュトークンを先に保存する
+    await this.refreshTokenStore?.save({ accessToken: null, refreshToken: tokens.refreshToken });
+    await this.accessTokenStore?.save({ accessToken: tokens.accessToken, refreshToken: null });
+    this.#describe();
+  }
+}
+
+/**
+ * 設定プロバイダーに対応するトークンストアを作成
+ * @param {string} provider - 保存先の設定プロバイダー名（ssm または secrets-manager）
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @param {Object} options - 作成オプション
+ * @param {string|null} options.profile - 設定を読み込んだプロファイル名（Parameter Storeの保存先の判定に使用）
+ * @returns {OAuthTokenStore} トークンストア
+ * @throws {ConfigError} 未対応のプロバイダー、またはシークレットIDが未設定の場合
+ */
+export function createOAuthTokenStore(provider, env = process.env, { profile = null } = {}) {
+  switch (provider) {
+    case ProviderName.SSM:
+      return new SsmOAuthTokenStore({
+        path: env.PARAMETER_STORE_PATH || '/dropcast/config',
+        profile,
+        region: resolveRegion(RegionService.SSM, env)
+      });
+    case ProviderName.SECRETS_MANAGER:
+      if (!env.CONFIG_SECRET_ID) {
+        throw new ConfigError('トークンをSecrets Managerに保存するには CONFIG_SECRET_ID を設定してください', {
+          code: ErrorCode.CONFIG_MISSING
+        });
+      }
+      return new SecretsManagerOAuthTokenStore({ secretId: env.CONFIG_SECRET_ID, region: resolveRegion(null, env) });
+    default:
+      throw new ConfigError(`トークンを保存できない設定プロバイダーです: ${provider}（利用可能: ${ProviderName.SSM}, ${ProviderName.SECRETS_MANAGER}）`);
+  }
+}
+
+/**
+ * 設定の取得元に対応するトークンストアを作成
+ * アクセストークンとリフレッシュトークンをそれぞれ読み込んだ設定プロバイダーに書き戻す
+ * （アクセストークンの取得元が無い場合はリフレッシュトークンと同じプロバイダーに保存する）
+ * @param {Object} sources - 設定項目ごとの取得元（ConfigProviderChain.resolve の sources）
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @param {Object} options - 作成オプション（createOAuthTokenStoreと同じ）
+ * @returns {OAuthTokenStore|null} トークンストア（どちらのトークンも保存できない場合はnull）
+ * @throws {ConfigError} シークレットIDが未設定の場合
+ */
+export function createOAuthTokenStoreForSources(sources, env = process.env, options = {}) {
+  const refreshTokenSource = sources.RAINDROP_REFRESH_TOKEN;
+  const accessTokenSource = sources.RAINDROP_API_TOKEN ?? refreshTokenSource;
+  const storeFor = (source) => WRITABLE_PROVIDERS.includes(source) ? createOAuthTokenStore(source, env, options) : null;
+
+  if (accessTokenSource === refreshTokenSource) {
+    return storeFor(refreshTokenSource);
+  }
+
+  const accessTokenStore = storeFor(accessTokenSource);
+  const refreshTokenStore = storeFor(refreshTokenSource);
+  if (!accessTokenStore && !refreshTokenStore) {
+    return null;
+  }
+
+  return new SplitOAuthTokenStore({ accessTokenStore, refreshTokenStore });
+}
+
+/**
+ * RaindropClient に渡すアクセストークンの更新関数を作成
+ * 更新したトークンはストアに保存する。保存に失敗しても今回の実行は新しいトークンで続ける
+ * @param {Object} credentials - OAuth2の認証情報（oauthCredentialsFromConfigの戻り値）
+ * @param {Object} options - 更新オプション
+ * @param {OAuthTokenStore|null} options.store - トークンストア（nullの場合は保存しない）
+ * @param {Logger} options.logger - ロガーインスタンス
+ * @returns {function(): Promise<string>} 新しいアクセストークンを返す関数
+ */
+export function createTokenRefresher(credentials, { store = null, logger }) {
+  let refreshToken = credentials.refreshToken;
+
+  return async () => {
+    const tokens = await refreshAccessToken({ ...credentials, refreshToken });
+    refreshToken = tokens.refreshToken;
+    logger.info('Raindrop.io のアクセストークンを更新しました', { expiresAt: tokens.expiresAt });
+
+    if (!store) {
+      logger.warn('更新したトークンの保存先がありません。リフレッシュトークンが変わった場合は設定を更新してください');
+      return tokens.accessToken;
+    }
+
+    try {
+      await store.save(tokens);
+      logger.info('更新したトークンを保存しました', { store: store.description });
+    } catch (error) {
+      logger.error('更新したトークンの保存に失敗しました', { store: store.description, error: error.message });
+    }
+
+    return tokens.accessToken;
+  };
+}
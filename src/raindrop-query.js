@@ -0,0 +1,193 @@
+/**
+ * Raindrop.io 検索クエリビルダー
+ * Raindrop.ioの検索構文（#tag, type:, ❤️, domain: など）を組み立て、サーバー側で絞り込む
+ */
+
+import { BookmarkType } from './bookmark-model.js';
+import { ValidationError } from './error-handler.js';
+
+/**
+ * お気に入りを表す検索トークン
+ */
+const FAVORITE_TOKEN = '❤️';
+
+/**
+ * コレクション指定トークンの形式（Raindrop.ioの構文ではなく、取得先の切り替えに使用）
+ */
+const COLLECTION_TOKEN_PATTERN = /^collection:(.*)$/;
+
+/**
+ * 空白を含む値を引用符で囲む
+ * @param {string} value - 値
+ * @returns {string} 検索構文で使用できる値
+ */
+function quote(value) {
+  return /\s/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * 空でない文字列か検証
+ * @param {*} value - 値
+ * @param {string} name - 項目名（エラーメッセージ用）
+ * @returns {string} 前後の空白を除いた値
+ */
+function requireText(value, name) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ValidationError(`${name} は空でない文字列である必要があります`);
+  }
+  return value.trim();
+}
+
+/**
+ * 検索クエリビルダークラス
+ *
+ * @example
+ * new RaindropQuery().collection(123).tag('react').type('article').favorite().build();
+ * // => '#react type:article ❤️'（取得先は /raindrops/123）
+ */
+export class RaindropQuery {
+  /**
+   * 検索トークン
+   * @type {Array<string>}
+   */
+  #tokens = [];
+
+  /**
+   * 取得対象のコレクションID（0は全コレクション）
+   * @type {number}
+   */
+  #collectionId = 0;
+
+  /**
+   * タグで絞り込む
+   * @param {string} name - タグ名
+   * @returns {RaindropQuery} this
+   */
+  tag(name) {
+    this.#tokens.push(`#${quote(requireText(name, 'タグ'))}`);
+    return this;
+  }
+
+  /**
+   * タグを持つブックマークを除外する
+   * @param {string} name - タグ名
+   * @returns {RaindropQuery} this
+   */
+  excludeTag(name) {
+    this.#tokens.push(`-#${quote(requireText(name, 'タグ'))}`);
+    return this;
+  }
+
+  /**
+   * 種別で絞り込む
+   * @param {string} type - 種別（link, article, image, video, document, audio）
+   * @returns {RaindropQuery} this
+   */
+  type(type) {
+    const validTypes = Object.values(BookmarkType);
+    if (!validTypes.includes(type)) {
+      throw new ValidationError(`type は ${validTypes.join(', ')} のいずれかである必要があります: ${type}`);
+    }
+
+    this.#tokens.push(`type:${type}`);
+    return this;
+  }
+
+  /**
+   * お気に入りのみに絞り込む
+   * @returns {RaindropQuery} this
+   */
+  favorite() {
+    if (!this.#tokens.includes(FAVORITE_TOKEN)) {
+      this.#tokens.push(FAVORITE_TOKEN);
+    }
+    return this;
+  }
+
+  /**
+   * ドメインで絞り込む
+   * @param {string} domain - ドメイン名（例: github.com）
+   * @returns {RaindropQuery} this
+   */
+  domain(domain) {
+    this.#tokens.push(`domain:${requireText(domain, 'ドメイン')}`);
+    return this;
+  }
+
+  /**
+   * キーワードで絞り込む
+   * @param {string} words - キーワード
+   * @returns {RaindropQuery} this
+   */
+  text(words) {
+    this.#tokens.push(requireText(words, 'キーワード'));
+    return this;
+  }
+
+  /**
+   * 取得対象のコレクションを指定
+   * @param {number} collectionId - コレクションID（0は全コレクション）
+   * @returns {RaindropQuery} this
+   */
+  collection(collectionId) {
+    if (!Number.isInteger(collectionId)) {
+      throw new ValidationError(`コレクションIDは整数である必要があります: ${collectionId}`);
+    }
+
+    this.#collectionId = collectionId;
+    return this;
+  }
+
+  /**
+   * 取得対象のコレクションID
+   * @returns {number} コレクションID
+   */
+  get collectionId() {
+    return this.#collectionId;
+  }
+
+  /**
+   * Raindrop.ioのsearchパラメータに渡す検索文字列を生成
+   * @returns {string} 検索文字列（条件が無い場合は空文字列）
+   */
+  build() {
+    return this.#tokens.join(' ');
+  }
+
+  toString() {
+    return this.build();
+  }
+
+  /**
+   * 設定された検索文字列からクエリを作成
+   * Raindrop.ioの検索構文はそのまま使用し、collection:<ID> は取得先のコレクション指定として扱う
+   * @param {string|null} queryString - 検索文字列（例: "collection:123 #react type:article"）
+   * @returns {RaindropQuery} クエリ
+   * @throws {ValidationError} コレクション指定が無効な場合
+   */
+  static parse(queryString) {
+    const query = new RaindropQuery();
+
+    for (const token of (queryString || '').split(/\s+/).filter(Boolean)) {
+      const collectionMatch = token.match(COLLECTION_TOKEN_PATTERN);
+      if (collectionMatch) {
+        query.collection(/^-?\d+$/.test(collectionMatch[1]) ? Number(collectionMatch[1]) : collectionMatch[1]);
+      } else {
+        query.#tokens.push(token);
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * クエリまたは検索文字列をクエリに変換
+   * @param {RaindropQuery|string|null} value - クエリまたは検索文字列
+   * @returns {RaindropQuery} クエリ
+   */
+  static from(value) {
+    return value instanceof RaindropQuery ? value : RaindropQuery.parse(value);
+  }
+}
+
+export default RaindropQuery;
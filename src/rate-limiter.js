@@ -0,0 +1,190 @@
+/**
+ * レートリミッター
+ * トークンバケット方式でAPIリクエストの送信間隔を制御する
+ */
+
+import { ConfigError } from './error-handler.js';
+
+/**
+ * Raindrop.io APIのレート制限（1ユーザーあたり1分間に120リクエスト）
+ */
+export const RAINDROP_REQUESTS_PER_MINUTE = 120;
+
+/**
+ * トークンの補充間隔（ミリ秒）
+ */
+const REFILL_INTERVAL_MS = 60000;
+
+/**
+ * ヘッダー値を数値として取得
+ * @param {Object} headers - レスポンスヘッダー
+ * @param {string} name - ヘッダー名（小文字）
+ * @returns {number|null} 数値（無い場合や数値でない場合はnull）
+ */
+function numericHeader(headers, name) {
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  if (value === undefined || value === null || !/^\d+$/.test(String(value).trim())) {
+    return null;
+  }
+  return Number(value);
+}
+
+/**
+ * トークンバケット
+ *
+ * 1分間あたりの上限数のトークンを均等に補充し、リクエストごとに1つ消費する。
+ * トークンが無い場合は補充されるまで待機する。待機中のリクエストは到着順に処理される。
+ */
+export class TokenBucket {
+  /**
+   * 待機中のリクエストを順番に処理するためのPromise
+   * @type {Promise<void>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * サーバーから指定された待機終了時刻（ミリ秒、無い場合は0）
+   * @type {number}
+   */
+  #blockedUntil = 0;
+
+  /**
+   * @param {Object} options - リミッター設定
+   * @param {number} options.requestsPerMinute - 1分間あたりの上限（デフォルト: 120）
+   * @param {function(number): Promise<void>} [options.sleep] - 待機関数（テスト用）
+   * @param {function(): number} [options.now] - 現在時刻を返す関数（テスト用）
+   */
+  constructor(options = {}) {
+    const {
+      requestsPerMinute = RAINDROP_REQUESTS_PER_MINUTE,
+      sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+      now = Date.now
+    } = options;
+
+    if (!Number.isInteger(requestsPerMinute) || requestsPerMinute < 1) {
+      throw new ConfigError(`1分間あたりのリクエスト上限は正の整数である必要があります: ${requestsPerMinute}`);
+    }
+
+    this.capacity = requestsPerMinute;
+    this.tokens = requestsPerMinute;
+    this.sleep = sleep;
+    this.now = now;
+    this.lastRefill = now();
+    this.waitCount = 0;
+    this.waitedMs = 0;
+  }
+
+  /**
+   * 経過時間に応じてトークンを補充
+   */
+  #refill() {
+    const current = this.now();
+    const elapsed = current - this.lastRefill;
+
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.capacity / REFILL_INTERVAL_MS);
+      this.lastRefill = current;
+    }
+  }
+
+  /**
+   * トークンを取得できるまでの待機時間を計算
+   * @returns {number} 待機時間（ミリ秒、すぐに取得できる場合は0）
+   */
+  #waitTime() {
+    const blocked = Math.max(0, this.#blockedUntil - this.now());
+    if (blocked > 0) {
+      return blocked;
+    }
+
+    this.#refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * REFILL_INTERVAL_MS / this.capacity);
+  }
+
+  /**
+   * トークンを1つ取得（取得できるまで待機）
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    const turn = this.#queue.then(async () => {
+      let wait = this.#waitTime();
+
+      while (wait > 0) {
+        this.waitCount += 1;
+        this.waitedMs += wait;
+        await this.sleep(wait);
+        wait = this.#waitTime();
+      }
+
+      this.tokens -= 1;
+    });
+
+    // 待機中の1件が失敗しても後続のリクエストは処理を続ける
+    this.#queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * レスポンスのレート制限ヘッダーで状態を更新
+   * X-RateLimit-Limit で上限、X-RateLimit-Remaining で残り回数を補正し、
+   * 残りが0の場合は X-RateLimit-Reset（UNIX時刻の秒）まで待機する
+   * @param {Object} headers - レスポンスヘッダー
+   */
+  updateFromHeaders(headers = {}) {
+    const limit = numericHeader(headers, 'x-ratelimit-limit');
+    const remaining = numericHeader(headers, 'x-ratelimit-remaining');
+    const reset = numericHeader(headers, 'x-ratelimit-reset');
+
+    this.#refill();
+
+    if (limit !== null && limit > 0) {
+      this.capacity = limit;
+    }
+
+    if (remaining !== null) {
+      this.tokens = Math.min(this.tokens, remaining);
+    }
+
+    // 制限の単位は1分間のため、リセット時刻が先すぎる場合でも待機は1分までとする
+    if (remaining === 0 && reset !== null) {
+      const resetAt = Math.min(reset * 1000, this.now() + REFILL_INTERVAL_MS);
+      this.#blockedUntil = Math.max(this.#blockedUntil, resetAt);
+    }
+  }
+
+  /**
+   * 現在の状態を取得（ログ出力用）
+   * @returns {Object} 上限・残りトークン数・待機回数・合計待機時間
+   */
+  getState() {
+    this.#refill();
+
+    return {
+      limit: this.capacity,
+      remaining: Math.floor(this.tokens),
+      blockedUntil: this.#blockedUntil > this.now() ? new Date(this.#blockedUntil).toISOString() : null,
+      waitCount: this.waitCount,
+      waitedMs: this.waitedMs
+    };
+  }
+}
+
+/**
+ * 環境変数からレートリミッターを作成
+ * @param {Object} env - 環境変数（デフォルト: process.env）
+ * @returns {TokenBucket} レートリミッター
+ * @throws {ConfigError} RAINDROP_RATE_LIMIT_PER_MINUTE が正の整数でない場合
+ */
+export function createRateLimiterFromEnv(env = process.env) {
+  const value = env.RAINDROP_RATE_LIMIT_PER_MINUTE;
+  if (value === undefined || value === '') {
+    return new TokenBucket();
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new ConfigError(`RAINDROP_RATE_LIMIT_PER_MINUTE は正の整数である必要があります: ${value}`);
+  }
+  return new TokenBucket({ requestsPerMinute: Number(value) });
+}
+
+export default TokenBucket;
@@ -3,31 +3,110 @@
  * AWS Simple Email Serviceを使用したメール送信を処理
  */
 
-import { SESClient as AWSSESClient, SendEmailCommand } from '@aws-sdk/client-ses';
+import { SESClient as AWSSESClient, SendEmailCommand, SendRawEmailCommand } from '@aws-sdk/client-ses';
+import { resolveDigestWindow, DigestPeriod } from './digest-window.js';
+import { OutputFormat } from './output-formats.js';
+import { buildMimeMessage } from './mime-builder.js';
+import { ConfigError, ValidationError, SesSendError, ErrorCode } from './error-handler.js';
+import { resolveRegion, RegionService } from './aws-region.js';
+import { getLogger } from './logger.js';
+
+/**
+ * 配信方法
+ * batch: 全宛先を1通のメールで送信（SESの宛先数の上限を超える場合は上限ごとに分けて送信）
+ * individual: 宛先ごとに1通ずつ送信（他の受信者のアドレスを開示しない）
+ */
+export const DeliveryMode = {
+  BATCH: 'batch',
+  INDIVIDUAL: 'individual'
+};
+
+/**
+ * SESの1回の送信で指定できる宛先数の上限（To/CC/BCCの合計）
+ */
+export const MAX_DESTINATIONS_PER_MESSAGE = 50;
+
+/**
+ * メールアドレスの指定を配列に変換
+ * 文字列の場合はカンマ区切りで複数指定できる（Parameter Storeの値用）
+ * @param {string|Array<string>|null|undefined} value - メールアドレスの指定
+ * @returns {Array<string>} メールアドレスの配列
+ * @throws {ValidationError} 文字列以外の要素が含まれる場合
+ */
+export function parseAddressList(value) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+
+  const items = Array.isArray(value) ? value : [value];
+  if (!items.every(item => typeof item === 'string')) {
+    throw new ValidationError('メールアドレスは文字列または文字列の配列で指定してください');
+  }
+
+  return items
+    .flatMap(item => item.split(','))
+    .map(address => address.trim())
+    .filter(address => address.length > 0);
+}
+
+/**
+ * 宛先の一覧をSESの送信先（Destination）に変換
+ * @param {Array<{address: string, type: string}>} recipients - 宛先の一覧
+ * @returns {Object} 送信先（ToAddresses, CcAddresses, BccAddresses。宛先が無い種別は含めない）
+ */
+function toDestination(recipients) {
+  const addressesOf = type => recipients.filter(recipient => recipient.type === type).map(recipient => recipient.address);
+  const [toAddresses, ccAddresses, bccAddresses] = ['to', 'cc', 'bcc'].map(addressesOf);
+
+  return {
+    ...(toAddresses.length > 0 && { ToAddresses: toAddresses }),
+    ...(ccAddresses.length > 0 && { CcAddresses: ccAddresses }),
+    ...(bccAddresses.length > 0 && { BccAddresses: bccAddresses })
+  };
+}
 
 export default class SESClient {
   /**
    * SESクライアントを初期化
    * @param {Object} options - 設定オプション
+   * @param {string} options.region - AWSリージョン（未指定の場合は SES_REGION、AWS_REGION の順に参照）
+   * @param {string} options.fromEmail - 送信者
+   * @param {string|Array<string>} options.toEmail - 受信者（カンマ区切りまたは配列で複数指定可）
+   * @param {string|Array<string>} options.ccEmail - CC
+   * @param {string|Array<string>} options.bccEmail - BCC
+   * @param {string|Array<string>} options.replyTo - 返信先
+   * @param {string} options.deliveryMode - 配信方法（DeliveryModeの値）
    */
   constructor(options = {}) {
     const {
-      region = process.env.AWS_REGION || 'us-east-1',
+      region = resolveRegion(RegionService.SES),
       fromEmail = process.env.EMAIL_FROM,
-      toEmail = process.env.EMAIL_TO
+      toEmail = process.env.EMAIL_TO,
+      ccEmail = process.env.EMAIL_CC,
+      bccEmail = process.env.EMAIL_BCC,
+      replyTo = process.env.EMAIL_REPLY_TO,
+      deliveryMode = process.env.DELIVERY_MODE || DeliveryMode.BATCH
     } = options;
 
     // 必須環境変数の確認
     if (!fromEmail) {
-      throw new Error('EMAIL_FROM環境変数が設定されていません');
+      throw new ConfigError('EMAIL_FROM環境変数が設定されていません', { code: ErrorCode.CONFIG_MISSING });
     }
 
     if (!toEmail) {
-      throw new Error('EMAIL_TO環境変数が設定されていません');
+      throw new ConfigError('EMAIL_TO環境変数が設定されていません', { code: ErrorCode.CONFIG_MISSING });
+    }
+
+    if (!Object.values(DeliveryMode).includes(deliveryMode)) {
+      throw new ConfigError(`未対応の配信方法です: ${deliveryMode}（利用可能: ${Object.values(DeliveryMode).join(', ')}）`);
     }
 
     this.fromEmail = fromEmail;
     this.toEmail = toEmail;
+    this.ccEmail = ccEmail || null;
+    this.bccEmail = bccEmail || null;
+    this.replyTo = replyTo || null;
+    this.deliveryMode = deliveryMode;
     this.region = region;
 
     // AWS SES クライアントを初期化
@@ -37,40 +116,141 @@ export default class SESClient {
   }
 
   /**
-   * プレーンテキストメールを送信
+   * メールを送信
+   * htmlBodyが指定された場合はテキスト本文を代替パートとしてHTMLメールを送信
+   *
+   * 一括配信（batch）で宛先が MAX_DESTINATIONS_PER_MESSAGE を超える場合は上限ごとに分けて送信する。
+   * 個別配信（individual）の場合は To/CC/BCC の各アドレスに1通ずつ送信する。
+   * いずれも一部の送信に失敗しても残りの宛先への送信を継続する。
+   *
    * @param {Object} emailContent - メールコンテンツ
    * @param {string} emailContent.subject - 件名
-   * @param {string} emailContent.body - 本文
+   * @param {string} emailContent.body - 本文（プレーンテキスト）
+   * @param {string} [emailContent.htmlBody] - HTML本文
    * @param {string} [emailContent.from] - 送信者（省略時はデフォルト使用）
-   * @param {string} [emailContent.to] - 受信者（省略時はデフォルト使用）
-   * @returns {Promise<Object>} 送信結果
+   * @param {string|Array<string>} [emailContent.to] - 受信者（省略時はデフォルト使用）
+   * @param {string|Array<string>} [emailContent.cc] - CC（省略時はデフォルト使用）
+   * @param {string|Array<string>} [emailContent.bcc] - BCC（省略時はデフォルト使用）
+   * @param {string|Array<string>} [emailContent.replyTo] - 返信先（省略時はデフォルト使用）
+   * @param {string} [emailContent.deliveryMode] - 配信方法（省略時はデフォルト使用）
+   * @param {Array<MimeAttachment>} [emailContent.attachments] - 添付ファイル（指定時はSendRawEmailで送信）
+   * @returns {Promise<Object>} 送信結果（recipients に宛先ごとの結果を含む）
+   * @throws {SesSendError} 全宛先への送信に失敗した場合
    */
   async sendEmail(emailContent) {
-    const { subject, body, from = this.fromEmail, to = this.toEmail } = emailContent;
+    const {
+      subject,
+      body,
+      htmlBody = null,
+      from = this.fromEmail,
+      to = this.toEmail,
+      cc = this.ccEmail,
+      bcc = this.bccEmail,
+      replyTo = this.replyTo,
+      deliveryMode = this.deliveryMode,
+      attachments = []
+    } = emailContent;
 
     // 入力検証
     if (!subject || typeof subject !== 'string') {
-      throw new Error('件名は必須の文字列です');
+      throw new ValidationError('件名は必須の文字列です');
     }
 
     if (!body || typeof body !== 'string') {
-      throw new Error('本文は必須の文字列です');
+      throw new ValidationError('本文は必須の文字列です');
+    }
+
+    if (htmlBody !== null && typeof htmlBody !== 'string') {
+      throw new ValidationError('HTML本文は文字列である必要があります');
     }
 
     if (!from || typeof from !== 'string') {
-      throw new Error('送信者メールアドレスが無効です');
+      throw new ValidationError('送信者メールアドレスが無効です');
+    }
+
+    if (!Array.isArray(attachments)) {
+      throw new ValidationError('添付ファイルは配列で指定してください');
+    }
+
+    let toAddresses;
+    let ccAddresses;
+    let bccAddresses;
+    let replyToAddresses;
+    try {
+      toAddresses = parseAddressList(to);
+      ccAddresses = parseAddressList(cc);
+      bccAddresses = parseAddressList(bcc);
+      replyToAddresses = parseAddressList(replyTo);
+    } catch {
+      throw new ValidationError('受信者メールアドレスが無効です');
     }
 
-    if (!to || typeof to !== 'string') {
-      throw new Error('受信者メールアドレスが無効です');
+    if (toAddresses.length === 0) {
+      throw new ValidationError('受信者メールアドレスが無効です');
+    }
+
+    const baseResult = {
+      from: from,
+      to: toAddresses.join(', '),
+      subject: subject
+    };
+
+    const recipients = [
+      ...toAddresses.map(address => ({ address, type: 'to' })),
+      ...ccAddresses.map(address => ({ address, type: 'cc' })),
+      ...bccAddresses.map(address => ({ address, type: 'bcc' }))
+    ];
+
+    const content = { subject, body, htmlBody, replyToAddresses, attachments };
+
+    if (deliveryMode === DeliveryMode.INDIVIDUAL) {
+      return await this.#sendIndividually(content, { from, recipients, baseResult });
+    }
+
+    return await this.#sendInBatches(content, { from, recipients, baseResult });
+  }
+
+  /**
+   * メールを1回送信
+   * 添付ファイルがある場合はMIMEメッセージを組み立ててSendRawEmailCommandで送信する
+   * @param {string} from - 送信者
+   * @param {Object} destination - 宛先（ToAddresses, CcAddresses, BccAddresses）
+   * @param {Object} content - 件名・本文・返信先・添付ファイル
+   * @returns {Promise<Object>} SESのレスポンス
+   */
+  async #send(from, destination, content) {
+    const { subject, body, htmlBody, replyToAddresses, attachments } = content;
+
+    if (attachments.length > 0) {
+      const rawMessage = buildMimeMessage({
+        from,
+        to: destination.ToAddresses || [],
+        cc: destination.CcAddresses,
+        replyTo: replyToAddresses,
+        subject,
+        text: body,
+        html: htmlBody,
+        attachments
+      });
+
+      const command = new SendRawEmailCommand({
+        Source: from,
+        Destinations: [
+          ...(destination.ToAddresses || []),
+          ...(destination.CcAddresses || []),
+          ...(destination.BccAddresses || [])
+        ],
+        RawMessage: {
+          Data: Buffer.from(rawMessage, 'utf8')
+        }
+      });
+      return await this.sesClient.send(command);
     }
 
     // メール送信パラメータを構築
     const sendEmailParams = {
       Source: from,
-      Destination: {
-        ToAddresses: [to]
-      },
+      Destination: destination,
       Message: {
         Subject: {
           Data: subject,
@@ -85,31 +265,122 @@ export default class SESClient {
       }
     };
 
-    try {
-      const command = new SendEmailCommand(sendEmailParams);
-      const result = await this.sesClient.send(command);
-
-      return {
-        success: true,
-        messageId: result.MessageId,
-        from: from,
-        to: to,
-        subject: subject
+    if (htmlBody) {
+      sendEmailParams.Message.Body.Html = {
+        Data: htmlBody,
+        Charset: 'UTF-8'
       };
+    }
 
-    } catch (error) {
-      console.error('メール送信エラー:', error.message);
+    if (replyToAddresses.length > 0) {
+      sendEmailParams.ReplyToAddresses = replyToAddresses;
+    }
+
+    const command = new SendEmailCommand(sendEmailParams);
+    return await this.sesClient.send(command);
+  }
+
+  /**
+   * 宛先をSESの上限ごとにまとめて送信
+   * @param {Object} content - 件名・本文・返信先・添付ファイル
+   * @param {Object} options - 送信オプション
+   * @returns {Promise<Object>} 送信結果
+   * @throws {SesSendError} 全宛先への送信に失敗した場合
+   */
+  async #sendInBatches(content, { from, recipients, baseResult }) {
+    const results = [];
+    let firstError = null;
+
+    for (let start = 0; start < recipients.length; start += MAX_DESTINATIONS_PER_MESSAGE) {
+      const batch = recipients.slice(start, start + MAX_DESTINATIONS_PER_MESSAGE);
+
+      try {
+        const result = await this.#send(from, toDestination(batch), content);
+        results.push(...batch.map(recipient => ({ ...recipient, success: true, messageId: result.MessageId })));
+      } catch (error) {
+        getLogger().error('メール送信エラー', { recipientCount: batch.length, error: error.message });
+
+        // SES固有のエラーハンドリング
+        const formattedError = this.#handleSESError(error);
+        firstError = firstError || formattedError;
+        results.push(...batch.map(recipient => ({
+          ...recipient,
+          success: false,
+          messageId: null,
+          error: formattedError.message,
+          code: formattedError.sesCode
+        })));
+      }
+    }
 
-      // SES固有のエラーハンドリング
-      const formattedError = this.#handleSESError(error);
-      throw formattedError;
+    const succeeded = results.filter(result => result.success);
+    if (succeeded.length === 0) {
+      throw firstError;
     }
+
+    return {
+      success: succeeded.length === results.length,
+      messageId: succeeded[0].messageId,
+      ...baseResult,
+      recipients: results
+    };
+  }
+
+  /**
+   * 宛先ごとに1通ずつ送信
+   * 同じアドレスが複数の宛先種別に含まれる場合は1通のみ送信する
+   * @param {Object} content - 件名・本文・返信先・添付ファイル
+   * @param {Object} options - 送信オプション
+   * @returns {Promise<Object>} 送信結果
+   * @throws {SesSendError} 全宛先への送信に失敗した場合
+   */
+  async #sendIndividually(content, { from, recipients, baseResult }) {
+    const results = [];
+    const sentAddresses = new Set();
+    let firstError = null;
+
+    for (const recipient of recipients) {
+      const key = recipient.address.toLowerCase();
+      if (sentAddresses.has(key)) {
+        continue;
+      }
+      sentAddresses.add(key);
+
+      try {
+        const result = await this.#send(from, { ToAddresses: [recipient.address] }, content);
+        results.push({ ...recipient, success: true, messageId: result.MessageId });
+      } catch (error) {
+        getLogger().error('メール送信エラー', { recipient: recipient.address, error: error.message });
+
+        const formattedError = this.#handleSESError(error);
+        firstError = firstError || formattedError;
+        results.push({
+          ...recipient,
+          success: false,
+          messageId: null,
+          error: formattedError.message,
+          code: formattedError.sesCode
+        });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success);
+    if (succeeded.length === 0) {
+      throw firstError;
+    }
+
+    return {
+      success: succeeded.length === results.length,
+      messageId: succeeded[0].messageId,
+      ...baseResult,
+      recipients: results
+    };
   }
 
   /**
    * SESエラーを処理し、意味のあるエラーメッセージを提供
    * @param {Error} error - SESエラーオブジェクト
-   * @returns {Error} フォーマット済みエラー
+   * @returns {SesSendError} フォーマット済みエラー
    */
   #handleSESError(error) {
     let message = 'メール送信に失敗しました';
@@ -147,10 +418,7 @@ export default class SESClient {
         }
     }
 
-    const sesError = new Error(message);
-    sesError.code = errorCode;
-    sesError.originalError = error;
-    return sesError;
+    return new SesSendError(message, { sesCode: errorCode, originalError: error });
   }
 
   /**
@@ -166,67 +434,126 @@ export default class SESClient {
 
       return true;
     } catch (error) {
-      console.error('SES接続テストに失敗しました:', error.message);
+      getLogger().error('SES接続テストに失敗しました', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * ブックマークダイジェストメールを送信
+   * ブックマークダイジェストメールを送信せずに生成
+   * 送信時と同じ処理で件名・本文・添付ファイルを作成し、宛先とあわせて返す（ドライラン用）
    * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
-   * @param {Object} options - 送信オプション
-   * @returns {Promise<Object>} 送信結果
+   * @param {Object} options - 送信オプション（sendBookmarkDigestと同じ）
+   * @returns {Promise<Object>} 生成したメール内容
    */
-  async sendBookmarkDigest(bookmarks, options = {}) {
+  async previewBookmarkDigest(bookmarks, options = {}) {
     const {
       startDate = null,
       endDate = null,
+      period = DigestPeriod.WEEKLY,
+      format = OutputFormat.TEXTILE,
+      groupBy,
+      partial = false,
       fromEmail = null,
-      toEmail = null
+      toEmail = null,
+      attachments = []
     } = options;
 
     // EmailFormatterを動的にインポート（循環依存を避けるため）
     const { EmailFormatter } = await import('./email-formatter.js');
+    const { createDigestAttachments } = await import('./digest-attachments.js');
 
     // メールコンテンツを生成
     const emailContent = EmailFormatter.generateEmailContent(bookmarks, {
       startDate,
       endDate,
+      period,
+      format,
+      groupBy,
+      partial,
       fromEmail: fromEmail || this.fromEmail,
       toEmail: toEmail || this.toEmail
     });
 
+    // 添付ファイルを作成
+    const attachmentFiles = createDigestAttachments(bookmarks, attachments, {
+      date: endDate || new Date(),
+      renderOptions: { dateRange: emailContent.dateRange, period, groupBy, partial }
+    });
+
+    return {
+      ...emailContent,
+      attachments: attachmentFiles
+    };
+  }
+
+  /**
+   * ブックマークダイジェストメールを送信
+   * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+   * @param {Object} options - 送信オプション
+   * @param {Array<string>} options.attachments - 添付ファイルの種別（markdown, csv, bookmarks-html）
+   * @param {boolean} options.partial - 一部のブックマークを取得できなかった場合はtrue（本文に注意書きを表示）
+   * @returns {Promise<Object>} 送信結果
+   */
+  async sendBookmarkDigest(bookmarks, options = {}) {
+    const emailContent = await this.previewBookmarkDigest(bookmarks, options);
+
     // メールを送信
     const result = await this.sendEmail({
       subject: emailContent.subject,
       body: emailContent.body,
+      htmlBody: emailContent.htmlBody,
       from: emailContent.from,
-      to: emailContent.to
+      to: emailContent.to,
+      attachments: emailContent.attachments
     });
 
     return {
       ...result,
       bookmarkCount: emailContent.bookmarkCount,
-      dateRange: emailContent.dateRange
+      dateRange: emailContent.dateRange,
+      period: emailContent.period,
+      format: emailContent.format,
+      attachments: emailContent.attachments.map(attachment => attachment.filename)
     };
   }
 
   /**
-   * 週次ダイジェストメールを送信（過去7日間のブックマーク）
+   * 設定された宛先の一覧を取得
+   * To・CC・BCCの順で返す
+   * @returns {Array<{address: string, type: string}>} 宛先一覧
+   */
+  getRecipients() {
+    return [
+      ...parseAddressList(this.toEmail).map(address => ({ address, type: 'to' })),
+      ...parseAddressList(this.ccEmail).map(address => ({ address, type: 'cc' })),
+      ...parseAddressList(this.bccEmail).map(address => ({ address, type: 'bcc' }))
+    ];
+  }
+
+  /**
+   * 週次ダイジェストメールを送信
+   * 期間が指定されない場合は過去7日間とする
    * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
    * @param {Object} options - 送信オプション
    * @returns {Promise<Object>} 送信結果
    */
   async sendWeeklyDigest(bookmarks, options = {}) {
-    // 過去7日間の日付範囲を計算
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - 7);
+    const {
+      startDate = null,
+      endDate = null
+    } = options;
+
+    // 取得時の期間が渡されていればそれを使用
+    const digestWindow = (startDate && endDate)
+      ? { startDate, endDate }
+      : resolveDigestWindow({ period: DigestPeriod.WEEKLY });
 
     return await this.sendBookmarkDigest(bookmarks, {
       ...options,
-      startDate,
-      endDate
+      startDate: digestWindow.startDate,
+      endDate: digestWindow.endDate,
+      period: DigestPeriod.WEEKLY
     });
   }
 
@@ -247,7 +574,7 @@ export default class SESClient {
 
 送信日時: ${now.toLocaleString('ja-JP')}
 送信者: ${fromEmail || this.fromEmail}
-受信者: ${toEmail || this.toEmail}
+受信者: ${parseAddressList(toEmail || this.toEmail).join(', ')}
 
 このメールが正常に受信できている場合、SES設定は正しく動作しています。
 
@@ -270,7 +597,11 @@ DropCast Bookmark Mailer`;
     return {
       region: this.region,
       fromEmail: this.fromEmail,
-      toEmail: this.toEmail
+      toEmail: this.toEmail,
+      ccEmail: this.ccEmail,
+      bccEmail: this.bccEmail,
+      replyTo: this.replyTo,
+      deliveryMode: this.deliveryMode
     };
   }
 }
@@ -0,0 +1,228 @@
+/**
+ * ウォーターマークストア
+ * 最後に配信したブックマークの作成日時を永続化し、差分配信を実現
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { SSMClient, GetParameterCommand, PutParameterCommand } from '@aws-sdk/client-ssm';
+import { resolveRegion, RegionService } from './aws-region.js';
+import { ConfigError, WatermarkError, ErrorCode } from './error-handler.js';
+
+/**
+ * ウォーターマークストアの種別
+ */
+export const WatermarkStoreType = {
+  FILE: 'file',
+  SSM: 'ssm'
+};
+
+/**
+ * ウォーターマークストアの基底クラス
+ * 実装クラスは get() / set() を提供する
+ */
+export class WatermarkStore {
+  /**
+   * 保存済みウォーターマークを取得
+   * @returns {Promise<Date|null>} 最後に配信したブックマークの作成日時（未保存の場合はnull）
+   */
+  async get() {
+    throw new Error(`${this.constructor.name}.get() が実装されていません`);
+  }
+
+  /**
+   * ウォーターマークを保存
+   * @param {Date} _watermark - 最後に配信したブックマークの作成日時
+   * @returns {Promise<void>}
+   */
+  async set(_watermark) {
+    throw new Error(`${this.constructor.name}.set() が実装されていません`);
+  }
+}
+
+/**
+ * 保存値をDateに変換
+ * @param {string|undefined} value - ISO 8601形式の日時文字列
+ * @param {string} source - 保存先の説明（エラーメッセージ用）
+ * @returns {Date|null} 変換結果
+ */
+function parseWatermark(value, source) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new WatermarkError(`ウォーターマークの形式が無効です (${source}): ${value}`, { code: ErrorCode.WATERMARK_INVALID });
+  }
+
+  return date;
+}
+
+/**
+ * ローカルJSONファイルに保存するウォーターマークストア
+ * ローカル実行や検証用
+ */
+export class FileWatermarkStore extends WatermarkStore {
+  /**
+   * @param {string} filePath - 保存先JSONファイルのパス
+   */
+  constructor(filePath = '.dropcast-watermark.json') {
+    super();
+    this.filePath = filePath;
+  }
+
+  async get() {
+    let content;
+    try {
+      content = await readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new WatermarkError(`ウォーターマークファイルの読み込みに失敗しました: ${error.message}`, { originalError: error });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new WatermarkError(`ウォーターマークファイルがJSON形式ではありません (${this.filePath}): ${error.message}`, {
+        code: ErrorCode.WATERMARK_INVALID,
+        originalError: error
+      });
+    }
+    return parseWatermark(data.lastCreated, this.filePath);
+  }
+
+  async set(watermark) {
+    const data = {
+      lastCreated: watermark.toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    try {
+      await mkdir(dirname(this.filePath), { recursive: true });
+      await writeFile(this.filePath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    } catch (error) {
+      throw new WatermarkError(`ウォーターマークファイルの保存に失敗しました: ${error.message}`, { originalError: error });
+    }
+  }
+}
+
+/**
+ * SSM Parameter Storeに保存するウォーターマークストア
+ * Lambda実行環境用
+ */
+export class SsmWatermarkStore extends WatermarkStore {
+  /**
+   * @param {Object} options - 設定オプション
+   * @param {string} options.parameterName - 保存先パラメータ名
+   * @param {string} options.region - AWSリージョン（未指定の場合は SSM_REGION、AWS_REGION の順に参照）
+   */
+  constructor(options = {}) {
+    super();
+    const {
+      parameterName = '/dropcast/state/last-delivered',
+      region = resolveRegion(RegionService.SSM)
+    } = options;
+
+    this.parameterName = parameterName;
+    this.ssmClient = new SSMClient({ region });
+  }
+
+  async get() {
+    try {
+      const response = await this.ssmClient.send(new GetParameterCommand({
+        Name: this.parameterName
+      }));
+
+      return parseWatermark(response.Parameter?.Value, this.parameterName);
+    } catch (error) {
+      if (error.name === 'ParameterNotFound') {
+        return null;
+      }
+      if (error instanceof WatermarkError) {
+        throw error;
+      }
+      throw new WatermarkError(`Parameter Storeからのウォーターマーク取得エラー: ${error.message}`, { originalError: error });
+    }
+  }
+
+  async set(watermark) {
+    try {
+      await this.ssmClient.send(new PutParameterCommand({
+        Name: this.parameterName,
+        Value: watermark.toISOString(),
+        Type: 'String',
+        Overwrite: true
+      }));
+    } catch (error) {
+      throw new WatermarkError(`Parameter Storeへのウォーターマーク保存エラー: ${error.message}`, { originalError: error });
+    }
+  }
+}
+
+/**
+ * 環境変数の設定からウォーターマークストアを作成
+ * WATERMARK_STORE が未設定の場合は差分配信を行わないためnullを返す
+ * プロファイルを指定した場合は保存先をプロファイルごとに分ける
+ * @param {Object} options - 設定オプション
+ * @param {string} options.region - AWSリージョン
+ * @param {string|null} options.profile - プロファイル名
+ * @returns {WatermarkStore|null} ウォーターマークストア
+ */
+export function createWatermarkStore(options = {}) {
+  const type = process.env.WATERMARK_STORE;
+  const { profile = null } = options;
+
+  switch (type) {
+    case undefined:
+    case '':
+      return null;
+    case WatermarkStoreType.FILE: {
+      const filePath = process.env.WATERMARK_FILE || '.dropcast-watermark.json';
+      return new FileWatermarkStore(profile ? filePath.replace(/(\.json)?$/, `.${profile}$1`) : filePath);
+    }
+    case WatermarkStoreType.SSM: {
+      const parameterName = process.env.WATERMARK_PARAMETER_NAME || '/dropcast/state/last-delivered';
+      return new SsmWatermarkStore({
+        parameterName: profile ? `${parameterName}/${profile}` : parameterName,
+        region: options.region
+      });
+    }
+    default:
+      throw new ConfigError(`未対応のWATERMARK_STORE設定です: ${type}（利用可能: ${Object.values(WatermarkStoreType).join(', ')}）`);
+  }
+}
+
+/**
+ * ウォーターマークより後に作成されたブックマークのみを抽出
+ * Raindrop.ioの期間指定は境界を含むため、配信済みの境界データをここで除外する
+ * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+ * @param {Date|null} watermark - ウォーターマーク
+ * @returns {Array<BookmarkModel>} 未配信のブックマーク配列
+ */
+export function filterAfterWatermark(bookmarks, watermark) {
+  if (!watermark) {
+    return bookmarks;
+  }
+
+  return bookmarks.filter(bookmark => bookmark.createdAt.getTime() > watermark.getTime());
+}
+
+/**
+ * ブックマーク配列から最新の作成日時を取得
+ * @param {Array<BookmarkModel>} bookmarks - ブックマーク配列
+ * @returns {Date|null} 最新の作成日時（空の場合はnull）
+ */
+export function latestCreatedAt(bookmarks) {
+  if (!bookmarks || bookmarks.length === 0) {
+    return null;
+  }
+
+  const latest = Math.max(...bookmarks.map(bookmark => bookmark.createdAt.getTime()));
+  return new Date(latest);
+}
+
+export default createWatermarkStore;
@@ -0,0 +1,26 @@
+/**
+ * AWSリージョン解決のテスト
+ */
+
+import { describe, test, expect } from 'vitest';
+import { resolveRegion, RegionService, DEFAULT_REGION } from '../src/aws-region.js';
+
+describe('resolveRegion', () => {
+  test('サービス個別の環境変数を AWS_REGION より優先する', () => {
+    const env = { AWS_REGION: 'ap-northeast-1', SES_REGION: 'us-west-2' };
+
+    expect(resolveRegion(RegionService.SES, env)).toBe('us-west-2');
+    expect(resolveRegion(RegionService.SSM, env)).toBe('ap-northeast-1');
+    expect(resolveRegion(null, env)).toBe('ap-northeast-1');
+  });
+
+  test('AWS_REGION が無い場合は AWS_DEFAULT_REGION、それも無い場合はデフォルト値を使う', () => {
+    expect(resolveRegion(RegionService.SSM, { AWS_DEFAULT_REGION: 'eu-west-1' })).toBe('eu-west-1');
+    expect(resolveRegion(RegionService.SSM, {})).toBe(DEFAULT_REGION);
+  });
+
+  test('リージョン名やサービスが無効な場合はエラーを投げる', () => {
+    expect(() => resolveRegion(RegionService.SES, { SES_REGION: 'tokyo' })).toThrow('SES_REGION のリージョン名が無効です: tokyo');
+    expect(() => resolveRegion('sqs', {})).toThrow('未対応のサービスです: sqs');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * ブックマークフィルタのテスト
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createFilterRules, applyFilters, globToRegExp } from '../src/bookmark-filter.js';
+import { BookmarkModel } from '../src/bookmark-model.js';
+
+const bookmark = (id, overrides = {}) => new BookmarkModel({
+  id,
+  title: `ブックマーク${id}`,
+  url: `https://example.com/${id}`,
+  folder: '未分類',
+  isFavorite: false,
+  createdAt: new Date('2024-01-01T00:00:00.000Z'),
+  ...overrides
+});
+
+const bookmarks = [
+  bookmark(1, { collectionId: 10, collectionPath: ['Team', 'Frontend'], tags: ['React'], url: 'https://react.dev/a' }),
+  bookmark(2, { collectionId: 20, collectionPath: ['Personal'], tags: ['diary'], isFavorite: true }),
+  bookmark(3, { collectionId: 30, collectionPath: ['Read later'], url: 'https://blog.medium.com/x' }),
+  bookmark(4, { collectionId: 11, collectionPath: ['Team', 'Backend'], tags: ['node'], isFavorite: true, url: 'https://nodejs.org/b' })
+];
+
+const idsAfter = (config) => applyFilters(bookmarks, createFilterRules(config)).bookmarks.map(b => b.id);
+
+describe('createFilterRules', () => {
+  test('未設定の場合はルールを作成しない', () => {
+    expect(createFilterRules()).toEqual([]);
+    expect(createFilterRules({ favoritesOnly: 'false', excludeTags: ' , ' })).toEqual([]);
+  });
+
+  test('favorites-onlyが不正な値の場合は設定エラーを投げる', () => {
+    expect(() => createFilterRules({ favoritesOnly: 'yes' }))
+      .toThrow('フィルタ設定が無効です: favorites-only は true または false である必要があります (yes)');
+  });
+});
+
+describe('applyFilters', () => {
+  test('コレクションパスの指定は配下のコレクションにも一致する', () => {
+    expect(idsAfter({ includeCollections: 'Team' })).toEqual([1, 4]);
+    expect(idsAfter({ includeCollections: 'Team / Backend' })).toEqual([4]);
+  });
+
+  test('コレクションをIDまたはパスで除外する', () => {
+    expect(idsAfter({ excludeCollections: '20, Read later' })).toEqual([1, 4]);
+  });
+
+  test('コレクションパスが未解決のブックマークはパスの指定に一致せず、パスで除外する場合は配信しない', () => {
+    const unresolved = [
+      bookmark(5, { collectionId: 20, collectionPath: ['未分類'], collectionPathResolved: false }),
+      bookmark(6, { collectionId: -1, collectionPath: ['未分類'] })
+    ];
+    const idsOf = (config) => applyFilters(unresolved, createFilterRules(config)).bookmarks.map(b => b.id);
+
+    expect(idsOf({ excludeCollections: 'Personal' })).toEqual([6]);
+    expect(idsOf({ includeCollections: '未分類' })).toEqual([6]);
+    expect(idsOf({ excludeCollections: '30' })).toEqual([5, 6]);
+  });
+
+  test('タグは大文字小文字を区別せずに判定する', () => {
+    expect(idsAfter({ includeTags: 'react,NODE' })).toEqual([1, 4]);
+    expect(idsAfter({ excludeTags: 'Diary' })).toEqual([1, 3, 4]);
+  });
+
+  test('ドメインをグロブパターンで絞り込む', () => {
+    expect(idsAfter({ includeDomains: '*.dev, nodejs.org' })).toEqual([1, 4]);
+    expect(idsAfter({ excludeDomains: '*.medium.com' })).toEqual([1, 2, 4]);
+  });
+
+  test('お気に入りのみに絞り込む', () => {
+    expect(idsAfter({ favoritesOnly: 'TRUE' })).toEqual([2, 4]);
+  });
+
+  test('ルールごとに除外した件数を適用順に返す', () => {
+    const rules = createFilterRules({
+      excludeCollections: 'Personal',
+      favoritesOnly: 'true',
+      excludeTags: 'unused'
+    });
+
+    const result = applyFilters(bookmarks, rules);
+
+    expect(result.bookmarks.map(b => b.id)).toEqual([4]);
+    expect(result.dropped).toEqual([
+      { rule: 'exclude-collections', count: 1 },
+      { rule: 'exclude-tags', count: 0 },
+      { rule: 'favorites-only', count: 2 }
+    ]);
+  });
+});
+
+describe('globToRegExp', () => {
+  test('*と?以外の記号はそのまま一致させる', () => {
+    expect(globToRegExp('example.com').test('exampleXcom')).toBe(false);
+    expect(globToRegExp('a?c.io').test('abc.io')).toBe(true);
+    expect(globToRegExp('*.example.com').test('example.com')).toBe(false);
+  });
+});
@@ -3,7 +3,7 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { BookmarkModel, BookmarkValidator } from '../src/bookmark-model.js';
+import { BookmarkModel, BookmarkValidator, BookmarkType } from '../src/bookmark-model.js';
 
 describe('BookmarkModel', () => {
     const validBookmarkData = {
@@ -170,13 +170,16 @@ describe('BookmarkModel', () => {
                 validApiItems[1]
             ];
 
-            // console.warnをモック
-            const consoleSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            // ロガーの出力先（console.log）をモック
+            const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
 
             const bookmarks = BookmarkModel.fromRaindropApiResponseArray(mixedApiItems);
 
             expect(bookmarks).toHaveLength(2); // 有効なアイテムのみ
-            expect(consoleSpy).toHaveBeenCalled();
+            expect(JSON.parse(consoleSpy.mock.calls[0][0])).toMatchObject({
+                level: 'WARN',
+                message: 'ブックマーク変換中にエラーが発生しました'
+            });
 
             consoleSpy.mockRestore();
         });
@@ -273,3 +276,163 @@ describe('BookmarkValidator', () => {
         });
     });
 });
+
+describe('BookmarkModel 付加情報', () => {
+    const baseData = {
+        id: 123,
+        title: 'テストタイトル',
+        url: 'https://www.example.com/article',
+        folder: 'テストフォルダ',
+        isFavorite: false,
+        createdAt: new Date('2024-01-01T00:00:00.000Z')
+    };
+
+    const richApiItem = {
+        _id: 456,
+        title: 'リッチなブックマーク',
+        link: 'https://www.example.com/post',
+        excerpt: '記事の抜粋',
+        note: '後で読む',
+        cover: 'https://example.com/cover.png',
+        domain: 'example.com',
+        type: 'article',
+        tags: ['JavaScript', 'Node.js'],
+        important: true,
+        created: '2024-01-01T00:00:00.000Z',
+        lastUpdate: '2024-01-02T00:00:00.000Z',
+        collection: { $id: 789 }
+    };
+
+    describe('コンストラクタ', () => {
+        it('付加情報が無い場合はデフォルト値を設定する', () => {
+            const bookmark = new BookmarkModel(baseData);
+
+            expect(bookmark.excerpt).toBe('');
+            expect(bookmark.tags).toEqual([]);
+            expect(bookmark.note).toBe('');
+            expect(bookmark.cover).toBe('');
+            expect(bookmark.domain).toBe('example.com');
+            expect(bookmark.type).toBe(BookmarkType.LINK);
+            expect(bookmark.lastUpdate).toBeNull();
+            expect(bookmark.collectionId).toBeNull();
+        });
+
+        it('tagsが文字列の配列でない場合はエラーを投げる', () => {
+            expect(() => new BookmarkModel({ ...baseData, tags: ['ok', 1] }))
+                .toThrow('tags は文字列の配列である必要があります');
+        });
+
+        it('coverが無効なURLの場合はエラーを投げる', () => {
+            expect(() => new BookmarkModel({ ...baseData, cover: 'not-a-url' }))
+                .toThrow('cover は有効なURL形式である必要があります');
+        });
+
+        it('typeが未知の値の場合はエラーを投げる', () => {
+            expect(() => new BookmarkModel({ ...baseData, type: 'podcast' }))
+                .toThrow('type は link, article, image, video, document, audio のいずれかである必要があります');
+        });
+
+        it('lastUpdateが無効な日付の場合はエラーを投げる', () => {
+            expect(() => new BookmarkModel({ ...baseData, lastUpdate: new Date('invalid') }))
+                .toThrow('lastUpdate は有効な日付である必要があります');
+        });
+
+        it('collectionIdが整数でない場合はエラーを投げる', () => {
+            expect(() => new BookmarkModel({ ...baseData, collectionId: '789' }))
+                .toThrow('collectionId は整数である必要があります');
+        });
+
+        it('excerptとnoteが文字列でない場合はエラーを投げる', () => {
+            expect(() => new BookmarkModel({ ...baseData, excerpt: 1, note: {} }))
+                .toThrow(/excerpt は文字列である必要があります, note は文字列である必要があります/);
+        });
+    });
+
+    describe('fromRaindropApiResponse', () => {
+        it('APIレスポンスの付加情報を保持する', () => {
+            const bookmark = BookmarkModel.fromRaindropApiResponse(richApiItem);
+
+            expect(bookmark.excerpt).toBe('記事の抜粋');
+            expect(bookmark.tags).toEqual(['JavaScript', 'Node.js']);
+            expect(bookmark.note).toBe('後で読む');
+            expect(bookmark.cover).toBe('https://example.com/cover.png');
+            expect(bookmark.domain).toBe('example.com');
+            expect(bookmark.type).toBe('article');
+            expect(bookmark.lastUpdate).toEqual(new Date('2024-01-02T00:00:00.000Z'));
+            expect(bookmark.collectionId).toBe(789);
+        });
+
+        it('tagsが無い場合もエラーにならない', () => {
+            const { tags: _tags, ...itemWithoutTags } = richApiItem;
+            const bookmark = BookmarkModel.fromRaindropApiResponse(itemWithoutTags);
+
+            expect(bookmark.tags).toEqual([]);
+            expect(bookmark.folder).toBe('未分類');
+        });
+
+        it('不正な付加情報は除外せずデフォルト値に正規化する', () => {
+            const bookmark = BookmarkModel.fromRaindropApiResponse({
+                ...richApiItem,
+                cover: 'broken',
+                type: 'podcast',
+                domain: '',
+                lastUpdate: 'invalid',
+                collection: { $id: 'x' }
+            });
+
+            expect(bookmark.cover).toBe('');
+            expect(bookmark.type).toBe(BookmarkType.LINK);
+            expect(bookmark.domain).toBe('example.com');
+            expect(bookmark.lastUpdate).toBeNull();
+            expect(bookmark.collectionId).toBeNull();
+        });
+
+        it('toPlainObject()に付加情報が含まれる', () => {
+            const plain = BookmarkModel.fromRaindropApiResponse(richApiItem).toPlainObject();
+
+            expect(plain).toMatchObject({
+                id: 456,
+                excerpt: '記事の抜粋',
+                tags: ['JavaScript', 'Node.js'],
+                type: 'article',
+                collectionId: 789
+            });
+        });
+    });
+});
+
+describe('BookmarkModel コレクション', () => {
+    const apiItem = {
+        _id: 1,
+        title: 'タイトル',
+        link: 'https://example.com',
+        tags: ['最初のタグ'],
+        collection: { $id: 42 },
+        created: '2024-01-01T00:00:00.000Z'
+    };
+
+    it('フォルダは先頭タグではなくコレクションから決定する', () => {
+        const bookmark = BookmarkModel.fromRaindropApiResponse({
+            ...apiItem,
+            collection: { $id: 42, title: 'テック' }
+        });
+
+        expect(bookmark.folder).toBe('テック');
+        expect(bookmark.collectionPath).toEqual(['テック']);
+    });
+
+    it('未分類コレクション（-1）は「未分類」になる', () => {
+        const bookmark = BookmarkModel.fromRaindropApiResponse({ ...apiItem, collection: { $id: -1 } });
+
+        expect(bookmark.folder).toBe('未分類');
+    });
+
+    it('setCollectionPath()でフルパスとフォルダ名を更新する', () => {
+        const bookmark = BookmarkModel.fromRaindropApiResponse(apiItem);
+
+        bookmark.setCollectionPath(['Dev', 'Frontend']);
+
+        expect(bookmark.collectionPath).toEqual(['Dev', 'Frontend']);
+        expect(bookmark.folder).toBe('Dev / Frontend');
+    });
+});
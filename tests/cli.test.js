@@ -0,0 +1,142 @@
+/**
+ * CLIのテスト
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+import { mkdtemp, symlink, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCommand, toEvent, runCli, isCliEntryPoint } from '../src/cli.js';
+
+/**
+ * 出力を記録する出力先を作成
+ * @returns {Object} 出力先
+ */
+function createIo() {
+  const io = { stdout: [], stderr: [] };
+  io.out = (...lines) => io.stdout.push(...lines);
+  io.err = (...lines) => io.stderr.push(...lines);
+  return io;
+}
+
+describe('parseCommand', () => {
+  test('サブコマンドとオプションを解析する', () => {
+    expect(parseCommand(['preview', '--from', '2024-01-01', '--format', 'html', '--output', './preview'])).toEqual({
+      command: 'preview',
+      options: { from: '2024-01-01', format: 'html', output: './preview' }
+    });
+    expect(parseCommand(['send', '--profile', 'frontend']).options).toEqual({ profile: 'frontend' });
+  });
+
+  test('不明なコマンドやオプションはエラーを投げる', () => {
+    expect(() => parseCommand([])).toThrow('コマンドを指定してください');
+    expect(() => parseCommand(['deploy'])).toThrow('不明なコマンドです: deploy');
+    expect(() => parseCommand(['send', '--output', './preview'])).toThrow();
+    expect(() => parseCommand(['preview', '--config', 'secrets'])).toThrow('--config は ssm または env を指定してください: secrets');
+    expect(() => parseCommand(['preview', '--lookback-days', '-3'])).toThrow();
+  });
+});
+
+describe('toEvent', () => {
+  test('指定されたオプションのみをLambdaイベントに変換する', () => {
+    expect(toEvent({ 'lookback-days': '14', format: 'markdown' })).toEqual({ lookbackDays: 14, format: 'markdown' });
+    expect(toEvent({ from: '2024-01-01', to: '2024-01-08', profile: 'infra' })).toEqual({
+      from: '2024-01-01',
+      to: '2024-01-08',
+      profile: 'infra'
+    });
+  });
+});
+
+describe('isCliEntryPoint', () => {
+  test('npmのbinのようにシンボリックリンク経由で実行された場合もコマンドとして扱う', async () => {
+    const cliPath = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+    const tempDir = await mkdtemp(join(tmpdir(), 'dropcast-bin-'));
+    try {
+      await symlink(cliPath, join(tempDir, 'dropcast'));
+
+      expect(isCliEntryPoint(cliPath)).toBe(true);
+      expect(isCliEntryPoint(join(tempDir, 'dropcast'))).toBe(true);
+      expect(isCliEntryPoint(join(tempDir, 'missing'))).toBe(false);
+      expect(isCliEntryPoint('')).toBe(false);
+    } finally {
+      await rm(tempDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runCli', () => {
+  const savedEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  test('引数が無効な場合は使い方を表示して終了コード2を返す', async () => {
+    const io = createIo();
+
+    expect(await runCli(['unknown'], io)).toBe(2);
+    expect(io.stderr[0]).toBe('不明なコマンドです: unknown');
+    expect(io.stderr.join('\n')).toContain('使い方: dropcast <コマンド> [オプション]');
+  });
+
+  test('環境変数の設定が不足している場合はエラーを表示して終了コード1を返す', async () => {
+    delete process.env.RAINDROP_API_TOKEN;
+    delete process.env.EMAIL_FROM;
+    delete process.env.EMAIL_TO;
+    delete process.env.CONFIG_SOURCE;
+    const io = createIo();
+
+    expect(await runCli(['test-email'], io)).toBe(1);
+    expect(process.env.CONFIG_SOURCE).toBe('env');
+    expect(io.stderr).toEqual(['エラー: 設定取得エラー: 必須設定が取得できませんでした: RAINDROP_API_TOKEN, EMAIL_FROM, EMAIL_TO']);
+  });
+
+  test('無効な設定はすべての項目をまとめて表示する', async () => {
+    Object.assign(process.env, {
+      CONFIG_SOURCE: 'env',
+      RAINDROP_API_TOKEN: 'env-token',
+      EMAIL_FROM: 'dropcast@example.com',
+      EMAIL_TO: 'all@example.com',
+      GROUP_BY: 'color',
+      DELIVERY_MODE: 'broadcast',
+      FAVORITES_ONLY: 'maybe'
+    });
+    const io = createIo();
+
+    expect(await runCli(['test-email'], io)).toBe(1);
+    expect(io.stderr[0]).toContain('DELIVERY_MODE の値が無効です: broadcast');
+    expect(io.stderr[0]).toContain('GROUP_BY の値が無効です: color');
+    expect(io.stderr[0]).toContain('favorites-only は true または false である必要があります');
+  });
+
+  test('認可レスポンスの state が認可リクエストと一致しない場合はトークンと交換しない', async () => {
+    const tempDir = await mkdtemp(join(tmpdir(), 'dropcast-cli-'));
+    Object.assign(process.env, {
+      TMPDIR: tempDir,
+      CONFIG_SOURCE: 'env',
+      RAINDROP_CLIENT_ID: 'client-1',
+      RAINDROP_CLIENT_SECRET: 'client-secret'
+    });
+    const redirectUri = 'http://localhost:8080/callback';
+
+    try {
+      const authorizeIo = createIo();
+      expect(await runCli(['authorize', '--redirect-uri', redirectUri], authorizeIo)).toBe(0);
+      const url = new URL(authorizeIo.stdout[1]);
+      expect(url.searchParams.get('state')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+      const callbackIo = createIo();
+      expect(await runCli(['authorize', '--redirect-uri', redirectUri, '--code', 'code-1', '--state', 'forged'], callbackIo)).toBe(1);
+      expect(callbackIo.stderr[0]).toContain('認可レスポンスの state が認可リクエストと一致しません');
+
+      // 一度使った state は再利用できない
+      const retryIo = createIo();
+      expect(await runCli(['authorize', '--redirect-uri', redirectUri, '--code', 'code-1', '--state', url.searchParams.get('state')], retryIo)).toBe(1);
+      expect(retryIo.stderr[0]).toContain('認可リクエストの情報がありません');
+    } finally {
+      await rm(tempDir, { recursive: true, force: true });
+    }
+  });
+});
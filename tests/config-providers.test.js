@@ -0,0 +1,149 @@
+/**
+ * 設定プロバイダーのテスト
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// AWS SDK v3をモック
+const mockSecretsSend = vi.fn();
+
+vi.mock('@aws-sdk/client-secrets-manager', () => ({
+  SecretsManagerClient: vi.fn().mockImplementation(() => ({ send: mockSecretsSend })),
+  GetSecretValueCommand: vi.fn().mockImplementation((params) => params)
+}));
+
+vi.mock('@aws-sdk/client-ssm', () => ({
+  SSMClient: vi.fn().mockImplementation(() => ({ send: vi.fn() })),
+  GetParametersByPathCommand: vi.fn().mockImplementation((params) => params)
+}));
+
+const {
+  ProviderName,
+  ConfigProvider,
+  EnvConfigProvider,
+  DotenvConfigProvider,
+  SsmConfigProvider,
+  SecretsManagerConfigProvider,
+  MemoryConfigProvider,
+  ConfigProviderChain,
+  createConfigProviderChain
+} = await import('../src/config-providers.js');
+
+describe('ConfigProvider', () => {
+  test('基底クラスのメソッドは未実装エラーを投げる', async () => {
+    await expect(new ConfigProvider().load(null)).rejects.toThrow('ConfigProvider.load() が実装されていません');
+  });
+});
+
+describe('各プロバイダー', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    tempDir = await mkdtemp(join(tmpdir(), 'dropcast-config-'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('EnvConfigProviderはDropCast設定の環境変数のみを読み込む', async () => {
+    const provider = new EnvConfigProvider({ EMAIL_TO: 'env@example.com', INCLUDE_TAGS: 'react', HOME: '/root' });
+
+    expect(await provider.load()).toEqual({ 'email-to': 'env@example.com', 'include-tags': 'react' });
+  });
+
+  test('DotenvConfigProviderは.envファイルを読み込み、無い場合は空を返す', async () => {
+    const filePath = join(tempDir, '.env');
+    await writeFile(filePath, 'RAINDROP_API_TOKEN=dotenv-token\nAWS_REGION=ap-northeast-1\n');
+
+    expect(await new DotenvConfigProvider(filePath).load()).toEqual({ 'raindrop-api-token': 'dotenv-token' });
+    expect(await new DotenvConfigProvider(join(tempDir, 'missing.env')).load()).toEqual({});
+  });
+
+  test('SsmConfigProviderはプロファイルを指定してParameter Storeから読み込む', async () => {
+    const parameterStore = { getDropCastParameters: vi.fn().mockResolvedValue({ 'email-to': 'frontend@example.com' }) };
+    const provider = new SsmConfigProvider(parameterStore);
+
+    expect(provider.supportsProfiles).toBe(true);
+    expect(await provider.load('frontend')).toEqual({ 'email-to': 'frontend@example.com' });
+    expect(parameterStore.getDropCastParameters).toHaveBeenCalledWith('frontend');
+  });
+
+  test('SecretsManagerConfigProviderはJSONシークレットのキーを正規化して読み込む', async () => {
+    mockSecretsSend.mockResolvedValue({
+      SecretString: JSON.stringify({ RAINDROP_API_TOKEN: 'secret-token', 'email-from': 'secret@example.com', other: 'x' })
+    });
+    const provider = new SecretsManagerConfigProvider({ secretId: 'dropcast/config', region: 'ap-northeast-1' });
+
+    expect(await provider.load()).toEqual({ 'raindrop-api-token': 'secret-token', 'email-from': 'secret@example.com' });
+    expect(mockSecretsSend.mock.calls[0][0]).toEqual({ SecretId: 'dropcast/config' });
+  });
+
+  test('SecretsManagerConfigProviderはJSONでないシークレットをエラーにする', async () => {
+    mockSecretsSend.mockResolvedValue({ SecretString: 'plain-token' });
+    const provider = new SecretsManagerConfigProvider({ secretId: 'dropcast/config' });
+
+    await expect(provider.load()).rejects.toThrow('シークレットはJSON形式である必要があります: dropcast/config');
+  });
+});
+
+describe('ConfigProviderChain', () => {
+  test('先頭のプロバイダーを優先し、項目ごとに取得元を記録する', async () => {
+    const chain = new ConfigProviderChain([
+      new MemoryConfigProvider({ RAINDROP_API_TOKEN: 'memory-token', EMAIL_CC: '' }),
+      new EnvConfigProvider({ RAINDROP_API_TOKEN: 'env-token', EMAIL_FROM: 'env@example.com', EMAIL_CC: 'cc@example.com' })
+    ]);
+
+    const { config, sources } = await chain.resolve();
+
+    expect(config.RAINDROP_API_TOKEN).toBe('memory-token');
+    expect(config.EMAIL_FROM).toBe('env@example.com');
+    expect(config.EMAIL_CC).toBe('cc@example.com');
+    expect(config.EMAIL_TO).toBeUndefined();
+    expect(sources).toEqual({
+      RAINDROP_API_TOKEN: ProviderName.MEMORY,
+      EMAIL_FROM: ProviderName.ENV,
+      EMAIL_CC: ProviderName.ENV
+    });
+  });
+
+  test('対応する設定項目が無いパラメータは検証で報告できるよう引き継ぐ', async () => {
+    const parameterStore = { getDropCastParameters: vi.fn().mockResolvedValue({ 'filters/include-tag': 'react' }) };
+    const chain = new ConfigProviderChain([new SsmConfigProvider(parameterStore)]);
+
+    const { config, sources } = await chain.resolve();
+
+    expect(config['filters/include-tag']).toBe('react');
+    expect(sources).toEqual({});
+  });
+
+  test('プロファイルを読み込めるプロバイダーが無い場合はエラーを投げる', async () => {
+    const chain = new ConfigProviderChain([new MemoryConfigProvider()]);
+
+    await expect(chain.resolve('frontend')).rejects.toThrow('プロファイルはParameter Storeの設定でのみ使用できます: frontend');
+  });
+});
+
+describe('createConfigProviderChain', () => {
+  test('既定ではSecrets Manager（CONFIG_SECRET_ID設定時のみ）、Parameter Storeの順とする', () => {
+    expect(createConfigProviderChain({}).names).toEqual([ProviderName.SSM]);
+    expect(createConfigProviderChain({ CONFIG_SECRET_ID: 'dropcast/config' }).names)
+      .toEqual([ProviderName.SECRETS_MANAGER, ProviderName.SSM]);
+  });
+
+  test('CONFIG_SOURCE=env の場合は環境変数、.envの順とする', () => {
+    expect(createConfigProviderChain({ CONFIG_SOURCE: 'env' }).names).toEqual([ProviderName.ENV, ProviderName.DOTENV]);
+  });
+
+  test('CONFIG_PROVIDERS で優先順位を指定できる', () => {
+    expect(createConfigProviderChain({ CONFIG_PROVIDERS: 'env, ssm' }).names).toEqual([ProviderName.ENV, ProviderName.SSM]);
+    expect(() => createConfigProviderChain({ CONFIG_PROVIDERS: 'env,vault' }))
+      .toThrow('未対応の設定プロバイダーです: vault');
+    expect(() => createConfigProviderChain({ CONFIG_PROVIDERS: 'secrets-manager' }))
+      .toThrow('CONFIG_SECRET_ID を設定してください');
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * 設定スキーマのテスト
+ */
+
+import { describe, test, expect } from 'vitest';
+import { validateConfig, CONFIG_SCHEMA } from '../src/config-schema.js';
+
+const REQUIRED = {
+  RAINDROP_API_TOKEN: 'token',
+  EMAIL_FROM: 'dropcast@example.com',
+  EMAIL_TO: 'all@example.com'
+};
+
+describe('validateConfig', () => {
+  test('未設定の項目にデフォルト値を補う', () => {
+    const { values, errors } = validateConfig({ ...REQUIRED, OUTPUT_FORMAT: '' });
+
+    expect(errors).toEqual([]);
+    expect(values).toMatchObject({
+      EMAIL_CC: null,
+      DELIVERY_MODE: 'batch',
+      OUTPUT_FORMAT: 'textile',
+      GROUP_BY: 'collection',
+      ATTACHMENTS: [],
+      SEARCH_QUERY: null
+    });
+    expect(Object.keys(values)).toEqual(Object.keys(CONFIG_SCHEMA));
+  });
+
+  test('カンマ区切りの値を配列に変換する', () => {
+    const { values } = validateConfig({ ...REQUIRED, ATTACHMENTS: 'markdown, csv' });
+
+    expect(values.ATTACHMENTS).toEqual(['markdown', 'csv']);
+  });
+
+  test('すべての無効な項目をまとめて報告する', () => {
+    const { errors, missing } = validateConfig({
+      RAINDROP_API_TOKEN: 'token',
+      OUTPUT_FORMAT: 'pdf',
+      GROUP_BY: 'color',
+      ATTACHMENTS: 'markdown,zip',
+      EMAIL_CC: { nested: 'cc@example.com' }
+    });
+
+    expect(missing).toEqual(['EMAIL_FROM', 'EMAIL_TO']);
+    expect(errors).toEqual([
+      '必須設定が取得できませんでした: EMAIL_FROM, EMAIL_TO',
+      'EMAIL_CC は文字列である必要があります',
+      expect.stringMatching(/^OUTPUT_FORMAT の値が無効です: pdf（利用可能: textile, /),
+      'GROUP_BY の値が無効です: color（利用可能: collection, tag, domain, type, day）',
+      'ATTACHMENTS の値が無効です: zip（利用可能: markdown, csv, bookmarks-html）'
+    ]);
+  });
+
+  test('スキーマに無い項目はエラーにせず未対応の設定項目として返す', () => {
+    const { errors, unknown } = validateConfig({ ...REQUIRED, FILTERS: {}, 'filters/include-tag': 'react', EMAIL_TOO: 'x' });
+
+    expect(errors).toEqual([]);
+    expect(unknown).toEqual(['filters/include-tag', 'EMAIL_TOO']);
+  });
+
+  test('未対応の設定項目があっても既知の項目の無効な値はエラーにする', () => {
+    const { errors, unknown } = validateConfig({ ...REQUIRED, EMAIL_TOO: 'x', GROUP_BY: 'color' });
+
+    expect(errors).toEqual(['GROUP_BY の値が無効です: color（利用可能: collection, tag, domain, type, day）']);
+    expect(unknown).toEqual(['EMAIL_TOO']);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * ダイジェストの添付ファイル生成のテスト
+ */
+
+import { describe, test, expect } from 'vitest';
+import { createDigestAttachments, toCsv, toNetscapeBookmarks } from '../src/digest-attachments.js';
+import { BookmarkModel } from '../src/bookmark-model.js';
+
+const bookmarks = [
+  new BookmarkModel({
+    id: 1,
+    title: 'タイトル, "引用" 付き',
+    url: 'https://example.com/a?x=1&y=2',
+    folder: 'Dev / Frontend',
+    collectionPath: ['Dev', 'Frontend'],
+    tags: ['react', 'ui'],
+    isFavorite: true,
+    createdAt: new Date('2024-01-10T00:00:00.000Z')
+  }),
+  new BookmarkModel({
+    id: 2,
+    title: '<script>',
+    url: 'https://example.org/b',
+    folder: '読書',
+    isFavorite: false,
+    createdAt: new Date('2024-01-09T00:00:00.000Z')
+  })
+];
+
+describe('toCsv', () => {
+  test('BOM付きでヘッダー行と値をRFC 4180形式で出力する', () => {
+    const csv = toCsv(bookmarks);
+    const lines = csv.slice(1).trimEnd().split('\r\n');
+
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    expect(lines[0]).toBe('id,title,url,folder,tags,domain,type,favorite,excerpt,created');
+    expect(lines[1]).toBe('1,"タイトル, ""引用"" 付き",https://example.com/a?x=1&y=2,Dev / Frontend,react ui,example.com,link,true,,2024-01-10T00:00:00.000Z');
+  });
+});
+
+describe('toNetscapeBookmarks', () => {
+  test('コレクション階層をフォルダの入れ子として出力する', () => {
+    const html = toNetscapeBookmarks(bookmarks, 'DropCast');
+
+    expect(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>')).toBe(true);
+    expect(html).toContain('    <DT><H3>Dev</H3>\n    <DL><p>\n        <DT><H3>Frontend</H3>');
+    expect(html).toContain('<DT><A HREF="https://example.com/a?x=1&amp;y=2" ADD_DATE="1704844800" TAGS="react,ui">タイトル, &quot;引用&quot; 付き</A>');
+    expect(html).toContain('>&lt;script&gt;</A>');
+  });
+});
+
+describe('createDigestAttachments', () => {
+  test('指定した種別の添付ファイルを作成する', () => {
+    const attachments = createDigestAttachments(bookmarks, ['markdown', 'csv', 'bookmarks-html'], {
+      date: new Date('2024-01-11T00:00:00.000Z')
+    });
+
+    expect(attachments.map(attachment => [attachment.filename, attachment.contentType])).toEqual([
+      ['dropcast-digest-20240111.md', 'text/markdown; charset=UTF-8'],
+      ['dropcast-digest-20240111.csv', 'text/csv; charset=UTF-8'],
+      ['dropcast-digest-20240111-bookmarks.html', 'text/html; charset=UTF-8']
+    ]);
+    expect(attachments[0].content).toContain('### Dev / Frontend (1件)');
+  });
+
+  test('未対応の種別はエラーを投げる', () => {
+    expect(() => createDigestAttachments(bookmarks, ['pdf']))
+      .toThrow('未対応の添付ファイル種別です: pdf（利用可能: markdown, csv, bookmarks-html）');
+  });
+});
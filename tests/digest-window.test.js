@@ -0,0 +1,133 @@
+/**
+ * ダイジェスト期間解決のテスト
+ */
+
+import { describe, it, expect } from 'vitest';
+import { resolveDigestWindow, DigestPeriod } from '../src/digest-window.js';
+import { AppError, ErrorType } from '../src/error-handler.js';
+
+describe('resolveDigestWindow', () => {
+    const now = new Date('2024-03-15T00:00:00.000Z');
+
+    describe('デフォルト', () => {
+        it('指定が無い場合は過去7日間（weekly）になる', () => {
+            const result = resolveDigestWindow({}, now);
+
+            expect(result.period).toBe(DigestPeriod.WEEKLY);
+            expect(result.startDate).toEqual(new Date('2024-03-08T00:00:00.000Z'));
+            expect(result.endDate).toEqual(now);
+        });
+
+        it('EventBridgeのスケジュールイベントは期間指定なしとして扱う', () => {
+            const result = resolveDigestWindow({
+                source: 'aws.events',
+                'detail-type': 'Scheduled Event'
+            }, now);
+
+            expect(result.period).toBe(DigestPeriod.WEEKLY);
+        });
+
+        it('イベントがnullでも過去7日間になる', () => {
+            const result = resolveDigestWindow(null, now);
+
+            expect(result.period).toBe(DigestPeriod.WEEKLY);
+        });
+    });
+
+    describe('from / to 指定', () => {
+        it('指定された期間をそのまま使用する', () => {
+            const result = resolveDigestWindow({
+                from: '2024-01-01T00:00:00.000Z',
+                to: '2024-01-08T00:00:00.000Z'
+            }, now);
+
+            expect(result.startDate).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+            expect(result.endDate).toEqual(new Date('2024-01-08T00:00:00.000Z'));
+            expect(result.period).toBe(DigestPeriod.CUSTOM);
+        });
+
+        it('toを省略した場合は現在までとなる', () => {
+            const result = resolveDigestWindow({ from: '2024-03-01T00:00:00.000Z' }, now);
+
+            expect(result.endDate).toEqual(now);
+        });
+
+        it('periodを併用した場合は表記用の期間種別として使用する', () => {
+            const result = resolveDigestWindow({
+                from: '2024-01-01T00:00:00.000Z',
+                to: '2024-01-08T00:00:00.000Z',
+                period: 'weekly'
+            }, now);
+
+            expect(result.period).toBe(DigestPeriod.WEEKLY);
+            expect(result.startDate).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+        });
+
+        it('fromがtoより後の場合はエラーを投げる', () => {
+            expect(() => resolveDigestWindow({
+                from: '2024-01-08T00:00:00.000Z',
+                to: '2024-01-01T00:00:00.000Z'
+            }, now)).toThrow('from は to より前の日時である必要があります');
+        });
+
+        it('無効な日時の場合はエラーを投げる', () => {
+            expect(() => resolveDigestWindow({ from: 'invalid-date' }, now))
+                .toThrow('from は有効な日時である必要があります');
+        });
+
+        it('toのみ指定された場合はエラーを投げる', () => {
+            expect(() => resolveDigestWindow({ to: '2024-01-08T00:00:00.000Z' }, now))
+                .toThrow('to を指定する場合は from も指定してください');
+        });
+    });
+
+    describe('lookbackDays 指定', () => {
+        it('現在から指定日数遡った期間になる', () => {
+            const result = resolveDigestWindow({ lookbackDays: 14 }, now);
+
+            expect(result.startDate).toEqual(new Date('2024-03-01T00:00:00.000Z'));
+            expect(result.endDate).toEqual(now);
+            expect(result.period).toBe(DigestPeriod.CUSTOM);
+        });
+
+        it('数値文字列も受け付ける', () => {
+            const result = resolveDigestWindow({ lookbackDays: '1' }, now);
+
+            expect(result.startDate).toEqual(new Date('2024-03-14T00:00:00.000Z'));
+        });
+
+        it.each([0, -1, 1.5, 'abc'])('不正な値 %s の場合はエラーを投げる', (lookbackDays) => {
+            expect(() => resolveDigestWindow({ lookbackDays }, now))
+                .toThrow('lookbackDays は正の整数である必要があります');
+        });
+    });
+
+    describe('period 指定', () => {
+        it('dailyは過去1日間になる', () => {
+            const result = resolveDigestWindow({ period: 'daily' }, now);
+
+            expect(result.startDate).toEqual(new Date('2024-03-14T00:00:00.000Z'));
+            expect(result.period).toBe(DigestPeriod.DAILY);
+        });
+
+        it('monthlyは過去1か月間になる', () => {
+            const result = resolveDigestWindow({ period: 'monthly' }, now);
+
+            expect(result.startDate).toEqual(new Date('2024-02-15T00:00:00.000Z'));
+            expect(result.period).toBe(DigestPeriod.MONTHLY);
+        });
+
+        it('未知のperiodの場合は設定エラーを投げる', () => {
+            let thrown;
+            try {
+                resolveDigestWindow({ period: 'yearly' }, now);
+            } catch (error) {
+                thrown = error;
+            }
+
+            expect(thrown).toBeInstanceOf(AppError);
+            expect(thrown.type).toBe(ErrorType.CONFIGURATION_ERROR);
+            expect(thrown.message).toContain('period は daily, weekly, monthly のいずれか');
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * ドライランのテスト
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { isDryRun, dryRunOutputDir, writeDryRunOutput } from '../src/dry-run.js';
+
+describe('isDryRun', () => {
+  afterEach(() => {
+    delete process.env.DRY_RUN;
+  });
+
+  test('イベントのdryRunを環境変数より優先する', () => {
+    process.env.DRY_RUN = 'true';
+
+    expect(isDryRun({ dryRun: false })).toBe(false);
+    expect(isDryRun({})).toBe(true);
+  });
+
+  test('環境変数DRY_RUNの値を真偽値として解釈する', () => {
+    expect(isDryRun({})).toBe(false);
+
+    process.env.DRY_RUN = ' YES ';
+    expect(isDryRun(undefined)).toBe(true);
+
+    process.env.DRY_RUN = 'no';
+    expect(isDryRun({})).toBe(false);
+  });
+});
+
+describe('dryRunOutputDir', () => {
+  afterEach(() => {
+    delete process.env.DRY_RUN_OUTPUT_DIR;
+  });
+
+  test('イベント、環境変数の順に出力先を決定する', () => {
+    expect(dryRunOutputDir({})).toBeNull();
+
+    process.env.DRY_RUN_OUTPUT_DIR = '/tmp/env';
+    expect(dryRunOutputDir({})).toBe('/tmp/env');
+    expect(dryRunOutputDir({ dryRunOutputDir: './preview' })).toBe('./preview');
+  });
+});
+
+describe('writeDryRunOutput', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'dropcast-dry-run-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('件名・本文・HTML本文・添付ファイルを書き出す', async () => {
+    const outputDir = join(dir, 'preview');
+
+    const files = await writeDryRunOutput({
+      subject: '件名',
+      body: '本文',
+      htmlBody: '<p>本文</p>',
+      attachments: [{ filename: 'digest.csv', content: 'id\r\n1\r\n' }]
+    }, outputDir);
+
+    expect(files).toEqual([
+      join(outputDir, 'preview.txt'),
+      join(outputDir, 'preview.html'),
+      join(outputDir, 'digest.csv')
+    ]);
+    expect(await readFile(files[0], 'utf8')).toBe('Subject: 件名\n\n本文\n');
+    expect(await readFile(files[1], 'utf8')).toBe('<p>本文</p>');
+    expect(await readFile(files[2], 'utf8')).toBe('id\r\n1\r\n');
+  });
+
+  test('HTML本文が無い場合はpreview.htmlを書き出さない', async () => {
+    const files = await writeDryRunOutput({ subject: '件名', body: '本文', htmlBody: null }, dir);
+
+    expect(files).toEqual([join(dir, 'preview.txt')]);
+  });
+});
@@ -342,3 +342,229 @@ describe("EmailFormatter", () => {
     });
   });
 });
+
+describe("EmailFormatter 期間種別", () => {
+  const startDate = new Date("2024-01-01T00:00:00.000Z");
+  const endDate = new Date("2024-01-31T00:00:00.000Z");
+
+  it("期間種別に応じた件名を生成する", () => {
+    expect(EmailFormatter.generateEmailSubject(startDate, endDate, "daily")).toBe(
+      "日次ブックマークダイジェスト - 2024/01/31"
+    );
+    expect(EmailFormatter.generateEmailSubject(startDate, endDate, "monthly")).toBe(
+      "月次ブックマークダイジェスト - 2024/01/31"
+    );
+  });
+
+  it("任意期間の件名には開始日と終了日が含まれる", () => {
+    const result = EmailFormatter.generateEmailSubject(startDate, endDate, "custom");
+
+    expect(result).toBe("ブックマークダイジェスト - 2024/01/01 - 2024/01/31");
+  });
+
+  it("期間種別に応じたヘッダーと空データメッセージを生成する", () => {
+    const result = EmailFormatter.generateEmailContent([], {
+      startDate,
+      endDate,
+      period: "monthly",
+    });
+
+    expect(result.period).toBe("monthly");
+    expect(result.body).toContain("今月のブックマークダイジェスト (2024/01/01 - 2024/01/31)");
+    expect(result.body).toContain("今月は新しいブックマークがありませんでした。");
+  });
+
+  it("ブックマークがある場合のヘッダーも期間種別に従う", () => {
+    const bookmark = new BookmarkModel({
+      id: 1,
+      title: "日次テスト",
+      url: "https://example.com/daily",
+      folder: "テスト",
+      isFavorite: false,
+      createdAt: new Date("2024-01-30T10:00:00.000Z"),
+    });
+
+    const result = EmailFormatter.formatBookmarksToEmailBody([bookmark], {
+      period: "daily",
+    });
+
+    expect(result).toContain("今日のブックマークダイジェスト");
+    expect(result).not.toContain("今週");
+  });
+});
+
+describe("EmailFormatter HTML形式", () => {
+  let bookmarks;
+
+  beforeEach(() => {
+    bookmarks = [
+      new BookmarkModel({
+        id: 1,
+        title: "<script>alert('x')</script> & \"引用\"",
+        url: "https://example.com/a?x=1&y=2",
+        folder: "AI & ML",
+        isFavorite: true,
+        createdAt: new Date("2024-01-01T10:00:00.000Z"),
+      }),
+      new BookmarkModel({
+        id: 2,
+        title: "TypeScript最新機能",
+        url: "https://example.com/typescript",
+        folder: "コーディング",
+        isFavorite: false,
+        createdAt: new Date("2024-01-01T09:00:00.000Z"),
+      }),
+    ];
+  });
+
+  it("タイトル・URL・フォルダ名をエスケープする", () => {
+    const result = EmailFormatter.formatBookmarksToHtmlBody(bookmarks);
+
+    expect(result).not.toContain("<script>");
+    expect(result).toContain("&lt;script&gt;alert(&#39;x&#39;)&lt;/script&gt; &amp; &quot;引用&quot;");
+    expect(result).toContain('href="https://example.com/a?x=1&amp;y=2"');
+    expect(result).toContain(">AI &amp; ML <span");
+  });
+
+  it("フォルダ別にグループ化し、テキスト版と同じ順序で出力する", () => {
+    const result = EmailFormatter.formatBookmarksToHtmlBody(bookmarks);
+
+    expect(result.indexOf(">AI &amp; ML <span")).toBeLessThan(result.indexOf(">コーディング <span"));
+    expect(result.match(/<ul /g)).toHaveLength(2);
+  });
+
+  it("お気に入りにのみ★マークを付与する", () => {
+    const result = EmailFormatter.formatBookmarksToHtmlBody(bookmarks);
+
+    expect(result.match(/★/g)).toHaveLength(1);
+    expect(result).toMatch(/&quot;引用&quot;<\/a> <span style="[^"]*">★<\/span>/);
+  });
+
+  it("インラインスタイルを使用し<style>要素を含まない", () => {
+    const result = EmailFormatter.formatBookmarksToHtmlBody(bookmarks);
+
+    expect(result).not.toContain("<style");
+    expect(result).toMatch(/<body style="[^"]+">/);
+    expect(result).toMatch(/<a href="[^"]+" style="[^"]+">/);
+  });
+
+  it("ヘッダーに期間と件数を含める", () => {
+    const result = EmailFormatter.formatBookmarksToHtmlBody(bookmarks, {
+      dateRange: "2024/01/01 - 2024/01/07",
+    });
+
+    expect(result).toContain("今週のブックマークダイジェスト (2024/01/01 - 2024/01/07)</h2>");
+    expect(result).toContain("合計 2 件のブックマークが見つかりました。");
+  });
+
+  it("http/https以外のURLはリンクにしない", () => {
+    const bookmark = new BookmarkModel({
+      id: 3,
+      title: "危険なリンク",
+      url: "javascript:alert(1)",
+      folder: "テスト",
+      isFavorite: false,
+      createdAt: new Date("2024-01-01T09:00:00.000Z"),
+    });
+
+    const result = EmailFormatter.formatBookmarksToHtmlBody([bookmark]);
+
+    expect(result).not.toContain("href=");
+    expect(result).toContain("危険なリンク (javascript:alert(1))");
+  });
+
+  it("空データの場合は空データメッセージを返す", () => {
+    const result = EmailFormatter.formatBookmarksToHtmlBody([]);
+
+    expect(result).toContain("今週は新しいブックマークがありませんでした。");
+    expect(result).not.toContain("<ul");
+  });
+
+  it("generateEmailContentはHTML本文も生成する", () => {
+    const result = EmailFormatter.generateEmailContent(bookmarks);
+
+    expect(result.htmlBody).toContain("<!DOCTYPE html>");
+    expect(result.body).toContain("h4. AI & ML");
+  });
+});
+
+describe("EmailFormatter グループ化方法", () => {
+  let bookmarks;
+
+  beforeEach(() => {
+    bookmarks = [
+      new BookmarkModel({
+        id: 1,
+        title: "React入門",
+        url: "https://react.dev/learn",
+        folder: "Dev / Frontend",
+        isFavorite: false,
+        createdAt: new Date("2024-01-02T10:00:00.000Z"),
+        tags: ["react", "javascript"],
+        type: "article",
+      }),
+      new BookmarkModel({
+        id: 2,
+        title: "Node.js動画",
+        url: "https://www.youtube.com/watch?v=1",
+        folder: "Dev",
+        isFavorite: false,
+        createdAt: new Date("2024-01-03T10:00:00.000Z"),
+        tags: ["javascript"],
+        type: "video",
+      }),
+      new BookmarkModel({
+        id: 3,
+        title: "タグなし記事",
+        url: "https://react.dev/blog",
+        folder: "読書",
+        isFavorite: false,
+        createdAt: new Date("2024-01-02T12:00:00.000Z"),
+      }),
+    ];
+  });
+
+  const sectionNames = (groupBy) =>
+    EmailFormatter.buildDigestDocument(bookmarks, { groupBy }).sections.map(
+      (section) => section.name
+    );
+
+  it("デフォルトはコレクション（フォルダ）でグループ化する", () => {
+    expect(EmailFormatter.buildDigestDocument(bookmarks).groupBy).toBe("collection");
+    expect(sectionNames("collection")).toEqual(["Dev", "Dev / Frontend", "読書"]);
+  });
+
+  it("タグでグループ化すると複数タグのブックマークは各グループに含まれる", () => {
+    const document = EmailFormatter.buildDigestDocument(bookmarks, { groupBy: "tag" });
+
+    expect(document.sections.map((section) => section.name)).toEqual([
+      "javascript",
+      "react",
+      "タグなし",
+    ]);
+    expect(document.sections[0].bookmarks.map((bookmark) => bookmark.id)).toEqual([2, 1]);
+    expect(document.bookmarkCount).toBe(3);
+  });
+
+  it("ドメインでグループ化する", () => {
+    expect(sectionNames("domain")).toEqual(["react.dev", "youtube.com"]);
+  });
+
+  it("種別でグループ化する", () => {
+    expect(sectionNames("type")).toEqual(["記事", "リンク", "動画"]);
+  });
+
+  it("作成日でグループ化し新しい日付順に並べる", () => {
+    expect(sectionNames("day")).toEqual(["2024/01/03", "2024/01/02"]);
+  });
+
+  it("未対応のグループ化方法はエラーを投げる", () => {
+    expect(() => sectionNames("color")).toThrow("未対応のグループ化方法です: color");
+  });
+
+  it("generateEmailContentにグループ化方法を渡せる", () => {
+    const result = EmailFormatter.generateEmailContent(bookmarks, { groupBy: "domain" });
+
+    expect(result.body).toContain("h4. react.dev");
+  });
+});
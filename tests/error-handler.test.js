@@ -0,0 +1,94 @@
+/**
+ * エラーハンドラーのテスト
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import {
+  ErrorHandler,
+  AppError,
+  RaindropApiError,
+  SesSendError,
+  ConfigError,
+  ValidationError,
+  ErrorType,
+  ErrorSeverity,
+  ErrorCode
+} from '../src/error-handler.js';
+
+const createHandler = () => new ErrorHandler({ error: vi.fn() });
+
+describe('型付きエラー', () => {
+  test('RaindropApiErrorはHTTPステータスからコードと重要度を決定する', () => {
+    const unauthorized = new RaindropApiError('認証に失敗しました', { status: 401 });
+    expect(unauthorized).toBeInstanceOf(AppError);
+    expect(unauthorized).toMatchObject({
+      name: 'RaindropApiError',
+      type: ErrorType.RAINDROP_API_ERROR,
+      severity: ErrorSeverity.CRITICAL,
+      code: ErrorCode.RAINDROP_UNAUTHORIZED,
+      status: 401
+    });
+
+    expect(new RaindropApiError('x', { status: 503 }).code).toBe(ErrorCode.RAINDROP_SERVER_ERROR);
+    expect(new RaindropApiError('x', { status: 429 }).severity).toBe(ErrorSeverity.MEDIUM);
+    expect(new RaindropApiError('x', { code: ErrorCode.NETWORK_ERROR }).type).toBe(ErrorType.NETWORK_ERROR);
+  });
+
+  test('SesSendErrorはSESのエラー名を保持し、共通のコードに変換する', () => {
+    const error = new SesSendError('送信が一時停止されています', { sesCode: 'AccountSendingPausedException' });
+
+    expect(error.sesCode).toBe('AccountSendingPausedException');
+    expect(error.code).toBe(ErrorCode.SES_SENDING_PAUSED);
+    expect(error.severity).toBe(ErrorSeverity.CRITICAL);
+    expect(new SesSendError('x', { sesCode: 'SomethingNew' }).code).toBe(ErrorCode.SES_SEND_FAILED);
+  });
+
+  test('ConfigErrorとValidationErrorは既定のコードを持つ', () => {
+    expect(new ConfigError('設定が無効です')).toMatchObject({
+      type: ErrorType.CONFIGURATION_ERROR,
+      severity: ErrorSeverity.CRITICAL,
+      code: ErrorCode.CONFIG_INVALID
+    });
+    expect(new ValidationError('検証エラー', { errors: ['id'] })).toMatchObject({
+      type: ErrorType.VALIDATION_ERROR,
+      code: ErrorCode.VALIDATION_FAILED,
+      errors: ['id']
+    });
+  });
+});
+
+describe('ErrorHandler.classifyError', () => {
+  test('メッセージの文言ではなくエラーの型で分類する', () => {
+    const handler = createHandler();
+
+    expect(handler.classifyError(new Error('API設定メールの送信に失敗しました'))).toEqual({
+      type: ErrorType.UNKNOWN_ERROR,
+      severity: ErrorSeverity.MEDIUM,
+      code: ErrorCode.UNKNOWN
+    });
+    expect(handler.classifyError(new SesSendError('x', { sesCode: 'MessageRejected' })).code).toBe(ErrorCode.SES_MESSAGE_REJECTED);
+  });
+
+  test('AWS SDKのエラー名とNode.jsのエラーコードで分類する', () => {
+    const handler = createHandler();
+    const accessDenied = Object.assign(new Error('denied'), { name: 'AccessDenied' });
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+    expect(handler.classifyError(accessDenied)).toMatchObject({ type: ErrorType.CONFIGURATION_ERROR, code: ErrorCode.ACCESS_DENIED });
+    expect(handler.classifyError(reset)).toMatchObject({ type: ErrorType.NETWORK_ERROR, code: ErrorCode.NETWORK_ERROR });
+  });
+
+  test('一時的なエラーのコードは復旧可能と判定する', () => {
+    const handler = createHandler();
+
+    expect(handler.isRecoverable(new RaindropApiError('x', { status: 429 }))).toBe(true);
+    expect(handler.isRecoverable(new RaindropApiError('x', { status: 401 }))).toBe(false);
+  });
+
+  test('エラーレスポンスにエラーコードを含める', () => {
+    const response = createHandler().generateErrorResponse(new ConfigError('x', { code: ErrorCode.CONFIG_MISSING }));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error.code).toBe(ErrorCode.CONFIG_MISSING);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * 失敗通知のテスト
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+// AWS SDK v3とaxiosをモック
+const mockSnsSend = vi.fn();
+const mockSesSend = vi.fn();
+const mockPost = vi.fn();
+
+vi.mock('@aws-sdk/client-sns', () => ({
+  SNSClient: vi.fn().mockImplementation(() => ({ send: mockSnsSend })),
+  PublishCommand: vi.fn().mockImplementation((params) => params)
+}));
+
+vi.mock('@aws-sdk/client-ses', () => ({
+  SESClient: vi.fn().mockImplementation(() => ({ send: mockSesSend })),
+  SendEmailCommand: vi.fn().mockImplementation((params) => params),
+  SendRawEmailCommand: vi.fn().mockImplementation((params) => params),
+  GetSendStatisticsCommand: vi.fn().mockImplementation((params) => params)
+}));
+
+vi.mock('axios', () => ({
+  default: { post: mockPost }
+}));
+
+const {
+  AlertChannel,
+  alertConfigFromEnv,
+  enabledChannels,
+  buildFailureAlert,
+  sendFailureAlert
+} = await import('../src/failure-alert.js');
+const { RaindropApiError, ErrorCode } = await import('../src/error-handler.js');
+
+describe('失敗通知', () => {
+  const error = new RaindropApiError('Raindrop.io APIの認証に失敗しました', {
+    status: 401,
+    code: ErrorCode.RAINDROP_UNAUTHORIZED
+  });
+  const details = {
+    requestId: 'req-123',
+    functionName: 'dropcast-bookmark-mailer',
+    stats: { profile: 'frontend', bookmarkCount: 0, emailSent: false }
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('alertConfigFromEnv', () => {
+    test('環境変数から通知先を取得し、送信元は EMAIL_FROM で補う', () => {
+      const config = alertConfigFromEnv({
+        ALERT_SNS_TOPIC_ARN: 'arn:aws:sns:us-east-1:123456789012:dropcast-alerts',
+        ALERT_EMAIL_TO: 'admin@example.com',
+        EMAIL_FROM: 'sender@example.com',
+        AWS_REGION: 'ap-northeast-1',
+        SES_REGION: 'us-west-2'
+      });
+
+      expect(config).toEqual({
+        snsTopicArn: 'arn:aws:sns:us-east-1:123456789012:dropcast-alerts',
+        emailTo: 'admin@example.com',
+        emailFrom: 'sender@example.com',
+        webhookUrl: null,
+        region: 'ap-northeast-1',
+        sesRegion: 'us-west-2'
+      });
+      expect(enabledChannels(config)).toEqual([AlertChannel.SNS, AlertChannel.EMAIL]);
+    });
+  });
+
+  describe('buildFailureAlert', () => {
+    test('エラー種別・重要度・リクエストID・実行統計を含む', () => {
+      const alert = buildFailureAlert(error, details);
+
+      expect(alert.subject).toBe('[DropCast] Digest failed: RAINDROP_UNAUTHORIZED (CRITICAL)');
+      expect(alert.subject).toMatch(/^[\x20-\x7E]+$/);
+      expect(alert.payload).toMatchObject({
+        type: error.type,
+        code: ErrorCode.RAINDROP_UNAUTHORIZED,
+        severity: 'CRITICAL',
+        requestId: 'req-123',
+        profile: 'frontend',
+        stats: details.stats
+      });
+      expect(alert.text).toContain('リクエストID: req-123');
+      expect(alert.text).toContain('"bookmarkCount": 0');
+    });
+  });
+
+  describe('sendFailureAlert', () => {
+    test('設定済みのすべてのチャネルに通知する', async () => {
+      mockSnsSend.mockResolvedValue({ MessageId: 'sns-1' });
+      mockSesSend.mockResolvedValue({ MessageId: 'ses-1' });
+      mockPost.mockResolvedValue({ status: 200 });
+
+      const results = await sendFailureAlert(error, details, {
+        snsTopicArn: 'arn:aws:sns:us-east-1:123456789012:dropcast-alerts',
+        emailTo: 'admin@example.com',
+        emailFrom: 'sender@example.com',
+        webhookUrl: 'https://hooks.example.com/alert',
+        region: 'us-east-1'
+      });
+
+      expect(results).toEqual([
+        { channel: AlertChannel.SNS, success: true, messageId: 'sns-1' },
+        { channel: AlertChannel.EMAIL, success: true, messageId: 'ses-1' },
+        { channel: AlertChannel.WEBHOOK, success: true, status: 200 }
+      ]);
+
+      expect(mockSnsSend.mock.calls[0][0]).toMatchObject({
+        TopicArn: 'arn:aws:sns:us-east-1:123456789012:dropcast-alerts',
+        Subject: '[DropCast] Digest failed: RAINDROP_UNAUTHORIZED (CRITICAL)',
+        MessageAttributes: { code: { DataType: 'String', StringValue: ErrorCode.RAINDROP_UNAUTHORIZED } }
+      });
+      expect(mockSesSend.mock.calls[0][0].Destination).toEqual({ ToAddresses: ['admin@example.com'] });
+
+      const [url, body] = mockPost.mock.calls[0];
+      expect(url).toBe('https://hooks.example.com/alert');
+      expect(body).toMatchObject({ code: ErrorCode.RAINDROP_UNAUTHORIZED, requestId: 'req-123' });
+      expect(body.text).toContain('DropCast ダイジェストの配信に失敗しました');
+    });
+
+    test('一部のチャネルが失敗しても例外を投げずに結果を返す', async () => {
+      mockSnsSend.mockRejectedValue(new Error('AuthorizationError'));
+      mockPost.mockResolvedValue({ status: 204 });
+
+      const results = await sendFailureAlert(error, details, {
+        snsTopicArn: 'arn:aws:sns:us-east-1:123456789012:dropcast-alerts',
+        emailTo: null,
+        emailFrom: null,
+        webhookUrl: 'https://hooks.example.com/alert',
+        region: 'us-east-1'
+      });
+
+      expect(results).toEqual([
+        { channel: AlertChannel.SNS, success: false, error: 'AuthorizationError' },
+        { channel: AlertChannel.WEBHOOK, success: true, status: 204 }
+      ]);
+    });
+
+    test('通知先が未設定の場合は何もしない', async () => {
+      const results = await sendFailureAlert(error, details, alertConfigFromEnv({}));
+
+      expect(results).toEqual([]);
+      expect(mockSnsSend).not.toHaveBeenCalled();
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * HTTPリトライのテスト
+ */
+
+import { describe, test, expect, vi } from 'vitest';
+import axios from 'axios';
+import {
+  attachRetry,
+  parseRetryAfter,
+  computeBackoff,
+  isRetryableError,
+  retryOptionsFromEnv,
+  DEFAULT_RETRY_OPTIONS,
+  RETRY_DEADLINE
+} from '../src/http-retry.js';
+
+/**
+ * 指定した順にレスポンスを返すaxiosインスタンスを作成
+ * @param {Array<Object>} responses - { status, headers, data } の配列（statusが無い場合はネットワークエラー）
+ * @returns {Object} axiosインスタンスと呼び出し回数
+ */
+function createClient(responses) {
+  const calls = { count: 0 };
+  const client = axios.create({
+    adapter: async (config) => {
+      const next = responses[Math.min(calls.count, responses.length - 1)];
+      calls.count += 1;
+
+      if (!next.status) {
+        throw new axios.AxiosError('socket hang up', 'ECONNRESET', config, {});
+      }
+
+      const response = { status: next.status, statusText: '', headers: next.headers || {}, data: next.data || {}, config };
+      if (next.status >= 400) {
+        throw new axios.AxiosError(`Request failed with status code ${next.status}`, 'ERR_BAD_RESPONSE', config, {}, response);
+      }
+      return response;
+    }
+  });
+
+  return { client, calls };
+}
+
+describe('attachRetry', () => {
+  test('一時的なエラーは成功するまで再試行する', async () => {
+    const { client, calls } = createClient([{ status: 503 }, {}, { status: 200, data: { ok: true } }]);
+    const sleep = vi.fn().mockResolvedValue();
+    const onRetry = vi.fn();
+    attachRetry(client, { sleep, onRetry, random: () => 0.5 });
+
+    const response = await client.get('/raindrops/0');
+
+    expect(response.data).toEqual({ ok: true });
+    expect(calls.count).toBe(3);
+    expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([250, 500]);
+    expect(onRetry).toHaveBeenNthCalledWith(1, { attempt: 1, delayMs: 250, status: 503, url: '/raindrops/0' });
+    expect(onRetry).toHaveBeenNthCalledWith(2, { attempt: 2, delayMs: 500, status: null, url: '/raindrops/0' });
+  });
+
+  test('Retry-Afterヘッダーの待機時間を使用する', async () => {
+    const { client } = createClient([{ status: 429, headers: { 'retry-after': '3' } }, { status: 200 }]);
+    const sleep = vi.fn().mockResolvedValue();
+    attachRetry(client, { sleep });
+
+    await client.get('/user');
+
+    expect(sleep).toHaveBeenCalledWith(3000);
+  });
+
+  test('最大試行回数に達したら最後のエラーを投げる', async () => {
+    const { client, calls } = createClient([{ status: 500 }]);
+    attachRetry(client, { maxAttempts: 3, sleep: vi.fn().mockResolvedValue() });
+
+    await expect(client.get('/user')).rejects.toMatchObject({ response: { status: 500 } });
+    expect(calls.count).toBe(3);
+  });
+
+  test('待機すると時間内に収まらない場合は再試行しない', async () => {
+    const { client, calls } = createClient([{ status: 429, headers: { 'retry-after': '120' } }, { status: 200 }]);
+    const sleep = vi.fn().mockResolvedValue();
+    attachRetry(client, { sleep, timeBudgetMs: 60000 });
+
+    await expect(client.get('/user')).rejects.toMatchObject({ response: { status: 429 } });
+    expect(calls.count).toBe(1);
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  test('サーバーエラーはX-RateLimit-Resetがあっても指数バックオフで待機する', async () => {
+    const reset = String(Math.floor(Date.now() / 1000) + 50);
+    const { client } = createClient([
+      { status: 503, headers: { 'x-ratelimit-reset': reset, 'x-ratelimit-remaining': '119' } },
+      { status: 200 }
+    ]);
+    const sleep = vi.fn().mockResolvedValue();
+    attachRetry(client, { sleep, random: () => 0.5 });
+
+    await client.get('/raindrops/0');
+
+    expect(sleep).toHaveBeenCalledWith(250);
+  });
+
+  test('期限を指定した場合は複数のリクエストで再試行の時間を共有する', async () => {
+    let currentTime = 0;
+    const { client, calls } = createClient([
+      { status: 429, headers: { 'retry-after': '6' } },
+      { status: 200 },
+      { status: 429, headers: { 'retry-after': '6' } },
+      { status: 200 }
+    ]);
+    const sleep = vi.fn(async (ms) => { currentTime += ms; });
+    attachRetry(client, { sleep, now: () => currentTime, timeBudgetMs: 60000 });
+    const deadline = { [RETRY_DEADLINE]: 10000 };
+
+    await client.get('/raindrops/0', deadline);
+    await expect(client.get('/raindrops/0', deadline)).rejects.toMatchObject({ response: { status: 429 } });
+
+    expect(calls.count).toBe(3);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  test('再試行の対象外のステータスは再試行しない', async () => {
+    const { client, calls } = createClient([{ status: 401 }, { status: 200 }]);
+    attachRetry(client, { sleep: vi.fn().mockResolvedValue() });
+
+    await expect(client.get('/user')).rejects.toMatchObject({ response: { status: 401 } });
+    expect(calls.count).toBe(1);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const now = Date.parse('2024-01-01T00:00:00.000Z');
+
+  test('秒数またはHTTP日付のRetry-Afterを解釈する', () => {
+    expect(parseRetryAfter({ 'retry-after': '5' }, now)).toBe(5000);
+    expect(parseRetryAfter({ 'retry-after': 'Mon, 01 Jan 2024 00:00:10 GMT' }, now)).toBe(10000);
+  });
+
+  test('Retry-Afterが無い場合、429または残り回数が0のときはX-RateLimit-Resetを使用する', () => {
+    expect(parseRetryAfter({ 'x-ratelimit-reset': String(now / 1000 + 30) }, now, 429)).toBe(30000);
+    expect(parseRetryAfter({ 'x-ratelimit-reset': String(now / 1000 - 30) }, now, 429)).toBe(0);
+    expect(parseRetryAfter({ 'x-ratelimit-reset': String(now / 1000 + 30), 'x-ratelimit-remaining': '0' }, now, 503)).toBe(30000);
+    expect(parseRetryAfter({ 'x-ratelimit-reset': String(now / 1000 + 30), 'x-ratelimit-remaining': '10' }, now, 503)).toBeNull();
+    expect(parseRetryAfter({}, now, 429)).toBeNull();
+  });
+});
+
+describe('computeBackoff', () => {
+  test('試行回数ごとに上限を倍にし、最大待機時間で打ち止める', () => {
+    const options = { ...DEFAULT_RETRY_OPTIONS, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+    expect(computeBackoff(1, options, () => 0.999)).toBe(999);
+    expect(computeBackoff(3, options, () => 0.5)).toBe(2000);
+    expect(computeBackoff(10, options, () => 0.5)).toBe(2500);
+  });
+});
+
+describe('isRetryableError', () => {
+  test('冪等でないメソッドは再試行しない', () => {
+    expect(isRetryableError({ config: { method: 'post' }, response: { status: 503 } })).toBe(false);
+    expect(isRetryableError({ config: { method: 'get' }, response: { status: 503 } })).toBe(true);
+  });
+});
+
+describe('retryOptionsFromEnv', () => {
+  test('環境変数で最大試行回数と時間を変更できる', () => {
+    expect(retryOptionsFromEnv({ RAINDROP_RETRY_MAX_ATTEMPTS: '2', RAINDROP_RETRY_TIME_BUDGET_MS: '10000' }))
+      .toEqual({ ...DEFAULT_RETRY_OPTIONS, maxAttempts: 2, timeBudgetMs: 10000 });
+    expect(() => retryOptionsFromEnv({ RAINDROP_RETRY_MAX_ATTEMPTS: '0' }))
+      .toThrow('RAINDROP_RETRY_MAX_ATTEMPTS は正の整数である必要があります: 0');
+  });
+});
@@ -14,6 +14,7 @@ const mockSESClient = vi.fn().mockImplementation(() => ({
 vi.mock('@aws-sdk/client-ses', () => ({
   SESClient: mockSESClient,
   SendEmailCommand: vi.fn().mockImplementation((params) => params),
+  SendRawEmailCommand: vi.fn().mockImplementation((params) => ({ raw: true, ...params })),
   GetSendStatisticsCommand: vi.fn().mockImplementation((params) => params)
 }));
 
@@ -22,6 +23,9 @@ const mockAxiosGet = vi.fn();
 const mockAxiosCreate = vi.fn().mockImplementation(() => ({
   get: mockAxiosGet,
   interceptors: {
+    request: {
+      use: vi.fn()
+    },
     response: {
       use: vi.fn()
     }
@@ -34,6 +38,22 @@ vi.mock('axios', () => ({
   }
 }));
 
+const mockSsmSend = vi.fn();
+
+vi.mock('@aws-sdk/client-ssm', () => ({
+  SSMClient: vi.fn().mockImplementation(() => ({ send: mockSsmSend })),
+  GetParametersByPathCommand: vi.fn().mockImplementation((params) => ({ type: 'GetParametersByPath', ...params })),
+  GetParameterCommand: vi.fn().mockImplementation((params) => ({ type: 'GetParameter', ...params })),
+  PutParameterCommand: vi.fn().mockImplementation((params) => ({ type: 'PutParameter', ...params }))
+}));
+
+const mockSnsSend = vi.fn();
+
+vi.mock('@aws-sdk/client-sns', () => ({
+  SNSClient: vi.fn().mockImplementation(() => ({ send: mockSnsSend })),
+  PublishCommand: vi.fn().mockImplementation((params) => params)
+}));
+
 // Lambda関数をインポート（モック後）
 const { handler } = await import('../src/index.js');
 
@@ -404,3 +424,154 @@ describe('Lambda関数統合テスト', () => {
     });
   });
 });
+
+describe('差分配信', () => {
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    // 前のテストで設定した1回限りの応答を残さない
+    mockAxiosGet.mockReset();
+    mockSsmSend.mockReset();
+    Object.assign(process.env, {
+      CONFIG_SOURCE: 'env',
+      RAINDROP_API_TOKEN: 'test-raindrop-token',
+      EMAIL_FROM: 'sender@example.com',
+      EMAIL_TO: 'recipient@example.com',
+      AWS_REGION: 'us-east-1',
+      WATERMARK_STORE: 'ssm',
+      ALERT_SNS_TOPIC_ARN: 'arn:aws:sns:us-east-1:123456789012:dropcast-alerts'
+    });
+    mockSend.mockResolvedValue({ MessageId: 'test-message-id' });
+    mockSnsSend.mockResolvedValue({ MessageId: 'alert-id' });
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  /**
+   * 作成日時の古い順に1分ずつずれたブックマークのページを返すAPIのモック
+   * @param {number} count - 総件数
+   * @param {Array<number>} failedPages - 失敗させるページ
+   */
+  const mockRaindropPages = (count, failedPages = []) => {
+    mockAxiosGet.mockImplementation(async (url, config) => {
+      if (!url.startsWith('/raindrops/')) {
+        return { data: { result: true, items: [] } };
+      }
+      const { page } = config.params;
+      if (failedPages.includes(page)) {
+        throw Object.assign(new Error('Raindrop.ioサーバーエラーです'), { code: 'RAINDROP_SERVER_ERROR' });
+      }
+      const size = Math.max(0, Math.min(50, count - page * 50));
+      return {
+        data: {
+          result: true,
+          items: Array.from({ length: size }, (_, i) => ({
+            _id: page * 50 + i + 1,
+            title: `ブックマーク${page * 50 + i + 1}`,
+            link: `https://example.com/${page * 50 + i + 1}`,
+            collection: { $id: -1 },
+            important: false,
+            created: new Date(Date.UTC(2024, 0, 1) + (page * 50 + i + 1) * 60000).toISOString()
+          })),
+          count
+        }
+      };
+    });
+  };
+
+  test('部分取得では取得できた範囲までウォーターマークを進め、次回は残りのみ配信する', async () => {
+    let saved = '2024-01-01T00:00:00.000Z';
+    mockSsmSend.mockImplementation(async (command) => {
+      if (command.type === 'GetParameter') {
+        return { Parameter: { Value: saved } };
+      }
+      saved = command.Value;
+      return {};
+    });
+
+    // 1回目: 2ページ目（page=1）の取得に失敗
+    mockRaindropPages(150, [1]);
+    const first = JSON.parse((await handler({}, {})).body);
+
+    expect(first.stats.partial.failedPage).toBe(1);
+    expect(first.stats.bookmarkCount).toBe(100);
+    expect(saved).toBe('2024-01-01T00:50:00.000Z');
+
+    // 2回目: すべて取得でき、1回目に配信した範囲は再送しない
+    mockSend.mockClear();
+    mockRaindropPages(150);
+    const second = JSON.parse((await handler({}, {})).body);
+
+    expect(second.stats.partial).toBeNull();
+    expect(second.stats.bookmarkCount).toBe(100);
+    expect(saved).toBe('2024-01-01T02:30:00.000Z');
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  test('個別配信で一部の宛先に失敗した場合もウォーターマークを進め、失敗した宛先を通知する', async () => {
+    process.env.DELIVERY_MODE = 'individual';
+    process.env.EMAIL_TO = 'a@example.com,b@example.com';
+    let saved = '2024-01-01T00:00:00.000Z';
+    mockSsmSend.mockImplementation(async (command) => {
+      if (command.type === 'GetParameter') {
+        return { Parameter: { Value: saved } };
+      }
+      saved = command.Value;
+      return {};
+    });
+    mockRaindropPages(3);
+    const rejected = Object.assign(new Error('Email address is not verified'), { name: 'MessageRejected' });
+    mockSend.mockRejectedValueOnce(rejected).mockResolvedValueOnce({ MessageId: 'id-b' });
+
+    const result = await handler({}, { awsRequestId: 'request-1' });
+    const { stats } = JSON.parse(result.body);
+
+    expect(result.statusCode).toBe(200);
+    expect(saved).toBe('2024-01-01T00:03:00.000Z');
+    expect(stats.failedRecipients).toEqual([expect.objectContaining({ address: 'a@example.com', code: 'MessageRejected' })]);
+    expect(mockSnsSend).toHaveBeenCalledTimes(1);
+    expect(mockSnsSend.mock.calls[0][0].Message).toContain('SES_MESSAGE_REJECTED');
+    expect(mockSnsSend.mock.calls[0][0].Message).toContain('一部の宛先へのメール送信に失敗しました（1/2件）');
+  });
+
+  test('コレクション階層を取得できない場合はパスによるフィルタを適用せずに失敗を通知する', async () => {
+    process.env.EXCLUDE_COLLECTIONS = 'Personal';
+    mockSsmSend.mockResolvedValue({ Parameter: { Value: '2024-01-01T00:00:00.000Z' } });
+    mockAxiosGet.mockImplementation(async (url) => {
+      if (url.startsWith('/collections')) {
+        throw new Error('Raindrop.ioサーバーエラーです');
+      }
+      return {
+        data: {
+          result: true,
+          items: [{ _id: 1, title: '日記', link: 'https://example.com/diary', collection: { $id: 20 }, created: '2024-01-02T00:00:00.000Z' }],
+          count: 1
+        }
+      };
+    });
+
+    const result = await handler({}, { awsRequestId: 'request-1' });
+
+    expect(result.statusCode).toBeGreaterThanOrEqual(500);
+    expect(mockSend).not.toHaveBeenCalled();
+    expect(mockSsmSend.mock.calls.filter(([command]) => command.type === 'PutParameter')).toHaveLength(0);
+    expect(mockSnsSend.mock.calls[0][0].Message).toContain('RAINDROP_COLLECTIONS_UNAVAILABLE');
+  });
+
+  test('ウォーターマークを取得できない場合は失敗を通知する', async () => {
+    const accessDenied = new Error('User is not authorized to perform: ssm:GetParameter');
+    accessDenied.name = 'AccessDeniedException';
+    mockSsmSend.mockRejectedValue(accessDenied);
+
+    const result = await handler({}, { awsRequestId: 'request-1' });
+
+    expect(result.statusCode).toBeGreaterThanOrEqual(500);
+    expect(mockAxiosGet).not.toHaveBeenCalled();
+    expect(mockSnsSend).toHaveBeenCalledTimes(1);
+    expect(mockSnsSend.mock.calls[0][0].TopicArn).toBe('arn:aws:sns:us-east-1:123456789012:dropcast-alerts');
+    expect(mockSnsSend.mock.calls[0][0].Message).toContain('WATERMARK_UNAVAILABLE');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * ロガーのテスト
+ */
+
+import { describe, test, expect, afterEach, vi } from 'vitest';
+import { Logger, REDACTED, redact, redactKeyPatternsFromEnv } from '../src/logger.js';
+
+describe('redact', () => {
+  test('トークン・Authorizationヘッダーの値全体をマスクする', () => {
+    expect(redact({
+      RAINDROP_API_TOKEN: 'secret-token',
+      headers: { Authorization: 'Bearer abc123', 'Content-Type': 'application/json' },
+      nested: [{ apiKey: 'key-1', name: 'DropCast' }]
+    })).toEqual({
+      RAINDROP_API_TOKEN: REDACTED,
+      headers: { Authorization: REDACTED, 'Content-Type': 'application/json' },
+      nested: [{ apiKey: REDACTED, name: 'DropCast' }]
+    });
+  });
+
+  test('文字列中のメールアドレスとBearerトークンをマスクする', () => {
+    expect(redact('送信に失敗しました: alice@example.com, bob.smith@mail.example.co.jp'))
+      .toBe('送信に失敗しました: a***@example.com, b***@mail.example.co.jp');
+    expect(redact('request failed (Authorization: Bearer abc.def-123)'))
+      .toBe(`request failed (Authorization: Bearer ${REDACTED})`);
+  });
+
+  test('循環参照があっても出力できる', () => {
+    const data = { name: 'loop' };
+    data.self = data;
+
+    expect(redact(data)).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+
+  test('LOG_REDACT_KEYS でマスクするキーを追加できる', () => {
+    const patterns = redactKeyPatternsFromEnv({ LOG_REDACT_KEYS: 'webhookUrl, x-session' });
+
+    expect(redact({ webhookUrl: 'https://hooks.example.com/T000/B000', 'X-Session-Id': 'abc', url: 'https://example.com' }, patterns))
+      .toEqual({ webhookUrl: REDACTED, 'X-Session-Id': REDACTED, url: 'https://example.com' });
+  });
+});
+
+describe('Logger', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('CloudWatch Logsに出力する前に秘密情報をマスクする', () => {
+    const spy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const logger = new Logger({ requestId: 'req-1' });
+
+    logger.logExecutionStart({ profile: 'frontend', config: { RAINDROP_API_TOKEN: 'secret-token', EMAIL_TO: 'team@example.com' } });
+
+    const entry = JSON.parse(spy.mock.calls[0][0]);
+    expect(entry.requestId).toBe('req-1');
+    expect(entry.event).toEqual({ profile: 'frontend', config: { RAINDROP_API_TOKEN: REDACTED, EMAIL_TO: 't***@example.com' } });
+    expect(spy.mock.calls[0][0]).not.toContain('secret-token');
+  });
+});
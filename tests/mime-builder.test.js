@@ -0,0 +1,121 @@
+/**
+ * MIMEメッセージビルダーのテスト
+ */
+
+import { describe, test, expect } from 'vitest';
+import { buildMimeMessage, encodeHeaderValue, encodeAddress } from '../src/mime-builder.js';
+
+/**
+ * RFC 2047形式のヘッダー値をデコード
+ * @param {string} value - エンコード済みヘッダー値
+ * @returns {string} デコード結果
+ */
+function decodeHeaderValue(value) {
+  return value
+    .split('\r\n ')
+    .map(word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64').toString('utf8'))
+    .join('');
+}
+
+describe('encodeHeaderValue', () => {
+  test('ASCIIのみの値はそのまま返す', () => {
+    expect(encodeHeaderValue('Weekly digest')).toBe('Weekly digest');
+  });
+
+  test('日本語をUTF-8 Base64のエンコード済みワードにする', () => {
+    const encoded = encodeHeaderValue('週次ブックマークダイジェスト');
+
+    expect(encoded).toMatch(/^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+    expect(decodeHeaderValue(encoded)).toBe('週次ブックマークダイジェスト');
+  });
+
+  test('長い値は75文字以内のワードに分割し、文字の途中で分割しない', () => {
+    const subject = '週次ブックマークダイジェスト - 2024/01/11 🔖 生成AIとTypeScriptの最新記事まとめ';
+    const encoded = encodeHeaderValue(subject);
+    const words = encoded.split('\r\n ');
+
+    expect(words.length).toBeGreaterThan(1);
+    expect(words.every(word => word.length <= 75)).toBe(true);
+    expect(decodeHeaderValue(encoded)).toBe(subject);
+  });
+
+  test('改行はヘッダーインジェクションを防ぐため空白に置き換える', () => {
+    expect(encodeHeaderValue('a\r\nBcc: x@example.com')).toBe('a Bcc: x@example.com');
+  });
+});
+
+describe('encodeAddress', () => {
+  test('表示名のみをエンコードする', () => {
+    expect(encodeAddress('山田 <yamada@example.com>')).toBe(`${encodeHeaderValue('山田')} <yamada@example.com>`);
+    expect(encodeAddress('yamada@example.com')).toBe('yamada@example.com');
+  });
+});
+
+describe('buildMimeMessage', () => {
+  let boundaryCount;
+  const base = () => {
+    boundaryCount = 0;
+    return {
+      from: 'sender@example.com',
+      to: ['a@example.com', 'b@example.com'],
+      subject: '件名',
+      text: 'テキスト本文',
+      date: new Date('2024-01-11T00:00:00.000Z'),
+      boundaryFactory: () => `BOUNDARY${++boundaryCount}`
+    };
+  };
+
+  test('テキストのみの場合はtext/plainの単一パートにする', () => {
+    const message = buildMimeMessage(base());
+
+    expect(message).toContain('To: a@example.com, b@example.com\r\n');
+    expect(message).toContain(`Subject: ${encodeHeaderValue('件名')}\r\n`);
+    expect(message).toContain('MIME-Version: 1.0\r\nContent-Type: text/plain; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n');
+    expect(message).toContain(Buffer.from('テキスト本文').toString('base64'));
+    expect(message).not.toContain('multipart');
+  });
+
+  test('HTMLがある場合はmultipart/alternativeにする', () => {
+    const message = buildMimeMessage({ ...base(), html: '<p>HTML本文</p>' });
+
+    expect(message).toContain('Content-Type: multipart/alternative; boundary="BOUNDARY1"');
+    expect(message.indexOf('text/plain')).toBeLessThan(message.indexOf('text/html'));
+    expect(message).toContain('--BOUNDARY1--');
+  });
+
+  test('添付ファイルがある場合はmultipart/mixedにする', () => {
+    const message = buildMimeMessage({
+      ...base(),
+      cc: ['c@example.com'],
+      replyTo: ['reply@example.com'],
+      html: '<p>HTML</p>',
+      attachments: [
+        { filename: 'digest.csv', content: 'id,title\r\n1,a\r\n', contentType: 'text/csv; charset=UTF-8' },
+        { filename: 'ダイジェスト.md', content: Buffer.from('# 見出し'), contentType: 'text/markdown; charset=UTF-8' }
+      ]
+    });
+
+    expect(message).toContain('Cc: c@example.com\r\n');
+    expect(message).toContain('Reply-To: reply@example.com\r\n');
+    expect(message).not.toContain('Bcc:');
+    expect(message).toContain('Content-Type: multipart/mixed; boundary="BOUNDARY2"');
+    expect(message).toContain('--BOUNDARY2\r\nContent-Type: multipart/alternative; boundary="BOUNDARY1"');
+    expect(message).toContain('Content-Disposition: attachment; filename="digest.csv"');
+    expect(message).toContain("Content-Disposition: attachment; filename*=UTF-8''%E3%83%80%E3%82%A4%E3%82%B8%E3%82%A7%E3%82%B9%E3%83%88.md");
+    expect(message).toContain(Buffer.from('# 見出し').toString('base64'));
+    expect(message.trimEnd().endsWith('--BOUNDARY2--')).toBe(true);
+  });
+
+  test('Base64の本文は76文字ごとに改行する', () => {
+    const message = buildMimeMessage({ ...base(), text: 'あ'.repeat(200) });
+    const bodyLines = message.split('\r\n\r\n')[1].split('\r\n');
+
+    expect(bodyLines.length).toBeGreaterThan(1);
+    expect(bodyLines.every(line => line.length <= 76)).toBe(true);
+  });
+
+  test('ファイル名の無い添付ファイルはエラーを投げる', () => {
+    expect(() => buildMimeMessage({ ...base(), attachments: [{ content: 'x' }] }))
+      .toThrow('添付ファイルにはファイル名が必要です');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * 出力フォーマットレジストリのテスト
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    OutputFormat,
+    registerOutputFormat,
+    getOutputFormat,
+    hasOutputFormat,
+    listOutputFormats
+} from '../src/output-formats.js';
+import { EmailFormatter } from '../src/email-formatter.js';
+import { BookmarkModel } from '../src/bookmark-model.js';
+
+describe('出力フォーマットレジストリ', () => {
+    let bookmarks;
+
+    beforeEach(() => {
+        bookmarks = [
+            new BookmarkModel({
+                id: 1,
+                title: 'Serena [入門]',
+                url: 'https://example.com/serena',
+                folder: '生成AI',
+                isFavorite: true,
+                createdAt: new Date('2024-01-01T11:00:00.000Z')
+            }),
+            new BookmarkModel({
+                id: 2,
+                title: 'TypeScript最新機能',
+                url: 'https://example.com/typescript',
+                folder: 'コーディング',
+                isFavorite: false,
+                createdAt: new Date('2024-01-01T09:00:00.000Z')
+            })
+        ];
+    });
+
+    describe('組み込みフォーマット', () => {
+        it('5種類の組み込みフォーマットが登録されている', () => {
+            expect(listOutputFormats()).toEqual(expect.arrayContaining([
+                'textile', 'markdown', 'plaintext', 'html', 'json'
+            ]));
+        });
+
+        it('textileはRedmine形式で描画する', () => {
+            const result = EmailFormatter.render(bookmarks, { format: OutputFormat.TEXTILE });
+
+            expect(result).toContain('h4. 生成AI');
+            expect(result).toContain('* "Serena [入門]":https://example.com/serena %{color: red}★%');
+        });
+
+        it('markdownは見出しとリンク記法で描画する', () => {
+            const result = EmailFormatter.render(bookmarks, { format: OutputFormat.MARKDOWN });
+
+            expect(result).toContain('## 今週のブックマークダイジェスト');
+            expect(result).toContain('### 生成AI');
+            expect(result).toContain('- [Serena \\[入門\\]](<https://example.com/serena>) ★');
+            expect(result).toContain('- [TypeScript最新機能](<https://example.com/typescript>)');
+        });
+
+        it('plaintextはマークアップ無しで描画する', () => {
+            const result = EmailFormatter.render(bookmarks, { format: OutputFormat.PLAINTEXT });
+
+            expect(result).toContain('■ 生成AI (1件)\n- Serena [入門] ★\n  https://example.com/serena');
+            expect(result).not.toContain('h4.');
+            expect(result).not.toContain('<');
+        });
+
+        it('htmlはエスケープ済みHTMLで描画する', () => {
+            const result = EmailFormatter.render(bookmarks, { format: OutputFormat.HTML });
+
+            expect(result).toContain('<!DOCTYPE html>');
+            expect(result).toContain('>生成AI <span');
+        });
+
+        it('jsonはフォルダ別セクションを含むJSONで描画する', () => {
+            const result = JSON.parse(EmailFormatter.render(bookmarks, {
+                format: OutputFormat.JSON,
+                dateRange: '2024/01/01 - 2024/01/07'
+            }));
+
+            expect(result.bookmarkCount).toBe(2);
+            expect(result.dateRange).toBe('2024/01/01 - 2024/01/07');
+            expect(result.sections.map(section => section.name)).toEqual(['コーディング', '生成AI']);
+            expect(result.sections[1].bookmarks[0]).toMatchObject({
+                id: 1,
+                title: 'Serena [入門]',
+                isFavorite: true
+            });
+        });
+
+        it('空データの場合は各フォーマットで空データメッセージを描画する', () => {
+            for (const format of ['textile', 'markdown', 'plaintext', 'html']) {
+                const result = EmailFormatter.render([], { format });
+                expect(result).toContain('今週は新しいブックマークがありませんでした。');
+            }
+        });
+
+        it('部分的な結果の場合は各フォーマットで注意書きを描画する', () => {
+            const notice = '一部のブックマークを取得できませんでした。';
+
+            expect(EmailFormatter.render(bookmarks, { format: 'textile', partial: true })).toContain(`%{color: red}${notice}`);
+            expect(EmailFormatter.render(bookmarks, { format: 'markdown', partial: true })).toContain(`> **注意:** ${notice}`);
+            expect(EmailFormatter.render(bookmarks, { format: 'plaintext', partial: true })).toContain(`※ ${notice}`);
+            expect(EmailFormatter.render(bookmarks, { format: 'html', partial: true })).toContain(notice);
+            expect(JSON.parse(EmailFormatter.render(bookmarks, { format: 'json', partial: true })).notice).toContain(notice);
+            expect(EmailFormatter.render([], { format: 'plaintext', partial: true })).toContain(notice);
+        });
+    });
+
+    describe('カスタムフォーマット', () => {
+        it('独自のレンダラーを登録して使用できる', () => {
+            registerOutputFormat('count-only', {
+                render: (document) => `${document.title}: ${document.bookmarkCount}`
+            });
+
+            expect(hasOutputFormat('count-only')).toBe(true);
+            expect(getOutputFormat('count-only').contentType).toBe('text/plain');
+            expect(EmailFormatter.render(bookmarks, { format: 'count-only' }))
+                .toBe('今週のブックマークダイジェスト: 2');
+        });
+
+        it('render関数が無い場合はエラーを投げる', () => {
+            expect(() => registerOutputFormat('broken', {}))
+                .toThrow('出力フォーマット "broken" には render 関数が必要です');
+        });
+
+        it('未登録のフォーマットを指定するとエラーを投げる', () => {
+            expect(() => EmailFormatter.render(bookmarks, { format: 'unknown' }))
+                .toThrow('未登録の出力フォーマットです: unknown');
+        });
+    });
+
+    describe('generateEmailContent', () => {
+        it('部分的な結果の場合は本文と代替パートの両方に注意書きを表示する', () => {
+            const result = EmailFormatter.generateEmailContent(bookmarks, { format: 'textile', partial: true });
+
+            expect(result.partial).toBe(true);
+            expect(result.body).toContain('一部のブックマークを取得できませんでした');
+            expect(result.htmlBody).toContain('一部のブックマークを取得できませんでした');
+        });
+
+        it('textileの場合はHTML版を代替パートとして付与する', () => {
+            const result = EmailFormatter.generateEmailContent(bookmarks, { format: 'textile' });
+
+            expect(result.format).toBe('textile');
+            expect(result.body).toContain('h4. 生成AI');
+            expect(result.htmlBody).toContain('<!DOCTYPE html>');
+        });
+
+        it('htmlの場合はプレーンテキスト版を本文とする', () => {
+            const result = EmailFormatter.generateEmailContent(bookmarks, { format: 'html' });
+
+            expect(result.htmlBody).toContain('<!DOCTYPE html>');
+            expect(result.body).toContain('■ 生成AI');
+        });
+
+        it('jsonの場合はHTML版を付与しない', () => {
+            const result = EmailFormatter.generateEmailContent(bookmarks, { format: 'json' });
+
+            expect(JSON.parse(result.body).bookmarkCount).toBe(2);
+            expect(result.htmlBody).toBeNull();
+        });
+    });
+
+    describe('コレクション階層', () => {
+        const bookmarkIn = (id, collectionPath, title = `ブックマーク${id}`) => new BookmarkModel({
+            id,
+            title,
+            url: `https://example.com/${id}`,
+            folder: collectionPath.join(' / '),
+            collectionPath,
+            isFavorite: false,
+            createdAt: new Date(`2024-01-0${id}T00:00:00.000Z`)
+        });
+
+        let nested;
+
+        beforeEach(() => {
+            nested = [
+                bookmarkIn(1, ['Dev']),
+                bookmarkIn(2, ['Dev', 'Frontend', 'React']),
+                bookmarkIn(3, ['Dev', 'Backend']),
+                bookmarkIn(4, ['Dev', 'Backend']),
+                bookmarkIn(5, ['アーカイブ', '2023', '読書'])
+            ];
+        });
+
+        it('親→子の順にセクションを並べ、深さと配下を含む件数を持つ', () => {
+            const { sections } = EmailFormatter.buildDigestDocument(nested);
+
+            expect(sections.map(({ name, depth, count }) => ({ name, depth, count }))).toEqual([
+                { name: 'Dev', depth: 0, count: 4 },
+                { name: 'Backend', depth: 1, count: 2 },
+                { name: 'Frontend / React', depth: 1, count: 1 },
+                { name: 'アーカイブ / 2023 / 読書', depth: 0, count: 1 }
+            ]);
+            expect(sections[2].path).toEqual(['Dev', 'Frontend', 'React']);
+        });
+
+        it('ブックマークの無い中間コレクションでも子が複数あれば見出しを残す', () => {
+            const { sections } = EmailFormatter.buildDigestDocument(nested.slice(1));
+
+            expect(sections[0]).toMatchObject({ name: 'Dev', depth: 0, count: 3, bookmarks: [] });
+            expect(sections.map(section => section.name)).toEqual([
+                'Dev', 'Backend', 'Frontend / React', 'アーカイブ / 2023 / 読書'
+            ]);
+        });
+
+        it('textileは深さに応じて見出しレベルを下げる', () => {
+            const result = EmailFormatter.render(nested, { format: OutputFormat.TEXTILE });
+
+            expect(result).toContain('h4. Dev (4件)\n* "ブックマーク1":https://example.com/1');
+            expect(result).toContain('h5. Backend (2件)');
+            expect(result).toContain('h5. Frontend / React (1件)');
+            expect(result).toContain('h4. アーカイブ / 2023 / 読書 (1件)');
+        });
+
+        it('markdownは深さに応じて見出しレベルを下げる', () => {
+            const result = EmailFormatter.render(nested, { format: OutputFormat.MARKDOWN });
+
+            expect(result).toContain('### Dev (4件)');
+            expect(result).toContain('#### Backend (2件)');
+        });
+
+        it('plaintextは深さに応じて字下げする', () => {
+            const result = EmailFormatter.render(nested, { format: OutputFormat.PLAINTEXT });
+
+            expect(result).toContain('  ■ Backend (2件)\n  - ブックマーク4\n    https://example.com/4');
+        });
+
+        it('htmlは深さに応じて見出しレベルと余白を変える', () => {
+            const result = EmailFormatter.render(nested.slice(1), { format: OutputFormat.HTML });
+
+            expect(result).toMatch(/<h4 [^>]*>Dev <span[^>]*>\(3件\)<\/span><\/h4>/);
+            expect(result).toMatch(/<h5 style="[^"]*margin-left: 16px;">Backend /);
+            expect(result.match(/<ul /g)).toHaveLength(3);
+        });
+
+        it('jsonはセクションの階層情報を含む', () => {
+            const result = JSON.parse(EmailFormatter.render(nested, { format: OutputFormat.JSON }));
+
+            expect(result.sections[1]).toMatchObject({
+                name: 'Backend',
+                path: ['Dev', 'Backend'],
+                depth: 1,
+                count: 2
+            });
+        });
+
+        it('コレクション以外のグループ化では階層を持たない', () => {
+            const { sections } = EmailFormatter.buildDigestDocument(nested, { groupBy: 'domain' });
+
+            expect(sections).toEqual([
+                expect.objectContaining({ name: 'example.com', depth: 0, count: 5 })
+            ]);
+        });
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Parameter Storeヘルパーのテスト
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+// AWS SDK v3をモック
+const mockSend = vi.fn();
+
+vi.mock('@aws-sdk/client-ssm', () => ({
+  SSMClient: vi.fn().mockImplementation(() => ({
+    send: mockSend
+  })),
+  GetParametersByPathCommand: vi.fn().mockImplementation((params) => ({ type: 'GetParametersByPath', ...params }))
+}));
+
+const {
+  ParameterStore,
+  validateProfileName,
+  getEnvConfig,
+  clearParameterCache,
+  cacheTtlFromEnv,
+  flattenParameterTree
+} = await import('../src/parameter-store.js');
+
+/**
+ * パスごとのパラメータを返すようにモック
+ * @param {Object} tree - パス → { キー: 値 }
+ */
+function mockParameterTree(tree) {
+  mockSend.mockImplementation(async (command) => ({
+    Parameters: Object.entries(tree[command.Path] || {}).map(([key, value]) => ({
+      Name: `${command.Path}/${key}`,
+      Value: value
+    }))
+  }));
+}
+
+describe('ParameterStore のリージョン', () => {
+  afterEach(() => {
+    delete process.env.SSM_REGION;
+    delete process.env.AWS_REGION;
+  });
+
+  test('未指定の場合は SSM_REGION、AWS_REGION の順に参照する', () => {
+    process.env.AWS_REGION = 'ap-northeast-1';
+    expect(new ParameterStore().region).toBe('ap-northeast-1');
+
+    process.env.SSM_REGION = 'eu-west-1';
+    expect(new ParameterStore().region).toBe('eu-west-1');
+  });
+});
+
+describe('ParameterStore.getDropCastConfig', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clearParameterCache();
+    store = new ParameterStore('ap-northeast-1');
+    mockParameterTree({
+      '/dropcast/config': {
+        'raindrop-api-token': 'shared-token',
+        'email-from': 'dropcast@example.com',
+        'email-to': 'all@example.com'
+      },
+      '/dropcast/profiles/frontend': {
+        'email-to': 'frontend@example.com',
+        'output-format': 'markdown',
+        'include-tags': 'react'
+      }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.PARAMETER_STORE_PROFILES_PATH;
+  });
+
+  test('プロファイル未指定の場合は共通設定を返す', async () => {
+    const config = await store.getDropCastConfig();
+
+    expect(config.EMAIL_TO).toBe('all@example.com');
+    expect(config.OUTPUT_FORMAT).toBeUndefined();
+    expect(mockSend).toHaveBeenCalledTimes(1);
+  });
+
+  test('プロファイルの値で共通設定を上書きする', async () => {
+    const config = await store.getDropCastConfig('frontend');
+
+    expect(config.RAINDROP_API_TOKEN).toBe('shared-token');
+    expect(config.EMAIL_FROM).toBe('dropcast@example.com');
+    expect(config.EMAIL_TO).toBe('frontend@example.com');
+    expect(config.OUTPUT_FORMAT).toBe('markdown');
+    expect(config.FILTERS.includeTags).toBe('react');
+    expect(mockSend).toHaveBeenLastCalledWith(expect.objectContaining({
+      Path: '/dropcast/profiles/frontend',
+      Recursive: true
+    }));
+  });
+
+  test('PARAMETER_STORE_PROFILES_PATHでプロファイルの階層を変更できる', async () => {
+    process.env.PARAMETER_STORE_PROFILES_PATH = '/custom/profiles';
+
+    await expect(store.getDropCastConfig('frontend'))
+      .rejects.toThrow('プロファイルが見つかりません: frontend（/custom/profiles/frontend）');
+  });
+
+  test('filters 配下のパラメータをフィルタ設定として読み込み、対応しないキーは残す', async () => {
+    mockParameterTree({
+      '/dropcast/config': {
+        'raindrop-api-token': 'shared-token',
+        'filters/include-tags': 'react',
+        'filters/exclude-tag': 'draft',
+        'team-a/email-to': 'a@example.com'
+      },
+      '/dropcast/profiles/frontend': { 'filters/include-tags': 'typescript' }
+    });
+
+    const config = await store.getDropCastConfig('frontend');
+
+    expect(config.FILTERS.includeTags).toBe('typescript');
+    expect(config['filters/exclude-tag']).toBe('draft');
+    expect(config['team-a/email-to']).toBe('a@example.com');
+  });
+
+  test('存在しないプロファイルはエラーを投げる', async () => {
+    await expect(store.getDropCastConfig('infra'))
+      .rejects.toThrow('プロファイルが見つかりません: infra（/dropcast/profiles/infra）');
+  });
+});
+
+describe('ParameterStore.getParametersByPath', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clearParameterCache();
+  });
+
+  test('NextTokenを辿ってすべてのページを取得する', async () => {
+    const pages = {
+      undefined: { Parameters: [{ Name: '/dropcast/config/email-to', Value: 'all@example.com' }], NextToken: 'page-2' },
+      'page-2': { Parameters: [{ Name: '/dropcast/config/email-from', Value: 'dropcast@example.com' }], NextToken: 'page-3' },
+      'page-3': { Parameters: [{ Name: '/dropcast/config/output-format', Value: 'html' }] }
+    };
+    mockSend.mockImplementation(async (command) => pages[command.NextToken]);
+
+    const parameters = await new ParameterStore('ap-northeast-1').getParametersByPath('/dropcast/config');
+
+    expect(parameters).toEqual({
+      'email-to': 'all@example.com',
+      'email-from': 'dropcast@example.com',
+      'output-format': 'html'
+    });
+    expect(mockSend).toHaveBeenCalledTimes(3);
+    expect(mockSend).toHaveBeenLastCalledWith(expect.objectContaining({ NextToken: 'page-3' }));
+  });
+
+  test('入れ子のパスは衝突させずに木構造で返す', async () => {
+    mockParameterTree({
+      '/dropcast/config': {
+        'email-to': 'all@example.com',
+        'team-a/email-to': 'a@example.com',
+        'team-b/email-to': 'b@example.com'
+      }
+    });
+
+    const parameters = await new ParameterStore('ap-northeast-1').getParametersByPath('/dropcast/config');
+
+    expect(parameters).toEqual({
+      'email-to': 'all@example.com',
+      'team-a': { 'email-to': 'a@example.com' },
+      'team-b': { 'email-to': 'b@example.com' }
+    });
+  });
+
+  test('キャッシュ期間内は同じパスを再取得しない', async () => {
+    let now = 0;
+    mockParameterTree({ '/dropcast/config': { 'email-to': 'all@example.com' } });
+    const store = new ParameterStore('ap-northeast-1', { cacheTtlMs: 1000, now: () => now });
+
+    await store.getParametersByPath('/dropcast/config');
+    now = 999;
+    const cached = await new ParameterStore('ap-northeast-1', { cacheTtlMs: 1000, now: () => now })
+      .getParametersByPath('/dropcast/config');
+    expect(cached).toEqual({ 'email-to': 'all@example.com' });
+    expect(mockSend).toHaveBeenCalledTimes(1);
+
+    now = 1000;
+    await store.getParametersByPath('/dropcast/config');
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  test('キャッシュ期間は PARAMETER_STORE_CACHE_TTL_SECONDS で変更できる', () => {
+    expect(cacheTtlFromEnv({})).toBe(300000);
+    expect(cacheTtlFromEnv({ PARAMETER_STORE_CACHE_TTL_SECONDS: '0' })).toBe(0);
+    expect(() => cacheTtlFromEnv({ PARAMETER_STORE_CACHE_TTL_SECONDS: '-1' }))
+      .toThrow('PARAMETER_STORE_CACHE_TTL_SECONDS は0以上の整数である必要があります');
+  });
+});
+
+describe('validateProfileName', () => {
+  test('英数字と . _ - のみを許可する', () => {
+    expect(validateProfileName('team-a_1.0')).toBe('team-a_1.0');
+    expect(() => validateProfileName('../config')).toThrow('プロファイル名が無効です: ../config');
+    expect(() => validateProfileName('')).toThrow('プロファイル名が無効です');
+  });
+});
+
+describe('flattenParameterTree', () => {
+  test('同じ設定項目が直下と filters 配下の両方にある場合はエラーを投げる', () => {
+    expect(flattenParameterTree({ 'email-to': 'all@example.com', filters: { 'favorites-only': 'true' } }))
+      .toEqual({ 'email-to': 'all@example.com', 'favorites-only': 'true' });
+    expect(() => flattenParameterTree({ 'include-tags': 'react', filters: { 'include-tags': 'vue' } }))
+      .toThrow('同じ設定項目が複数のパラメータに登録されています: include-tags, filters/include-tags');
+  });
+});
+
+describe('getEnvConfig', () => {
+  test('パラメータのキーに対応する環境変数から設定を作成する', () => {
+    const config = getEnvConfig({
+      RAINDROP_API_TOKEN: 'env-token',
+      EMAIL_TO: 'env@example.com',
+      OUTPUT_FORMAT: 'html',
+      FAVORITES_ONLY: 'true'
+    });
+
+    expect(config.RAINDROP_API_TOKEN).toBe('env-token');
+    expect(config.EMAIL_TO).toBe('env@example.com');
+    expect(config.EMAIL_FROM).toBeUndefined();
+    expect(config.OUTPUT_FORMAT).toBe('html');
+    expect(config.FILTERS.favoritesOnly).toBe('true');
+  });
+});
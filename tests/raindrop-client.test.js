@@ -12,8 +12,10 @@ vi.mock('axios', () => ({
   }
 }));
 
-const { default: RaindropClient } = await import('../src/raindrop-client.js');
+const { default: RaindropClient, pageConcurrencyFromEnv } = await import('../src/raindrop-client.js');
+const { RETRY_DEADLINE } = await import('../src/http-retry.js');
 const axios = await import('axios');
+const { createFilterRules, applyFilters } = await import('../src/bookmark-filter.js');
 
 describe('RaindropClient', () => {
   let client;
@@ -27,6 +29,9 @@ describe('RaindropClient', () => {
     const mockAxiosInstance = {
       get: vi.fn(),
       interceptors: {
+        request: {
+          use: vi.fn()
+        },
         response: {
           use: vi.fn()
         }
@@ -127,6 +132,7 @@ describe('RaindropClient', () => {
       });
 
       expect(client.client.get).toHaveBeenCalledWith('/raindrops/0', {
+        [RETRY_DEADLINE]: expect.any(Number),
         params: expect.objectContaining({
           perpage: 50,
           page: 0,
@@ -144,8 +150,10 @@ describe('RaindropClient', () => {
       await client.getRecentBookmarks(fromDate, toDate);
 
       expect(client.client.get).toHaveBeenCalledWith('/raindrops/0', {
+        [RETRY_DEADLINE]: expect.any(Number),
         params: {
           created: '2024-01-01T00:00:00.000Z..2024-01-07T00:00:00.000Z',
+          sort: 'created',
           perpage: 50,
           page: 0
         }
@@ -243,6 +251,170 @@ describe('RaindropClient', () => {
     });
   });
 
+  describe('fetchRecentBookmarks（部分取得）', () => {
+    const pageResponse = (start, size, count) => ({
+      data: {
+        result: true,
+        items: Array(size).fill().map((_, i) => ({
+          _id: start + i + 1,
+          title: `テストブックマーク${start + i}`,
+          link: `https://example.com/${start + i}`,
+          collection: { $id: -1 },
+          important: false,
+          // 古い順に1分ずつずらす
+          created: new Date(Date.UTC(2024, 0, 1) + (start + i) * 60000).toISOString()
+        })),
+        count
+      }
+    });
+
+    test('途中のページで失敗した場合は取得済みの分を部分的な結果として返す', async () => {
+      const serverError = Object.assign(new Error('Raindrop.ioサーバーエラーです'), { code: 'RAINDROP_SERVER_ERROR' });
+      client.client.get
+        .mockResolvedValueOnce(pageResponse(0, 50, 150))
+        .mockResolvedValueOnce(pageResponse(50, 50, 150))
+        .mockRejectedValueOnce(serverError);
+
+      const result = await client.fetchRecentBookmarks(new Date('2024-01-01'), new Date('2024-01-07'));
+
+      expect(result.partial).toBe(true);
+      expect(result.bookmarks).toHaveLength(100);
+      expect(result.failure).toEqual({
+        page: 2,
+        pages: [2],
+        code: 'RAINDROP_SERVER_ERROR',
+        message: 'Raindrop.ioサーバーエラーです',
+        completeUntil: '2024-01-01T01:39:00.000Z'
+      });
+    });
+
+    test('失敗したページより後のページは欠けの無い範囲に含めない', async () => {
+      const serverError = Object.assign(new Error('Raindrop.ioサーバーエラーです'), { code: 'RAINDROP_SERVER_ERROR' });
+      client.client.get.mockImplementation(async (_url, { params }) => {
+        if (params.page === 1) {
+          throw serverError;
+        }
+        return pageResponse(params.page * 50, 50, 150);
+      });
+
+      const result = await client.fetchRecentBookmarks(new Date('2024-01-01'), new Date('2024-01-07'));
+
+      expect(result.bookmarks).toHaveLength(100);
+      expect(result.failure.page).toBe(1);
+      expect(result.failure.completeUntil).toBe('2024-01-01T00:49:00.000Z');
+    });
+
+    test('すべてのページを取得できた場合は部分的な結果としない', async () => {
+      client.client.get.mockResolvedValueOnce(pageResponse(0, 10, 10));
+
+      const result = await client.fetchRecentBookmarks();
+
+      expect(result.partial).toBe(false);
+      expect(result.failure).toBeNull();
+      expect(result.bookmarks).toHaveLength(10);
+    });
+
+    test('1ページ目で失敗した場合はエラーを投げる', async () => {
+      client.client.get.mockRejectedValueOnce(new Error('認証に失敗しました'));
+
+      await expect(client.fetchRecentBookmarks()).rejects.toThrow('認証に失敗しました');
+    });
+
+    test('getRecentBookmarksは途中のページで失敗した場合もエラーを投げる', async () => {
+      client.client.get
+        .mockResolvedValueOnce(pageResponse(0, 50, 100))
+        .mockRejectedValueOnce(new Error('タイムアウト'));
+
+      await expect(client.getRecentBookmarks()).rejects.toThrow('タイムアウト');
+    });
+  });
+
+  describe('fetchRecentBookmarks（ページの計画と並行取得）', () => {
+    const item = (id) => ({
+      _id: id,
+      title: `テストブックマーク${id}`,
+      link: `https://example.com/${id}`,
+      collection: { $id: -1 },
+      created: '2024-01-01T00:00:00.000Z'
+    });
+
+    // ページ番号ごとのレスポンスを返す（コレクション取得は空）
+    const mockPages = (count, itemsOf) => {
+      client.client.get.mockImplementation(async (path, config) => {
+        if (path.startsWith('/collections')) {
+          return { data: { items: [] } };
+        }
+        return { data: { items: itemsOf(config.params.page), count } };
+      });
+    };
+
+    const pageRange = (page) => Array.from({ length: 50 }, (_, i) => item(page * 50 + i + 1));
+
+    const bookmarkCalls = () => client.client.get.mock.calls.filter(([path]) => path.startsWith('/raindrops'));
+
+    test('無効な項目で件数が減っても1ページ目の count から全ページを取得する', async () => {
+      mockPages(120, (page) => {
+        const items = page < 2 ? pageRange(page) : pageRange(page).slice(0, 20);
+        // 1ページ目の1件はURLが無く検証で除外される
+        return page === 0 ? [{ ...items[0], link: undefined }, ...items.slice(1)] : items;
+      });
+
+      const result = await client.fetchRecentBookmarks(new Date('2024-01-01'), new Date('2024-01-07'));
+
+      expect(bookmarkCalls().map(([, config]) => config.params.page)).toEqual([0, 1, 2]);
+      expect(result.bookmarks).toHaveLength(119);
+      expect(result.truncated).toBeNull();
+    });
+
+    test('2ページ目以降は同時実行数を制限して並行取得する', async () => {
+      const concurrentClient = new RaindropClient(mockApiToken, { pageConcurrency: 2 });
+      let active = 0;
+      let maxActive = 0;
+
+      concurrentClient.client.get.mockImplementation(async (path, config) => {
+        if (path.startsWith('/collections')) {
+          return { data: { items: [] } };
+        }
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return { data: { items: pageRange(config.params.page), count: 300 } };
+      });
+
+      const result = await concurrentClient.fetchRecentBookmarks();
+
+      expect(result.bookmarks).toHaveLength(300);
+      expect(maxActive).toBe(2);
+    });
+
+    test('ページ間で重複したブックマークを _id で除外する', async () => {
+      // 取得中に先頭へ1件追加され、1ページ目の最後の項目が2ページ目にも現れた場合
+      mockPages(100, (page) => page === 0 ? pageRange(0) : [item(50), ...pageRange(1).slice(0, 49)]);
+
+      const result = await client.fetchRecentBookmarks();
+
+      expect(result.bookmarks).toHaveLength(99);
+      expect(new Set(result.bookmarks.map(bookmark => bookmark.id)).size).toBe(99);
+    });
+
+    test('最大ページ数を超える場合は上限まで取得して打ち切りの情報を返す', async () => {
+      const cappedClient = new RaindropClient(mockApiToken, { maxPages: 2 });
+      mockPages(500, pageRange);
+
+      const result = await cappedClient.fetchRecentBookmarks();
+
+      expect(result.bookmarks).toHaveLength(100);
+      expect(result.truncated).toEqual({ totalCount: 500, totalPages: 10, fetchedPages: 2, maxPages: 2 });
+    });
+
+    test('並行数は RAINDROP_PAGE_CONCURRENCY で変更できる', () => {
+      expect(pageConcurrencyFromEnv({})).toBe(4);
+      expect(pageConcurrencyFromEnv({ RAINDROP_PAGE_CONCURRENCY: '8' })).toBe(8);
+      expect(() => pageConcurrencyFromEnv({ RAINDROP_PAGE_CONCURRENCY: '0' })).toThrow('RAINDROP_PAGE_CONCURRENCY は正の整数である必要があります');
+    });
+  });
+
   describe('ブックマーク解析（getRecentBookmarks経由）', () => {
     test('有効なブックマークを正しく解析する', async () => {
       const mockResponse = {
@@ -333,8 +505,8 @@ describe('RaindropClient', () => {
         }
       };
 
-      // console.warnをモック
-      const consoleSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      // ロガーの出力先（console.log）をモック
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
 
       client.client.get.mockResolvedValue(mockResponse);
       const result = await client.getRecentBookmarks();
@@ -396,4 +568,238 @@ describe('RaindropClient', () => {
       });
     });
   });
+
+  describe('コレクション階層の解決', () => {
+    const collectionsResponse = {
+      data: {
+        items: [
+          { _id: 10, title: 'Dev' },
+          { _id: 20, title: '読書' }
+        ]
+      }
+    };
+
+    const childrensResponse = {
+      data: {
+        items: [
+          { _id: 11, title: 'Frontend', parent: { $id: 10 } },
+          { _id: 12, title: 'React', parent: { $id: 11 } }
+        ]
+      }
+    };
+
+    const bookmarksResponse = {
+      data: {
+        items: [
+          {
+            _id: 1,
+            title: 'React 19',
+            link: 'https://example.com/react',
+            tags: ['react'],
+            collection: { $id: 12 },
+            created: '2024-01-01T00:00:00.000Z'
+          },
+          {
+            _id: 2,
+            title: '未整理',
+            link: 'https://example.com/unsorted',
+            collection: { $id: -1 },
+            created: '2024-01-01T00:00:00.000Z'
+          }
+        ],
+        count: 2
+      }
+    };
+
+    const mockByPath = (overrides = {}) => {
+      client.client.get.mockImplementation(async (path) => {
+        if (path in overrides) {
+          return overrides[path]();
+        }
+        if (path === '/collections') return collectionsResponse;
+        if (path === '/collections/childrens') return childrensResponse;
+        return bookmarksResponse;
+      });
+    };
+
+    test('コレクションIDからフルパスの対応表を作成する', async () => {
+      mockByPath();
+
+      const paths = await client.getCollectionPaths();
+
+      expect(paths.get(10)).toEqual(['Dev']);
+      expect(paths.get(11)).toEqual(['Dev', 'Frontend']);
+      expect(paths.get(12)).toEqual(['Dev', 'Frontend', 'React']);
+      expect(paths.get(20)).toEqual(['読書']);
+    });
+
+    test('対応表は1回だけ取得してキャッシュする', async () => {
+      mockByPath();
+
+      await client.getCollectionPaths();
+      await client.getCollectionPaths();
+
+      expect(client.client.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('取得したブックマークのフォルダをコレクションのフルパスにする', async () => {
+      mockByPath();
+
+      const result = await client.getRecentBookmarks(new Date('2024-01-01'), new Date('2024-01-07'));
+
+      expect(result[0].folder).toBe('Dev / Frontend / React');
+      expect(result[0].collectionPath).toEqual(['Dev', 'Frontend', 'React']);
+      expect(result[1].folder).toBe('未分類');
+    });
+
+    test('ブックマークが無い場合はコレクションを取得しない', async () => {
+      client.client.get.mockResolvedValue({ data: { items: [], count: 0 } });
+
+      await client.getRecentBookmarks();
+
+      expect(client.client.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('コレクション取得に失敗してもブックマーク取得は継続する', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockByPath({
+        '/collections': () => Promise.reject(new Error('サーバーエラー'))
+      });
+
+      const result = await client.getRecentBookmarks();
+
+      expect(result).toHaveLength(2);
+      expect(result[0].folder).toBe('未分類');
+      const warnings = consoleSpy.mock.calls.map(([line]) => JSON.parse(line)).filter(log => log.level === 'WARN');
+      expect(warnings[0]).toMatchObject({
+        level: 'WARN',
+        message: 'コレクション階層の取得に失敗しました。コレクション名を解決せずに継続します',
+        error: 'サーバーエラー'
+      });
+
+      consoleSpy.mockRestore();
+    });
+
+    test('コレクション取得に失敗した場合、パスによるコレクションのフィルタでは配信対象から外す', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      mockByPath({
+        '/collections': () => Promise.reject(new Error('サーバーエラー'))
+      });
+
+      const result = await client.getRecentBookmarks();
+      const keptIds = (filters) => applyFilters(result, createFilterRules(filters)).bookmarks.map(bookmark => bookmark.id);
+
+      expect(result.map(bookmark => bookmark.collectionPathResolved)).toEqual([false, true]);
+      // システムコレクション（未分類）はコレクション階層が無くても判定できる
+      expect(keptIds({ excludeCollections: 'Personal' })).toEqual([2]);
+      expect(keptIds({ includeCollections: 'Dev' })).toEqual([]);
+      expect(keptIds({ excludeCollections: '20' })).toEqual([1, 2]);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('検索クエリ', () => {
+    const emptyResponse = { data: { result: true, items: [], count: 0 } };
+
+    test('query()は空の検索クエリビルダーを返す', () => {
+      expect(client.query().build()).toBe('');
+    });
+
+    test('クエリビルダーの条件をsearchパラメータとコレクションIDで送信する', async () => {
+      client.client.get.mockResolvedValue(emptyResponse);
+
+      await client.getRecentBookmarks(new Date('2024-01-01'), new Date('2024-01-07'), {
+        query: client.query().collection(789).tag('react').favorite()
+      });
+
+      expect(client.client.get).toHaveBeenCalledWith('/raindrops/789', {
+        [RETRY_DEADLINE]: expect.any(Number),
+        params: {
+          created: '2024-01-01T00:00:00.000Z..2024-01-07T00:00:00.000Z',
+          sort: 'created',
+          perpage: 50,
+          page: 0,
+          search: '#react ❤️'
+        }
+      });
+    });
+
+    test('設定された検索文字列も使用できる', async () => {
+      client.client.get.mockResolvedValue(emptyResponse);
+
+      await client.getRecentBookmarks(new Date('2024-01-01'), new Date('2024-01-07'), {
+        query: 'type:article domain:github.com'
+      });
+
+      expect(client.client.get).toHaveBeenCalledWith('/raindrops/0', {
+        [RETRY_DEADLINE]: expect.any(Number),
+        params: expect.objectContaining({ search: 'type:article domain:github.com' })
+      });
+    });
+  });
+
+  describe('アクセストークンの更新（OAuth2）', () => {
+    let instance;
+    let refreshAccessToken;
+    let onUnauthorized;
+
+    beforeEach(() => {
+      instance = {
+        get: vi.fn(),
+        request: vi.fn(),
+        defaults: { headers: {} },
+        interceptors: { request: { use: vi.fn() }, response: { use: vi.fn() } }
+      };
+      axios.default.create.mockReturnValue(instance);
+      refreshAccessToken = vi.fn().mockResolvedValue('new-token');
+
+      client = new RaindropClient(mockApiToken, { refreshAccessToken });
+      // レート制限・再試行の後、エラー変換の前に登録される
+      onUnauthorized = instance.interceptors.response.use.mock.calls[2][1];
+    });
+
+    const unauthorized = (token) => Object.assign(new Error('Request failed with status code 401'), {
+      response: { status: 401, headers: {} },
+      config: { url: '/user', headers: { Authorization: `Bearer ${token}` } }
+    });
+
+    test('401の場合はトークンを更新して1回だけ再送する', async () => {
+      instance.request.mockResolvedValue({ status: 200 });
+
+      await expect(onUnauthorized(unauthorized(mockApiToken))).resolves.toEqual({ status: 200 });
+
+      expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+      expect(client.apiToken).toBe('new-token');
+      expect(instance.defaults.headers.Authorization).toBe('Bearer new-token');
+      expect(instance.request.mock.calls[0][0]).toMatchObject({
+        url: '/user',
+        headers: { Authorization: 'Bearer new-token' },
+        __dropcastTokenRefreshed: true
+      });
+
+      const retried = unauthorized('new-token');
+      retried.config.__dropcastTokenRefreshed = true;
+      await expect(onUnauthorized(retried)).rejects.toBe(retried);
+      expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('並行リクエストの401は1回の更新にまとめる', async () => {
+      instance.request.mockResolvedValue({ status: 200 });
+
+      await Promise.all([onUnauthorized(unauthorized(mockApiToken)), onUnauthorized(unauthorized(mockApiToken))]);
+      await onUnauthorized(unauthorized(mockApiToken));
+
+      expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+      expect(instance.request).toHaveBeenCalledTimes(3);
+    });
+
+    test('更新に失敗した場合は元の401エラーを返す', async () => {
+      refreshAccessToken.mockRejectedValue(new Error('invalid_grant'));
+      const error = unauthorized(mockApiToken);
+
+      await expect(onUnauthorized(error)).rejects.toBe(error);
+      expect(instance.request).not.toHaveBeenCalled();
+    });
+  });
 });
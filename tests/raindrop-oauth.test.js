@@ -0,0 +1,213 @@
+/**
+ * Raindrop.io OAuth2のテスト
+ */
+
+import { describe, test, expect, beforeEach, vi } from 'vitest';
+
+// AWS SDK v3とaxiosをモック
+const mockPost = vi.fn();
+const mockSsmSend = vi.fn();
+const mockSecretsSend = vi.fn();
+
+vi.mock('axios', () => ({
+  default: { post: mockPost }
+}));
+
+vi.mock('@aws-sdk/client-ssm', () => ({
+  SSMClient: vi.fn().mockImplementation(() => ({ send: mockSsmSend })),
+  GetParametersByPathCommand: vi.fn().mockImplementation((params) => params),
+  PutParameterCommand: vi.fn().mockImplementation((params) => params)
+}));
+
+vi.mock('@aws-sdk/client-secrets-manager', () => ({
+  SecretsManagerClient: vi.fn().mockImplementation(() => ({ send: mockSecretsSend })),
+  GetSecretValueCommand: vi.fn().mockImplementation((params) => ({ type: 'GetSecretValue', ...params })),
+  PutSecretValueCommand: vi.fn().mockImplementation((params) => ({ type: 'PutSecretValue', ...params }))
+}));
+
+const {
+  buildAuthorizeUrl,
+  createOAuthState,
+  verifyOAuthState,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  oauthCredentialsFromConfig,
+  SsmOAuthTokenStore,
+  SecretsManagerOAuthTokenStore,
+  SplitOAuthTokenStore,
+  createOAuthTokenStore,
+  createOAuthTokenStoreForSources,
+  createTokenRefresher
+} = await import('../src/raindrop-oauth.js');
+const { ErrorCode, ValidationError } = await import('../src/error-handler.js');
+
+const credentials = { clientId: 'client-1', clientSecret: 'client-secret' };
+const now = () => Date.parse('2024-01-01T00:00:00Z');
+
+describe('Raindrop.io OAuth2', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('認可画面のURLを作成する', () => {
+    expect(buildAuthorizeUrl({ clientId: 'client-1', redirectUri: 'http://localhost:8080/callback', state: 'state-1' }))
+      .toBe('https://raindrop.io/oauth/authorize?client_id=client-1&redirect_uri=http%3A%2F%2Flocalhost%3A8080%2Fcallback&state=state-1');
+  });
+
+  test('認可リクエストごとに異なる state を作成し、一致しない state を拒否する', () => {
+    const state = createOAuthState();
+
+    expect(state).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(createOAuthState()).not.toBe(state);
+    expect(() => verifyOAuthState(state, state)).not.toThrow();
+    expect(() => verifyOAuthState(state, createOAuthState())).toThrow('認可レスポンスの state が認可リクエストと一致しません');
+    expect(() => verifyOAuthState(state, undefined)).toThrow(ValidationError);
+    expect(() => verifyOAuthState(undefined, undefined)).toThrow(ValidationError);
+  });
+
+  test('認可コードをトークンと交換する', async () => {
+    mockPost.mockResolvedValue({ data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 1209599 } });
+
+    const tokens = await exchangeAuthorizationCode({ ...credentials, redirectUri: 'http://localhost', code: 'code-1', now });
+
+    expect(tokens).toEqual({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: '2024-01-14T23:59:59.000Z' });
+    expect(mockPost.mock.calls[0][0]).toBe('https://raindrop.io/oauth/access_token');
+    expect(mockPost.mock.calls[0][1]).toEqual({
+      grant_type: 'authorization_code',
+      code: 'code-1',
+      client_id: 'client-1',
+      client_secret: 'client-secret',
+      redirect_uri: 'http://localhost'
+    });
+  });
+
+  test('リフレッシュトークンが返されない場合は現在のものを引き継ぐ', async () => {
+    mockPost.mockResolvedValue({ data: { access_token: 'access-2' } });
+
+    const tokens = await refreshAccessToken({ ...credentials, refreshToken: 'refresh-1', now });
+
+    expect(tokens).toEqual({ accessToken: 'access-2', refreshToken: 'refresh-1', expiresAt: null });
+    expect(mockPost.mock.calls[0][1]).toMatchObject({ grant_type: 'refresh_token', refresh_token: 'refresh-1' });
+  });
+
+  test('トークンを取得できない場合は認証エラーを投げる', async () => {
+    mockPost.mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { status: 400, data: { error: 'invalid_grant' } }
+    }));
+
+    await expect(refreshAccessToken({ ...credentials, refreshToken: 'expired' })).rejects.toMatchObject({
+      message: 'Raindrop.io のトークン取得に失敗しました (400): invalid_grant',
+      code: ErrorCode.RAINDROP_UNAUTHORIZED
+    });
+  });
+
+  test('リフレッシュトークンがある場合はクライアントID・シークレットを必須とする', () => {
+    expect(oauthCredentialsFromConfig({ RAINDROP_API_TOKEN: 'test-token' })).toBeNull();
+    expect(() => oauthCredentialsFromConfig({ RAINDROP_REFRESH_TOKEN: 'refresh-1', RAINDROP_CLIENT_ID: 'client-1' }))
+      .toThrow('RAINDROP_REFRESH_TOKEN を使用するには RAINDROP_CLIENT_SECRET が必要です');
+  });
+});
+
+describe('トークンストア', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('Parameter StoreにSecureStringとして保存する', async () => {
+    mockSsmSend.mockResolvedValue({});
+    await new SsmOAuthTokenStore({ path: '/dropcast/config', region: 'ap-northeast-1' })
+      .save({ accessToken: 'access-1', refreshToken: 'refresh-1' });
+
+    expect(mockSsmSend.mock.calls.map(([command]) => command)).toEqual([
+      { Name: '/dropcast/config/raindrop-api-token', Value: 'access-1', Type: 'SecureString', Overwrite: true },
+      { Name: '/dropcast/config/raindrop-refresh-token', Value: 'refresh-1', Type: 'SecureString', Overwrite: true }
+    ]);
+  });
+
+  test('プロファイルの階層から読み込んだトークンはプロファイルの階層に保存する', async () => {
+    const profileParameters = { '/dropcast/profiles/frontend': [{ Name: '/dropcast/profiles/frontend/raindrop-refresh-token', Value: 'refresh-1' }] };
+    mockSsmSend.mockImplementation(async (command) => command.Path ?
+      { Parameters: profileParameters[command.Path] ?? [{ Name: `${command.Path}/email-to`, Value: 'team@example.com' }] } :
+      {});
+
+    const frontend = new SsmOAuthTokenStore({ path: '/dropcast/config', profile: 'frontend', region: 'ap-northeast-1' });
+    await frontend.save({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+    const backend = new SsmOAuthTokenStore({ path: '/dropcast/config', profile: 'backend', region: 'ap-northeast-1' });
+    await backend.save({ accessToken: 'access-3', refreshToken: 'refresh-3' });
+
+    const saved = mockSsmSend.mock.calls.map(([command]) => command.Name).filter(Boolean);
+    expect(saved).toEqual([
+      '/dropcast/profiles/frontend/raindrop-api-token',
+      '/dropcast/profiles/frontend/raindrop-refresh-token',
+      '/dropcast/config/raindrop-api-token',
+      '/dropcast/config/raindrop-refresh-token'
+    ]);
+    expect(frontend.description).toBe('Parameter Store (/dropcast/profiles/frontend)');
+  });
+
+  test('Secrets Managerのシークレットは他の項目を保持したまま更新する', async () => {
+    mockSecretsSend.mockImplementation(async (command) => command.type === 'GetSecretValue' ?
+      { SecretString: JSON.stringify({ 'raindrop-api-token': 'old', RAINDROP_CLIENT_ID: 'client-1' }) } :
+      {});
+
+    await new SecretsManagerOAuthTokenStore({ secretId: 'dropcast/config', region: 'us-east-1' })
+      .save({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+
+    const put = mockSecretsSend.mock.calls[1][0];
+    expect(put.SecretId).toBe('dropcast/config');
+    expect(JSON.parse(put.SecretString)).toEqual({
+      RAINDROP_CLIENT_ID: 'client-1',
+      RAINDROP_API_TOKEN: 'access-2',
+      RAINDROP_REFRESH_TOKEN: 'refresh-2'
+    });
+  });
+
+  test('保存できない設定プロバイダーはエラーにする', () => {
+    expect(createOAuthTokenStore('ssm', {})).toBeInstanceOf(SsmOAuthTokenStore);
+    expect(() => createOAuthTokenStore('secrets-manager', {})).toThrow('CONFIG_SECRET_ID を設定してください');
+    expect(() => createOAuthTokenStore('env', {})).toThrow('トークンを保存できない設定プロバイダーです: env');
+  });
+
+  test('2つのトークンを異なるプロバイダーから読み込んだ場合はそれぞれの取得元に保存する', async () => {
+    mockSsmSend.mockResolvedValue({});
+    mockSecretsSend.mockImplementation(async (command) => command.type === 'GetSecretValue' ?
+      { SecretString: JSON.stringify({ RAINDROP_API_TOKEN: 'old', RAINDROP_CLIENT_ID: 'client-1' }) } :
+      {});
+
+    const store = createOAuthTokenStoreForSources(
+      { RAINDROP_API_TOKEN: 'secrets-manager', RAINDROP_REFRESH_TOKEN: 'ssm' },
+      { CONFIG_SECRET_ID: 'dropcast/config', AWS_REGION: 'us-east-1' }
+    );
+    await store.save({ accessToken: 'access-2', refreshToken: 'refresh-2' });
+
+    expect(store).toBeInstanceOf(SplitOAuthTokenStore);
+    expect(mockSsmSend.mock.calls.map(([command]) => command.Name)).toEqual(['/dropcast/config/raindrop-refresh-token']);
+    expect(JSON.parse(mockSecretsSend.mock.calls[1][0].SecretString)).toEqual({
+      RAINDROP_CLIENT_ID: 'client-1',
+      RAINDROP_API_TOKEN: 'access-2'
+    });
+    expect(store.description).toBe('アクセストークン: Secrets Manager (dropcast/config), リフレッシュトークン: Parameter Store (/dropcast/config)');
+  });
+
+  test('保存できる取得元が無い場合はストアを作成しない', () => {
+    expect(createOAuthTokenStoreForSources({ RAINDROP_API_TOKEN: 'env', RAINDROP_REFRESH_TOKEN: 'dotenv' }, {})).toBeNull();
+    expect(createOAuthTokenStoreForSources({ RAINDROP_REFRESH_TOKEN: 'ssm' }, {})).toBeInstanceOf(SsmOAuthTokenStore);
+    expect(createOAuthTokenStoreForSources({ RAINDROP_API_TOKEN: 'env', RAINDROP_REFRESH_TOKEN: 'ssm' }, {}).description)
+      .toBe('アクセストークン: 保存しない, リフレッシュトークン: Parameter Store (/dropcast/config)');
+  });
+
+  test('更新したトークンを保存し、次回の更新には新しいリフレッシュトークンを使う', async () => {
+    mockPost
+      .mockResolvedValueOnce({ data: { access_token: 'access-2', refresh_token: 'refresh-2' } })
+      .mockResolvedValueOnce({ data: { access_token: 'access-3', refresh_token: 'refresh-3' } });
+    const store = { description: 'memory', save: vi.fn().mockRejectedValue(new Error('AccessDenied')) };
+    const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+    const refresh = createTokenRefresher({ ...credentials, refreshToken: 'refresh-1' }, { store, logger });
+
+    expect(await refresh()).toBe('access-2');
+    expect(await refresh()).toBe('access-3');
+    expect(mockPost.mock.calls[1][1].refresh_token).toBe('refresh-2');
+    expect(logger.error).toHaveBeenCalledWith('更新したトークンの保存に失敗しました', { store: 'memory', error: 'AccessDenied' });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Raindrop.io 検索クエリビルダーのテスト
+ */
+
+import { describe, test, expect } from 'vitest';
+import { RaindropQuery } from '../src/raindrop-query.js';
+
+describe('RaindropQuery', () => {
+  test('条件をRaindrop.ioの検索構文で組み立てる', () => {
+    const query = new RaindropQuery()
+      .collection(123)
+      .tag('react')
+      .tag('web dev')
+      .excludeTag('draft')
+      .type('article')
+      .favorite()
+      .domain('github.com')
+      .text('hooks');
+
+    expect(query.build()).toBe('#react #"web dev" -#draft type:article ❤️ domain:github.com hooks');
+    expect(query.collectionId).toBe(123);
+    expect(String(query)).toBe(query.build());
+  });
+
+  test('条件が無い場合は空文字列と全コレクションを返す', () => {
+    const query = new RaindropQuery();
+
+    expect(query.build()).toBe('');
+    expect(query.collectionId).toBe(0);
+  });
+
+  test('お気に入り指定は重複しない', () => {
+    expect(new RaindropQuery().favorite().favorite().build()).toBe('❤️');
+  });
+
+  test('無効な指定はエラーを投げる', () => {
+    expect(() => new RaindropQuery().type('podcast'))
+      .toThrow('type は link, article, image, video, document, audio のいずれかである必要があります: podcast');
+    expect(() => new RaindropQuery().tag(' ')).toThrow('タグ は空でない文字列である必要があります');
+    expect(() => new RaindropQuery().collection('abc')).toThrow('コレクションIDは整数である必要があります: abc');
+  });
+
+  describe('parse', () => {
+    test('collection:<ID> を取得先として取り出し、残りを検索文字列とする', () => {
+      const query = RaindropQuery.parse('collection:456  #react type:article ❤️');
+
+      expect(query.collectionId).toBe(456);
+      expect(query.build()).toBe('#react type:article ❤️');
+    });
+
+    test('未設定の場合は空のクエリを返す', () => {
+      expect(RaindropQuery.parse(undefined).build()).toBe('');
+    });
+
+    test('コレクションIDが整数でない場合はエラーを投げる', () => {
+      expect(() => RaindropQuery.parse('collection:team')).toThrow('コレクションIDは整数である必要があります: team');
+    });
+  });
+
+  test('fromはクエリをそのまま返し、文字列は解析する', () => {
+    const query = new RaindropQuery().tag('a');
+
+    expect(RaindropQuery.from(query)).toBe(query);
+    expect(RaindropQuery.from('#b').build()).toBe('#b');
+  });
+});
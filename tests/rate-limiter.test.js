@@ -0,0 +1,81 @@
+/**
+ * レートリミッターのテスト
+ */
+
+import { describe, test, expect } from 'vitest';
+import { TokenBucket, createRateLimiterFromEnv } from '../src/rate-limiter.js';
+
+/**
+ * 待機すると時計が進むテスト用の時計を作成
+ * @param {number} start - 開始時刻（ミリ秒）
+ * @returns {Object} now・sleep関数と待機時間の記録
+ */
+function createClock(start = 0) {
+  const clock = { time: start, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async (ms) => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+describe('TokenBucket', () => {
+  test('上限まではすぐに取得し、超えた分は補充を待つ', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ requestsPerMinute: 2, now: clock.now, sleep: clock.sleep });
+
+    await bucket.acquire();
+    await bucket.acquire();
+    expect(clock.sleeps).toEqual([]);
+
+    await bucket.acquire();
+    expect(clock.sleeps).toEqual([30000]);
+    expect(bucket.getState()).toMatchObject({ limit: 2, remaining: 0, waitCount: 1, waitedMs: 30000 });
+  });
+
+  test('同時に要求されたトークンは到着順に1つずつ払い出す', async () => {
+    const clock = createClock();
+    const bucket = new TokenBucket({ requestsPerMinute: 60, now: clock.now, sleep: clock.sleep });
+    bucket.tokens = 0;
+
+    const order = [];
+    await Promise.all([1, 2, 3].map(id => bucket.acquire().then(() => order.push(id))));
+
+    expect(order).toEqual([1, 2, 3]);
+    expect(clock.sleeps).toEqual([1000, 1000, 1000]);
+  });
+
+  test('レート制限ヘッダーで残り回数を補正し、残りが0ならリセット時刻まで待つ', async () => {
+    const clock = createClock(1700000000000);
+    const bucket = new TokenBucket({ now: clock.now, sleep: clock.sleep });
+
+    bucket.updateFromHeaders({ 'x-ratelimit-limit': '120', 'x-ratelimit-remaining': '5' });
+    expect(bucket.getState().remaining).toBe(5);
+
+    bucket.updateFromHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700000012' });
+    expect(bucket.getState().blockedUntil).toBe(new Date(1700000012000).toISOString());
+
+    await bucket.acquire();
+    expect(clock.sleeps[0]).toBe(12000);
+  });
+
+  test('リセット時刻が1分より先でも待機は1分までとする', async () => {
+    const clock = createClock(1700000000000);
+    const bucket = new TokenBucket({ now: clock.now, sleep: clock.sleep });
+
+    bucket.updateFromHeaders({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '1700003600' });
+    await bucket.acquire();
+
+    expect(clock.sleeps[0]).toBe(60000);
+  });
+});
+
+describe('createRateLimiterFromEnv', () => {
+  test('RAINDROP_RATE_LIMIT_PER_MINUTEで上限を変更できる', () => {
+    expect(createRateLimiterFromEnv({}).getState().limit).toBe(120);
+    expect(createRateLimiterFromEnv({ RAINDROP_RATE_LIMIT_PER_MINUTE: '60' }).getState().limit).toBe(60);
+    expect(() => createRateLimiterFromEnv({ RAINDROP_RATE_LIMIT_PER_MINUTE: 'fast' }))
+      .toThrow('RAINDROP_RATE_LIMIT_PER_MINUTE は正の整数である必要があります: fast');
+  });
+});
@@ -13,6 +13,7 @@ const mockSESClient = vi.fn().mockImplementation(() => ({
 vi.mock('@aws-sdk/client-ses', () => ({
   SESClient: mockSESClient,
   SendEmailCommand: vi.fn().mockImplementation((params) => params),
+  SendRawEmailCommand: vi.fn().mockImplementation((params) => ({ raw: true, ...params })),
   GetSendStatisticsCommand: vi.fn().mockImplementation((params) => params)
 }));
 
@@ -61,6 +62,15 @@ describe('SESClient', () => {
       expect(sesClient.region).toBe('ap-northeast-1');
     });
 
+    test('配信方法は設定と同じ DELIVERY_MODE 環境変数から読み込む', () => {
+      process.env.DELIVERY_MODE = 'individual';
+      try {
+        expect(new SESClient().deliveryMode).toBe('individual');
+      } finally {
+        delete process.env.DELIVERY_MODE;
+      }
+    });
+
     test('EMAIL_FROM環境変数が無い場合はエラーを投げる', () => {
       delete process.env.EMAIL_FROM;
 
@@ -95,7 +105,10 @@ describe('SESClient', () => {
         messageId: 'test-message-id-123',
         from: 'sender@example.com',
         to: 'recipient@example.com',
-        subject: 'テスト件名'
+        subject: 'テスト件名',
+        recipients: [
+          { address: 'recipient@example.com', type: 'to', success: true, messageId: 'test-message-id-123' }
+        ]
       });
 
       expect(mockSend).toHaveBeenCalledTimes(1);
@@ -118,6 +131,32 @@ describe('SESClient', () => {
       expect(result.to).toBe('custom-recipient@example.com');
     });
 
+    test('HTML本文が指定された場合はテキストとHTMLの両方を送信する', async () => {
+      mockSend.mockResolvedValue({ MessageId: 'html-message-id' });
+
+      await sesClient.sendEmail({
+        subject: 'HTMLテスト',
+        body: 'テキスト本文',
+        htmlBody: '<p>HTML本文</p>'
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.Message.Body.Text).toEqual({ Data: 'テキスト本文', Charset: 'UTF-8' });
+      expect(params.Message.Body.Html).toEqual({ Data: '<p>HTML本文</p>', Charset: 'UTF-8' });
+    });
+
+    test('HTML本文が無い場合はテキストのみ送信する', async () => {
+      mockSend.mockResolvedValue({ MessageId: 'text-message-id' });
+
+      await sesClient.sendEmail({
+        subject: 'テキストテスト',
+        body: 'テキスト本文'
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.Message.Body.Html).toBeUndefined();
+    });
+
     test('件名が無い場合はエラーを投げる', async () => {
       const emailContent = {
         body: 'テスト本文'
@@ -218,6 +257,38 @@ describe('SESClient', () => {
     });
   });
 
+  describe('previewBookmarkDigest', () => {
+    test('SESを呼び出さずにメール内容と添付ファイルを生成する', async () => {
+      sesClient = new SESClient({ toEmail: 'a@example.com', ccEmail: 'b@example.com', bccEmail: 'c@example.com' });
+
+      const bookmark = new BookmarkModel({
+        id: 1,
+        title: 'プレビュー',
+        url: 'https://example.com/1',
+        folder: 'フォルダ',
+        isFavorite: false,
+        createdAt: new Date('2024-01-10T00:00:00.000Z')
+      });
+
+      const preview = await sesClient.previewBookmarkDigest([bookmark], {
+        endDate: new Date('2024-01-11T00:00:00.000Z'),
+        attachments: ['csv']
+      });
+
+      expect(preview.subject).toBeTruthy();
+      expect(preview.body).toContain('プレビュー');
+      expect(preview.attachments.map(attachment => attachment.filename)).toEqual(['dropcast-digest-20240111.csv']);
+      expect(preview.attachments[0].content).toContain('https://example.com/1');
+      expect(mockSend).not.toHaveBeenCalled();
+
+      expect(sesClient.getRecipients()).toEqual([
+        { address: 'a@example.com', type: 'to' },
+        { address: 'b@example.com', type: 'cc' },
+        { address: 'c@example.com', type: 'bcc' }
+      ]);
+    });
+  });
+
   describe('sendWeeklyDigest', () => {
     beforeEach(() => {
       sesClient = new SESClient();
@@ -284,7 +355,11 @@ describe('SESClient', () => {
       expect(config).toEqual({
         region: 'us-east-1',
         fromEmail: 'sender@example.com',
-        toEmail: 'recipient@example.com'
+        toEmail: 'recipient@example.com',
+        ccEmail: null,
+        bccEmail: null,
+        replyTo: null,
+        deliveryMode: 'batch'
       });
     });
   });
@@ -342,4 +417,210 @@ describe('SESClient', () => {
       );
     });
   });
+
+  describe('複数宛先', () => {
+    const content = { subject: '件名', body: '本文' };
+
+    test('To/CC/BCC/Reply-Toを配列またはカンマ区切りで指定できる', async () => {
+      mockSend.mockResolvedValue({ MessageId: 'batch-id' });
+      sesClient = new SESClient({
+        toEmail: 'a@example.com, b@example.com',
+        ccEmail: ['c@example.com'],
+        bccEmail: 'd@example.com',
+        replyTo: 'reply@example.com'
+      });
+
+      const result = await sesClient.sendEmail(content);
+
+      expect(mockSend).toHaveBeenCalledTimes(1);
+      expect(mockSend.mock.calls[0][0]).toMatchObject({
+        Destination: {
+          ToAddresses: ['a@example.com', 'b@example.com'],
+          CcAddresses: ['c@example.com'],
+          BccAddresses: ['d@example.com']
+        },
+        ReplyToAddresses: ['reply@example.com']
+      });
+      expect(result.to).toBe('a@example.com, b@example.com');
+      expect(result.recipients.map(r => `${r.type}:${r.address}`)).toEqual([
+        'to:a@example.com', 'to:b@example.com', 'cc:c@example.com', 'bcc:d@example.com'
+      ]);
+      expect(result.recipients.every(r => r.messageId === 'batch-id')).toBe(true);
+    });
+
+    test('CC/BCC/Reply-Toが無い場合は送信パラメータに含めない', async () => {
+      mockSend.mockResolvedValue({ MessageId: 'id' });
+      sesClient = new SESClient();
+
+      await sesClient.sendEmail(content);
+
+      const params = mockSend.mock.calls[0][0];
+      expect(params.Destination).toEqual({ ToAddresses: ['recipient@example.com'] });
+      expect(params.ReplyToAddresses).toBeUndefined();
+    });
+
+    test('個別配信では宛先ごとに1通ずつ送信する', async () => {
+      mockSend
+        .mockResolvedValueOnce({ MessageId: 'id-a' })
+        .mockResolvedValueOnce({ MessageId: 'id-b' });
+      sesClient = new SESClient({
+        toEmail: ['a@example.com'],
+        bccEmail: ['b@example.com', 'A@example.com'],
+        deliveryMode: 'individual'
+      });
+
+      const result = await sesClient.sendEmail(content);
+
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      expect(mockSend.mock.calls[0][0].Destination).toEqual({ ToAddresses: ['a@example.com'] });
+      expect(mockSend.mock.calls[1][0].Destination).toEqual({ ToAddresses: ['b@example.com'] });
+      expect(result.success).toBe(true);
+      expect(result.messageId).toBe('id-a');
+      expect(result.recipients).toEqual([
+        { address: 'a@example.com', type: 'to', success: true, messageId: 'id-a' },
+        { address: 'b@example.com', type: 'bcc', success: true, messageId: 'id-b' }
+      ]);
+    });
+
+    test('個別配信で一部の宛先に失敗しても残りの宛先に送信する', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const rejected = new Error('Email address is not verified');
+      rejected.name = 'MessageRejected';
+      mockSend
+        .mockRejectedValueOnce(rejected)
+        .mockResolvedValueOnce({ MessageId: 'id-b' });
+      sesClient = new SESClient({ toEmail: 'a@example.com,b@example.com', deliveryMode: 'individual' });
+
+      const result = await sesClient.sendEmail(content);
+
+      expect(result.success).toBe(false);
+      expect(result.messageId).toBe('id-b');
+      expect(result.recipients[0]).toEqual({
+        address: 'a@example.com',
+        type: 'to',
+        success: false,
+        messageId: null,
+        error: 'メッセージが拒否されました。メールアドレスまたは内容を確認してください。',
+        code: 'MessageRejected'
+      });
+      expect(result.recipients[1].success).toBe(true);
+      // ログにはマスクした宛先のみを出力する
+      expect(JSON.parse(consoleSpy.mock.calls[0][0])).toMatchObject({
+        level: 'ERROR',
+        message: 'メール送信エラー',
+        recipient: 'a***@example.com'
+      });
+      expect(consoleSpy.mock.calls.flat().join('\n')).not.toContain('a@example.com');
+
+      consoleSpy.mockRestore();
+    });
+
+    test('個別配信で全宛先に失敗した場合はエラーを投げる', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const throttled = new Error('Rate exceeded');
+      throttled.name = 'Throttling';
+      mockSend.mockRejectedValue(throttled);
+      sesClient = new SESClient({ toEmail: 'a@example.com,b@example.com', deliveryMode: 'individual' });
+
+      await expect(sesClient.sendEmail(content))
+        .rejects.toThrow('SESの送信制限に達しました。しばらく待ってから再試行してください。');
+      expect(mockSend).toHaveBeenCalledTimes(2);
+
+      consoleSpy.mockRestore();
+    });
+
+    test('一括配信で宛先が50件を超える場合は50件ごとに分けて送信する', async () => {
+      mockSend
+        .mockResolvedValueOnce({ MessageId: 'id-1' })
+        .mockResolvedValueOnce({ MessageId: 'id-2' });
+      const toEmail = Array.from({ length: 40 }, (_, i) => `to${i}@example.com`);
+      const bccEmail = Array.from({ length: 30 }, (_, i) => `bcc${i}@example.com`);
+      sesClient = new SESClient({ toEmail, bccEmail });
+
+      const result = await sesClient.sendEmail(content);
+
+      expect(mockSend).toHaveBeenCalledTimes(2);
+      const [first, second] = mockSend.mock.calls.map(([params]) => params.Destination);
+      expect(first.ToAddresses).toEqual(toEmail);
+      expect(first.BccAddresses).toEqual(bccEmail.slice(0, 10));
+      expect(second).toEqual({ BccAddresses: bccEmail.slice(10) });
+      expect(result.success).toBe(true);
+      expect(result.recipients).toHaveLength(70);
+      expect(result.recipients[69]).toMatchObject({ address: 'bcc29@example.com', success: true, messageId: 'id-2' });
+    });
+
+    test('宛先が空の場合はエラーを投げる', async () => {
+      sesClient = new SESClient();
+
+      await expect(sesClient.sendEmail({ ...content, to: ' , ' }))
+        .rejects.toThrow('受信者メールアドレスが無効です');
+    });
+
+    test('未対応の配信方法はエラーを投げる', () => {
+      expect(() => new SESClient({ deliveryMode: 'broadcast' }))
+        .toThrow('未対応の配信方法です: broadcast（利用可能: batch, individual）');
+    });
+  });
+
+  describe('添付ファイル', () => {
+    const attachment = { filename: 'digest.csv', content: 'id\r\n1\r\n', contentType: 'text/csv; charset=UTF-8' };
+
+    test('添付ファイルがある場合はSendRawEmailでMIMEメッセージを送信する', async () => {
+      mockSend.mockResolvedValue({ MessageId: 'raw-id' });
+      sesClient = new SESClient({ toEmail: 'a@example.com', ccEmail: 'c@example.com', bccEmail: 'd@example.com' });
+
+      const result = await sesClient.sendEmail({
+        subject: '週次ブックマークダイジェスト',
+        body: '本文',
+        htmlBody: '<p>本文</p>',
+        attachments: [attachment]
+      });
+
+      const params = mockSend.mock.calls[0][0];
+      const raw = params.RawMessage.Data.toString('utf8');
+
+      expect(params.raw).toBe(true);
+      expect(params.Source).toBe('sender@example.com');
+      expect(params.Destinations).toEqual(['a@example.com', 'c@example.com', 'd@example.com']);
+      expect(raw).toContain('Subject: =?UTF-8?B?');
+      expect(raw).toContain('Cc: c@example.com');
+      expect(raw).not.toContain('d@example.com');
+      expect(raw).toContain('multipart/mixed');
+      expect(raw).toContain('filename="digest.csv"');
+      expect(result.messageId).toBe('raw-id');
+    });
+
+    test('個別配信でも宛先ごとにSendRawEmailで送信する', async () => {
+      mockSend.mockResolvedValue({ MessageId: 'raw-id' });
+      sesClient = new SESClient({ toEmail: 'a@example.com,b@example.com', deliveryMode: 'individual' });
+
+      await sesClient.sendEmail({ subject: '件名', body: '本文', attachments: [attachment] });
+
+      expect(mockSend.mock.calls.map(([params]) => params.Destinations)).toEqual([['a@example.com'], ['b@example.com']]);
+      expect(mockSend.mock.calls[1][0].RawMessage.Data.toString('utf8')).toContain('To: b@example.com\r\n');
+    });
+
+    test('sendBookmarkDigestで指定した種別の添付ファイルを付けて送信する', async () => {
+      mockSend.mockResolvedValue({ MessageId: 'digest-raw-id' });
+      sesClient = new SESClient();
+
+      const bookmark = new BookmarkModel({
+        id: 1,
+        title: 'ブックマーク',
+        url: 'https://example.com/1',
+        folder: 'フォルダ',
+        isFavorite: false,
+        createdAt: new Date('2024-01-10T00:00:00.000Z')
+      });
+
+      const result = await sesClient.sendBookmarkDigest([bookmark], {
+        startDate: new Date('2024-01-04T00:00:00.000Z'),
+        endDate: new Date('2024-01-11T00:00:00.000Z'),
+        attachments: ['markdown', 'csv']
+      });
+
+      expect(result.attachments).toEqual(['dropcast-digest-20240111.md', 'dropcast-digest-20240111.csv']);
+      expect(mockSend.mock.calls[0][0].raw).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,206 @@
+/**
+ * ウォーターマークストアのテスト
+ */
+
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, rm, readFile, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// AWS SDK v3をモック
+const mockSend = vi.fn();
+
+vi.mock('@aws-sdk/client-ssm', () => ({
+  SSMClient: vi.fn().mockImplementation(() => ({
+    send: mockSend
+  })),
+  GetParameterCommand: vi.fn().mockImplementation((params) => ({ type: 'GetParameter', ...params })),
+  PutParameterCommand: vi.fn().mockImplementation((params) => ({ type: 'PutParameter', ...params }))
+}));
+
+const {
+  WatermarkStore,
+  FileWatermarkStore,
+  SsmWatermarkStore,
+  createWatermarkStore,
+  filterAfterWatermark,
+  latestCreatedAt
+} = await import('../src/watermark-store.js');
+const { ErrorCode, ErrorSeverity } = await import('../src/error-handler.js');
+
+describe('WatermarkStore', () => {
+  test('基底クラスのメソッドは未実装エラーを投げる', async () => {
+    const store = new WatermarkStore();
+
+    await expect(store.get()).rejects.toThrow('WatermarkStore.get() が実装されていません');
+    await expect(store.set(new Date())).rejects.toThrow('WatermarkStore.set() が実装されていません');
+  });
+});
+
+describe('FileWatermarkStore', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await mkdtemp(join(tmpdir(), 'dropcast-watermark-'));
+  });
+
+  afterEach(async () => {
+    await rm(tempDir, { recursive: true, force: true });
+  });
+
+  test('ファイルが存在しない場合はnullを返す', async () => {
+    const store = new FileWatermarkStore(join(tempDir, 'watermark.json'));
+
+    expect(await store.get()).toBeNull();
+  });
+
+  test('保存したウォーターマークを読み込める', async () => {
+    const filePath = join(tempDir, 'state', 'watermark.json');
+    const store = new FileWatermarkStore(filePath);
+    const watermark = new Date('2024-01-07T12:34:56.000Z');
+
+    await store.set(watermark);
+
+    expect(await store.get()).toEqual(watermark);
+
+    const saved = JSON.parse(await readFile(filePath, 'utf8'));
+    expect(saved.lastCreated).toBe('2024-01-07T12:34:56.000Z');
+  });
+
+  test('保存値が不正な場合はエラーを投げる', async () => {
+    const filePath = join(tempDir, 'watermark.json');
+    await writeFile(filePath, JSON.stringify({ lastCreated: 'invalid' }));
+
+    const store = new FileWatermarkStore(filePath);
+
+    await expect(store.get()).rejects.toThrow('ウォーターマークの形式が無効です');
+    await expect(store.get()).rejects.toMatchObject({ code: ErrorCode.WATERMARK_INVALID });
+  });
+});
+
+describe('SsmWatermarkStore', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = new SsmWatermarkStore({ parameterName: '/dropcast/state/test', region: 'ap-northeast-1' });
+  });
+
+  test('パラメータ値をDateとして返す', async () => {
+    mockSend.mockResolvedValue({ Parameter: { Value: '2024-01-07T00:00:00.000Z' } });
+
+    const result = await store.get();
+
+    expect(result).toEqual(new Date('2024-01-07T00:00:00.000Z'));
+    expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'GetParameter',
+      Name: '/dropcast/state/test'
+    }));
+  });
+
+  test('パラメータが存在しない場合はnullを返す', async () => {
+    const notFound = new Error('not found');
+    notFound.name = 'ParameterNotFound';
+    mockSend.mockRejectedValue(notFound);
+
+    expect(await store.get()).toBeNull();
+  });
+
+  test('その他のエラーはラップして投げる', async () => {
+    mockSend.mockRejectedValue(new Error('AccessDenied'));
+
+    await expect(store.get()).rejects.toThrow('Parameter Storeからのウォーターマーク取得エラー: AccessDenied');
+    await expect(store.get()).rejects.toMatchObject({
+      name: 'WatermarkError',
+      code: ErrorCode.WATERMARK_UNAVAILABLE,
+      severity: ErrorSeverity.HIGH
+    });
+  });
+
+  test('ウォーターマークを上書き保存する', async () => {
+    mockSend.mockResolvedValue({});
+
+    await store.set(new Date('2024-01-07T00:00:00.000Z'));
+
+    expect(mockSend).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'PutParameter',
+      Name: '/dropcast/state/test',
+      Value: '2024-01-07T00:00:00.000Z',
+      Type: 'String',
+      Overwrite: true
+    }));
+  });
+});
+
+describe('createWatermarkStore', () => {
+  afterEach(() => {
+    delete process.env.WATERMARK_STORE;
+    delete process.env.WATERMARK_FILE;
+    delete process.env.WATERMARK_PARAMETER_NAME;
+  });
+
+  test('WATERMARK_STOREが未設定の場合はnullを返す', () => {
+    expect(createWatermarkStore()).toBeNull();
+  });
+
+  test('fileを指定するとFileWatermarkStoreを返す', () => {
+    process.env.WATERMARK_STORE = 'file';
+    process.env.WATERMARK_FILE = '/tmp/dropcast.json';
+
+    const store = createWatermarkStore();
+
+    expect(store).toBeInstanceOf(FileWatermarkStore);
+    expect(store.filePath).toBe('/tmp/dropcast.json');
+  });
+
+  test('ssmを指定するとSsmWatermarkStoreを返す', () => {
+    process.env.WATERMARK_STORE = 'ssm';
+
+    const store = createWatermarkStore({ region: 'us-west-2' });
+
+    expect(store).toBeInstanceOf(SsmWatermarkStore);
+    expect(store.parameterName).toBe('/dropcast/state/last-delivered');
+  });
+
+  test('プロファイルを指定すると保存先をプロファイルごとに分ける', () => {
+    process.env.WATERMARK_STORE = 'ssm';
+    expect(createWatermarkStore({ profile: 'frontend' }).parameterName)
+      .toBe('/dropcast/state/last-delivered/frontend');
+
+    process.env.WATERMARK_STORE = 'file';
+    expect(createWatermarkStore({ profile: 'frontend' }).filePath)
+      .toBe('.dropcast-watermark.frontend.json');
+  });
+
+  test('未対応の種別の場合はエラーを投げる', () => {
+    process.env.WATERMARK_STORE = 'redis';
+
+    expect(() => createWatermarkStore()).toThrow('未対応のWATERMARK_STORE設定です: redis');
+  });
+});
+
+describe('ウォーターマークのユーティリティ', () => {
+  const bookmarks = [
+    { id: 1, createdAt: new Date('2024-01-01T00:00:00.000Z') },
+    { id: 2, createdAt: new Date('2024-01-03T00:00:00.000Z') },
+    { id: 3, createdAt: new Date('2024-01-02T00:00:00.000Z') }
+  ];
+
+  test('ウォーターマークと同時刻以前のブックマークを除外する', () => {
+    const result = filterAfterWatermark(bookmarks, new Date('2024-01-02T00:00:00.000Z'));
+
+    expect(result.map(bookmark => bookmark.id)).toEqual([2]);
+  });
+
+  test('ウォーターマークが無い場合はすべて返す', () => {
+    expect(filterAfterWatermark(bookmarks, null)).toHaveLength(3);
+  });
+
+  test('最新の作成日時を返す', () => {
+    expect(latestCreatedAt(bookmarks)).toEqual(new Date('2024-01-03T00:00:00.000Z'));
+  });
+
+  test('空配列の場合はnullを返す', () => {
+    expect(latestCreatedAt([])).toBeNull();
+  });
+});